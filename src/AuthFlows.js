@@ -0,0 +1,132 @@
+/**
+ * Authentication flow that doesn't need a browser on the server:
+ * headless (paste the authorization code).
+ */
+
+import readline from 'readline';
+import process from 'process';
+import { google } from 'googleapis';
+import { t } from './i18n.js';
+import { getOAuthScopes, loadClientConfig, saveAuthorizedTokens } from './oauth.js';
+
+/**
+ * Get the authorization code from a pasted code or a full redirect URL.
+ * @param {string} input - "4/0Ab..." or "http://localhost/?code=4/0Ab...&scope=..."
+ * @returns {string}
+ */
+export function extractAuthorizationCode(input) {
+  const value = String(input || '').trim();
+  if (!value.includes('code=')) {
+    return value;
+  }
+
+  const query = value.includes('?') ? value.slice(value.indexOf('?') + 1) : value;
+  return new URLSearchParams(query).get('code') || value;
+}
+
+export class HeadlessAuthFlow {
+  /**
+   * @param {string} credentialsPath - Path to the OAuth credentials file
+   * @param {TokenStore} tokenStore - Store that receives the tokens of each authorized account
+   * @param {Object} options - { onAuthorized(account) } called after an account's tokens are saved
+   */
+  constructor(credentialsPath, tokenStore, { onAuthorized = () => {} } = {}) {
+    this.credentialsPath = credentialsPath;
+    this.tokenStore = tokenStore;
+    this.onAuthorized = onAuthorized;
+    this.oAuth2Client = null;
+    this.redirectUri = null;
+    this.stdinReader = null;
+  }
+
+  /**
+   * Create the OAuth client. The redirect URI doesn't need to be reachable:
+   * the user copies the code from the address bar after Google redirects.
+   */
+  async createClient() {
+    if (this.oAuth2Client) {
+      return;
+    }
+
+    const { client_id, client_secret, redirect_uris = [] } = await loadClientConfig(this.credentialsPath);
+    this.redirectUri = process.env.GOOGLE_MEET_REDIRECT_URI || redirect_uris[0] || 'http://localhost';
+    this.oAuth2Client = new google.auth.OAuth2(client_id, client_secret, this.redirectUri);
+  }
+
+  /**
+   * Print the authorization URL for an account to be added
+   * @returns {Promise<Object>} - { mode, auth_url, redirect_uri }
+   */
+  async addAccount() {
+    await this.createClient();
+
+    const authUrl = this.oAuth2Client.generateAuthUrl({
+      access_type: 'offline',
+      scope: getOAuthScopes(),
+      prompt: 'consent select_account'
+    });
+
+    console.error(t('auth.authUrl', { url: authUrl }));
+    console.error(t('auth.headlessInstructions', { redirectUri: this.redirectUri }));
+
+    return {
+      mode: 'headless',
+      auth_url: authUrl,
+      redirect_uri: this.redirectUri
+    };
+  }
+
+  /**
+   * Exchange a pasted authorization code for tokens
+   * @param {string} input - Authorization code or the full redirect URL
+   * @returns {Promise<string>} - Account the tokens were saved under
+   */
+  async submitCode(input) {
+    await this.createClient();
+
+    const code = extractAuthorizationCode(input);
+    if (!code) {
+      throw new Error(t('auth.missingCode'));
+    }
+
+    let tokens;
+    try {
+      ({ tokens } = await this.oAuth2Client.getToken(code));
+    } catch (error) {
+      throw new Error(t('auth.codeExchangeFailed', { error: error.message }));
+    }
+
+    const account = await saveAuthorizedTokens(this.oAuth2Client, this.tokenStore, tokens);
+    await this.onAuthorized(account);
+    return account;
+  }
+
+  /**
+   * Accept pasted codes on stdin. Only usable when stdin isn't the MCP transport.
+   */
+  readCodesFromStdin() {
+    if (this.stdinReader) {
+      return;
+    }
+
+    this.stdinReader = readline.createInterface({ input: process.stdin });
+    this.stdinReader.on('line', async line => {
+      if (!line.trim()) {
+        return;
+      }
+      try {
+        await this.submitCode(line);
+      } catch (error) {
+        console.error(`❌ ${error.message}`);
+      }
+    });
+    console.error(t('auth.pasteCode'));
+  }
+
+  async stop() {
+    if (this.stdinReader) {
+      this.stdinReader.close();
+      this.stdinReader = null;
+    }
+  }
+}
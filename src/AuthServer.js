@@ -3,33 +3,53 @@
  * Automatically handles OAuth flow when tokens are missing or invalid
  */
 
-import fs from 'fs/promises';
-import path from 'path';
 import http from 'http';
+import { randomBytes } from 'crypto';
 import { URL } from 'url';
 import { google } from 'googleapis';
 import open from 'open';
+import process from 'process';
+import { getDefaultLocale, localeFromAcceptLanguage, t } from './i18n.js';
+import { getOAuthScopes, loadClientConfig, saveAuthorizedTokens } from './oauth.js';
+
+/**
+ * Escape text for an HTML page
+ */
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, char => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[char]);
+}
 
 export class AuthServer {
-  constructor(credentialsPath, tokenPath) {
+  /**
+   * @param {string} credentialsPath - Path to the OAuth credentials file
+   * @param {TokenStore} tokenStore - Store that receives the tokens of each authorized account
+   * @param {Object} options - { onAuthorized(account) } called after an account's tokens are saved
+   */
+  constructor(credentialsPath, tokenStore, { onAuthorized = () => {} } = {}) {
     this.credentialsPath = credentialsPath;
-    this.tokenPath = tokenPath;
+    this.tokenStore = tokenStore;
+    this.onAuthorized = onAuthorized;
     this.server = null;
+    this.port = null;
     this.oAuth2Client = null;
     this.authCompletedSuccessfully = false;
     this.activeConnections = new Set();
+    // state values of the authorization URLs handed out; the callback only accepts these
+    this.pendingStates = new Set();
   }
 
   /**
-   * Check if valid tokens exist
+   * Check if valid tokens exist for the default account
    */
   async hasValidTokens() {
     try {
-      const tokenData = await fs.readFile(this.tokenPath, 'utf8');
-      const tokens = JSON.parse(tokenData);
+      const account = await this.tokenStore.getDefaultAccount();
+      const tokens = await this.tokenStore.getTokens(account);
       
       // Basic validation - check if required fields exist
-      if (!tokens.access_token || !tokens.refresh_token) {
+      if (!tokens || !tokens.access_token || !tokens.refresh_token) {
         return false;
       }
       
@@ -41,8 +61,8 @@ export class AuthServer {
           const oAuth2Client = this.createOAuth2Client(credentials, 'http://localhost:3000/oauth2callback');
           oAuth2Client.setCredentials(tokens);
           
-          const { credentials: newCredentials } = await oAuth2Client.refreshToken(tokens.refresh_token);
-          await this.saveTokens(newCredentials);
+          const { tokens: newTokens } = await oAuth2Client.refreshToken(tokens.refresh_token);
+          await this.tokenStore.updateTokens(account, newTokens);
           return true;
         } catch (error) {
           // Refresh failed
@@ -60,23 +80,7 @@ export class AuthServer {
    * Load OAuth credentials from file
    */
   async loadCredentials() {
-    try {
-      const credentials = JSON.parse(await fs.readFile(this.credentialsPath, 'utf8'));
-      
-      // Support both web and installed app credential formats
-      let clientConfig;
-      if (credentials.web) {
-        clientConfig = credentials.web;
-      } else if (credentials.installed) {
-        clientConfig = credentials.installed;
-      } else {
-        throw new Error('無效的憑證檔案格式');
-      }
-      
-      return clientConfig;
-    } catch (error) {
-      throw new Error(`載入憑證失敗：${error.message}`);
-    }
+    return loadClientConfig(this.credentialsPath);
   }
 
   /**
@@ -88,18 +92,39 @@ export class AuthServer {
   }
 
   /**
-   * Save tokens to file
+   * Save newly issued tokens under the email of the account that granted them
+   * @returns {Promise<string>} - Account the tokens were saved under
    */
   async saveTokens(tokens) {
-    try {
-      // Ensure token directory exists
-      const tokenDir = path.dirname(this.tokenPath);
-      await fs.mkdir(tokenDir, { recursive: true });
-      
-      await fs.writeFile(this.tokenPath, JSON.stringify(tokens, null, 2));
-    } catch (error) {
-      throw new Error(`儲存 token 失敗：${error.message}`);
+    return saveAuthorizedTokens(this.oAuth2Client, this.tokenStore, tokens);
+  }
+
+  /**
+   * Generate the Google authorization URL.
+   * Each URL carries a random state, so the callback can't be fed a code from someone else's
+   * authorization (which would add the attacker's Google account).
+   */
+  getAuthUrl() {
+    const state = randomBytes(16).toString('hex');
+    this.pendingStates.add(state);
+    return this.oAuth2Client.generateAuthUrl({
+      access_type: 'offline',
+      scope: getOAuthScopes(),
+      // select_account lets the user pick a different Google account when adding one
+      prompt: 'consent select_account',
+      state
+    });
+  }
+
+  /**
+   * Pick the language of the OAuth pages: GOOGLE_MEET_LOCALE when set,
+   * otherwise the browser's Accept-Language
+   */
+  getPageLocale(req) {
+    if (process.env.GOOGLE_MEET_LOCALE) {
+      return getDefaultLocale();
     }
+    return localeFromAcceptLanguage(req.headers['accept-language']) || getDefaultLocale();
   }
 
   /**
@@ -108,27 +133,18 @@ export class AuthServer {
   createServer() {
     const server = http.createServer(async (req, res) => {
       const url = new URL(req.url || '/', `http://${req.headers.host}`);
+      const locale = this.getPageLocale(req);
       
       if (url.pathname === '/') {
         // Root route - show auth link
-        const scopes = [
-          'https://www.googleapis.com/auth/calendar',
-          'https://www.googleapis.com/auth/calendar.events',
-          'https://www.googleapis.com/auth/calendar.readonly'
-        ];
-        
-        const authUrl = this.oAuth2Client.generateAuthUrl({
-          access_type: 'offline',
-          scope: scopes,
-          prompt: 'consent'
-        });
+        const authUrl = this.getAuthUrl();
 
         res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
         res.end(`
 <!DOCTYPE html>
-<html>
+<html lang="${locale}">
 <head>
-    <title>Google Meet MCP 認證</title>
+    <title>${t('authPage.title', {}, locale)}</title>
     <meta charset="utf-8">
     <style>
         body {
@@ -179,15 +195,15 @@ export class AuthServer {
 </head>
 <body>
     <div class="container">
-        <h1>🔐 Google Meet MCP 認證</h1>
+        <h1>🔐 ${t('authPage.title', {}, locale)}</h1>
         <div class="info">
-            <p><strong>自動認證流程已啟動</strong></p>
-            <p>點擊下方按鈕完成 Google 授權</p>
+            <p><strong>${t('authPage.started', {}, locale)}</strong></p>
+            <p>${t('authPage.instruction', {}, locale)}</p>
         </div>
-        <a href="${authUrl}" class="auth-button">🚀 使用 Google 帳號授權</a>
+        <a href="${authUrl}" class="auth-button">${t('authPage.button', {}, locale)}</a>
         <p style="color: #666; font-size: 0.9em; margin-top: 2em;">
-            授權完成後，您可以關閉此視窗<br>
-            服務器將自動繼續啟動
+            ${t('authPage.closeAfter', {}, locale)}<br>
+            ${t('authPage.continueAfter', {}, locale)}
         </p>
     </div>
 </body>
@@ -197,14 +213,22 @@ export class AuthServer {
         // OAuth callback route
         const code = url.searchParams.get('code');
         const error = url.searchParams.get('error');
+        const state = url.searchParams.get('state');
+
+        if (!state || !this.pendingStates.has(state)) {
+          res.writeHead(400, { 'Content-Type': 'text/plain; charset=utf-8' });
+          res.end(t('authPage.invalidState', {}, locale));
+          return;
+        }
+        this.pendingStates.delete(state);
         
         if (error) {
           res.writeHead(400, { 'Content-Type': 'text/html; charset=utf-8' });
           res.end(`
 <!DOCTYPE html>
-<html>
+<html lang="${locale}">
 <head>
-    <title>認證失敗</title>
+    <title>${t('authPage.failedTitle', {}, locale)}</title>
     <meta charset="utf-8">
     <style>
         body { font-family: Arial, sans-serif; text-align: center; padding: 50px; background: #f5f5f5; }
@@ -214,9 +238,9 @@ export class AuthServer {
 </head>
 <body>
     <div class="container">
-        <h1>❌ 授權失敗</h1>
-        <p>錯誤：${error}</p>
-        <p>請關閉此視窗並重新嘗試。</p>
+        <h1>${t('authPage.denied', {}, locale)}</h1>
+        <p>${t('authPage.error', { error: escapeHtml(error) }, locale)}</p>
+        <p>${t('authPage.retry', {}, locale)}</p>
     </div>
 </body>
 </html>
@@ -225,22 +249,23 @@ export class AuthServer {
         }
         
         if (!code) {
-          res.writeHead(400, { 'Content-Type': 'text/plain' });
-          res.end('授權碼缺失');
+          res.writeHead(400, { 'Content-Type': 'text/plain; charset=utf-8' });
+          res.end(t('authPage.missingCode', {}, locale));
           return;
         }
         
         try {
           const { tokens } = await this.oAuth2Client.getToken(code);
-          await this.saveTokens(tokens);
+          const account = await this.saveTokens(tokens);
           this.authCompletedSuccessfully = true;
+          await this.onAuthorized(account);
           
           res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
           res.end(`
 <!DOCTYPE html>
-<html>
+<html lang="${locale}">
 <head>
-    <title>認證成功</title>
+    <title>${t('authPage.successTitle', {}, locale)}</title>
     <meta charset="utf-8">
     <style>
         body {
@@ -275,27 +300,31 @@ export class AuthServer {
 <body>
     <div class="container">
         <div class="success-icon">✅</div>
-        <h1>認證成功！</h1>
-        <p>您的認證 token 已安全儲存</p>
-        <div class="token-path">${this.tokenPath}</div>
+        <h1>${t('authPage.success', {}, locale)}</h1>
+        <p>${t('authPage.tokenSaved', {}, locale)}</p>
+        <p>${t('authPage.account', { account: escapeHtml(account) }, locale)}</p>
+        <div class="token-path">${escapeHtml(this.tokenStore.location)}</div>
         <p style="color: #666;">
-            您現在可以關閉此視窗<br>
-            Google Meet MCP Server 將自動完成啟動
+            ${t('authPage.closeNow', {}, locale)}<br>
+            ${t('authPage.serverContinues', {}, locale)}
         </p>
     </div>
 </body>
 </html>
-          `);
+          `, () => {
+            // One exchange per server; the next add_account starts a new one with new states
+            this.stop().catch(() => {});
+          });
         } catch (error) {
           this.authCompletedSuccessfully = false;
-          console.error('Token 儲存失敗：', error.message);
+          console.error(t('auth.tokenSaveFailed'), error.message);
           
           res.writeHead(500, { 'Content-Type': 'text/html; charset=utf-8' });
           res.end(`
 <!DOCTYPE html>
-<html>
+<html lang="${locale}">
 <head>
-    <title>認證失敗</title>
+    <title>${t('authPage.failedTitle', {}, locale)}</title>
     <meta charset="utf-8">
     <style>
         body { font-family: Arial, sans-serif; text-align: center; padding: 50px; background: #f5f5f5; }
@@ -305,10 +334,10 @@ export class AuthServer {
 </head>
 <body>
     <div class="container">
-        <h1>❌ 認證失敗</h1>
-        <p>儲存認證資訊時發生錯誤：</p>
-        <p style="color: #666;">${error.message}</p>
-        <p>請檢查服務器日誌並重新嘗試。</p>
+        <h1>${t('authPage.failed', {}, locale)}</h1>
+        <p>${t('authPage.saveFailed', {}, locale)}</p>
+        <p style="color: #666;">${escapeHtml(error.message)}</p>
+        <p>${t('authPage.checkLogs', {}, locale)}</p>
     </div>
 </body>
 </html>
@@ -360,7 +389,55 @@ export class AuthServer {
         // Continue to next port if EADDRINUSE
       }
     }
-    throw new Error(`無法在埠口範圍 ${startPort}-${endPort} 找到可用埠口`);
+    throw new Error(t('auth.noAvailablePort', { start: startPort, end: endPort }));
+  }
+
+  /**
+   * Start listening for OAuth callbacks, if not already listening
+   */
+  async listen() {
+    if (this.server) {
+      return;
+    }
+
+    // Load credentials and create OAuth client
+    const credentials = await this.loadCredentials();
+    this.port = await this.findAvailablePort();
+    
+    this.oAuth2Client = this.createOAuth2Client(credentials, `http://localhost:${this.port}/oauth2callback`);
+    console.error(t('auth.serverStarted', { url: `http://localhost:${this.port}` }));
+  }
+
+  /**
+   * Print the authorization URL and optionally open it in a browser
+   */
+  async announceAuthUrl(authUrl, openBrowser) {
+    console.error(t('auth.authUrl', { url: authUrl }));
+
+    if (openBrowser) {
+      try {
+        await open(authUrl);
+        console.error(t('auth.browserOpened'));
+      } catch (error) {
+        console.error(t('auth.browserFailed'));
+      }
+    }
+  }
+
+  /**
+   * Start authorizing an additional account without waiting for it to finish.
+   * The callback server stays up; the tokens are saved when Google redirects back.
+   * @returns {Promise<Object>} - { mode, auth_url, callback_url }
+   */
+  async addAccount(openBrowser = true) {
+    await this.listen();
+    const authUrl = this.getAuthUrl();
+    await this.announceAuthUrl(authUrl, openBrowser);
+    return {
+      mode: 'browser',
+      auth_url: authUrl,
+      callback_url: `http://localhost:${this.port}/oauth2callback`
+    };
   }
 
   /**
@@ -374,36 +451,10 @@ export class AuthServer {
         return true;
       }
 
-      // Load credentials and create OAuth client
-      const credentials = await this.loadCredentials();
-      const port = await this.findAvailablePort();
-      
-      this.oAuth2Client = this.createOAuth2Client(credentials, `http://localhost:${port}/oauth2callback`);
-
-      // Generate auth URL
-      const scopes = [
-        'https://www.googleapis.com/auth/calendar',
-        'https://www.googleapis.com/auth/calendar.events',
-        'https://www.googleapis.com/auth/calendar.readonly'
-      ];
-      
-      const authUrl = this.oAuth2Client.generateAuthUrl({
-        access_type: 'offline',
-        scope: scopes,
-        prompt: 'consent'
-      });
-
-      console.error(`🌐 認證服務器已啟動於 http://localhost:${port}`);
-      console.error(`🔗 認證 URL: ${authUrl}`);
-
-      if (openBrowser) {
-        try {
-          await open(authUrl);
-          console.error('🚀 瀏覽器已自動開啟，請完成授權流程');
-        } catch (error) {
-          console.error('⚠️ 無法自動開啟瀏覽器，請手動訪問上方 URL');
-        }
-      }
+      // A previous run may have completed; wait for a new authorization
+      this.authCompletedSuccessfully = false;
+      await this.listen();
+      await this.announceAuthUrl(this.getAuthUrl(), openBrowser);
 
       // Wait for authentication to complete
       return new Promise((resolve) => {
@@ -418,14 +469,14 @@ export class AuthServer {
         setTimeout(() => {
           clearInterval(checkInterval);
           if (!this.authCompletedSuccessfully) {
-            console.error('⏰ 認證超時，請重新嘗試');
+            console.error(t('auth.timeout'));
             resolve(false);
           }
         }, 300000);
       });
 
     } catch (error) {
-      console.error('❌ 啟動認證服務器失敗：', error.message);
+      console.error(t('auth.serverFailed'), error.message);
       return false;
     }
   }
@@ -434,6 +485,7 @@ export class AuthServer {
    * Stop authentication server
    */
   async stop() {
+    this.pendingStates.clear();
     return new Promise((resolve) => {
       if (this.server) {
         // Force close all active connections
@@ -444,7 +496,7 @@ export class AuthServer {
 
         // Close server with timeout
         const timeout = setTimeout(() => {
-          console.error('⚠️ 服務器關閉超時，強制退出');
+          console.error(t('auth.closeTimeout'));
           this.server = null;
           resolve();
         }, 2000);
@@ -452,7 +504,7 @@ export class AuthServer {
         this.server.close((err) => {
           clearTimeout(timeout);
           if (err) {
-            console.error('⚠️ 關閉服務器時發生錯誤：', err.message);
+            console.error(t('auth.closeError'), err.message);
           }
           this.server = null;
           resolve();
@@ -0,0 +1,90 @@
+/**
+ * Confirmation tokens for the two-step safe mode.
+ * A destructive call without a token gets a preview and a token; only a second call
+ * from the same MCP session with the same arguments and that token goes through.
+ */
+
+import crypto from 'crypto';
+import { t } from './i18n.js';
+
+// Arguments that don't change what the call does
+const IGNORED_ARGUMENTS = ['confirmation_token', 'output_format', 'locale'];
+
+/**
+ * Serialize arguments with sorted keys so the same call always gives the same string
+ */
+function fingerprint(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(fingerprint).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter(key => !IGNORED_ARGUMENTS.includes(key) && value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${fingerprint(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+export class ConfirmationStore {
+  /**
+   * @param {Object} options - { ttlSeconds } how long a token stays valid (default: 300)
+   */
+  constructor({ ttlSeconds = 300 } = {}) {
+    this.ttlMs = ttlSeconds * 1000;
+    this.pending = new Map();
+  }
+
+  /**
+   * Issue a token for a tool call
+   * @param {string} tool - Tool name
+   * @param {Object} args - Tool arguments
+   * @param {string} sessionId - MCP session the preview went to (null for stdio)
+   * @returns {Object} - { token, expires_at }
+   */
+  issue(tool, args, sessionId = null) {
+    this.prune();
+
+    const token = crypto.randomBytes(16).toString('hex');
+    const expiresAt = Date.now() + this.ttlMs;
+    this.pending.set(token, { tool, fingerprint: fingerprint(args), sessionId, expiresAt });
+
+    return { token, expires_at: new Date(expiresAt).toISOString() };
+  }
+
+  /**
+   * Use up a token. It must have been issued to the same session for the same tool and arguments.
+   * @param {string} token - Confirmation token
+   * @param {string} tool - Tool name
+   * @param {Object} args - Tool arguments
+   * @param {string} sessionId - MCP session of the call (null for stdio)
+   */
+  consume(token, tool, args, sessionId = null) {
+    this.prune();
+
+    // HTTP sessions share the store; another session's token counts as unknown
+    const entry = this.pending.get(token);
+    if (!entry || entry.sessionId !== sessionId) {
+      throw new Error(t('confirm.invalidToken'));
+    }
+    // A mismatch keeps the token so the caller can retry with the previewed arguments
+    if (entry.tool !== tool || entry.fingerprint !== fingerprint(args)) {
+      throw new Error(t('confirm.argumentsChanged'));
+    }
+
+    this.pending.delete(token);
+  }
+
+  /**
+   * Drop expired tokens
+   */
+  prune() {
+    const now = Date.now();
+    for (const [token, entry] of this.pending) {
+      if (entry.expiresAt < now) {
+        this.pending.delete(token);
+      }
+    }
+  }
+}
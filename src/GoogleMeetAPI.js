@@ -6,17 +6,110 @@
 import fs from 'fs/promises';
 import path from 'path';
 import { google } from 'googleapis';
+import { t } from './i18n.js';
+import { getOAuthScopes, hasScopeAccess, isServiceAccountKey } from './oauth.js';
+import MeetSpacesAPI, { buildSpaceConfig } from './MeetSpacesAPI.js';
+import { renderAgenda, replaceAgenda } from './agenda.js';
+import {
+  WEEKDAY_CODES,
+  getZonedParts,
+  isValidTimeZone,
+  normalizeDateTime,
+  parseClockTime,
+  zonedTimeToUtc
+} from './timeUtils.js';
+import {
+  RECURRENCE_SCOPES,
+  buildRecurrenceRules,
+  getRecurrenceCount,
+  replaceRecurrenceCount,
+  truncateRecurrenceRules
+} from './recurrence.js';
+
+// Events fetched per events.list call while collecting Meet meetings
+const LIST_PAGE_SIZE = 250;
+
+// The Calendar API keeps at most this many attachments on an event
+const MAX_ATTACHMENTS = 25;
+
+// Who Google emails about a change: every guest, guests outside the organizer's domain, or nobody
+export const SEND_UPDATES_OPTIONS = ['all', 'externalOnly', 'none'];
+
+// Responses to an invitation; needsAction means the user hasn't responded yet
+export const RESPONSE_STATUSES = ['needsAction', 'accepted', 'declined', 'tentative'];
+
+// Fields of a series master that identify it or are set by Google, so a split-off series can't reuse them
+const SERIES_IDENTITY_FIELDS = [
+  'kind', 'etag', 'id', 'iCalUID', 'htmlLink', 'hangoutLink', 'created', 'updated', 'sequence',
+  'creator', 'organizer', 'recurringEventId', 'originalStartTime', 'conferenceData'
+];
+
+/**
+ * Compare two JSON values structurally, ignoring key order
+ */
+function isSameValue(a, b) {
+  if (a === b) {
+    return true;
+  }
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return Array.isArray(a) && Array.isArray(b) &&
+      a.length === b.length && a.every((value, index) => isSameValue(value, b[index]));
+  }
+  if (a && b && typeof a === 'object' && typeof b === 'object') {
+    const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+    return [...keys].every(key => isSameValue(a[key], b[key]));
+  }
+  return false;
+}
+
+/**
+ * Key attendees by lowercased email; Google doesn't treat addresses as case-sensitive
+ */
+function attendeeKey(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+/**
+ * Key people by name to match Meet participants to invitees: "Alice Chen" and "alice.chen" both become "alicechen"
+ */
+function nameKey(name) {
+  return String(name || '').toLowerCase().replace(/[\s._-]+/g, '');
+}
+
+/**
+ * Format a duration as H:MM:SS, or MM:SS when under an hour
+ */
+function formatElapsed(milliseconds) {
+  const seconds = Math.max(0, Math.floor(milliseconds / 1000)) || 0;
+  const pad = value => String(value).padStart(2, '0');
+  const hours = Math.floor(seconds / 3600);
+  const rest = `${pad(Math.floor(seconds / 60) % 60)}:${pad(seconds % 60)}`;
+  return hours > 0 ? `${hours}:${rest}` : rest;
+}
 
 class GoogleMeetAPI {
   /**
    * Initialize the Google Meet API client.
    * @param {string} credentialsPath - Path to the OAuth credentials file
-   * @param {string} tokenPath - Path to save/load the token.json file
+   * @param {TokenStore} tokenStore - Store holding the OAuth tokens of each account
+   * @param {Object} options - Client options
+   * @param {string} options.account - Account whose tokens to use (default: the store's default account)
+   * @param {string} options.defaultTimeZone - Time zone used when a call doesn't name one
+   *   (default: the calendar's own time zone setting)
+   * @param {string} options.defaultSendUpdates - Who is notified when a call doesn't say (default: "all")
    */
-  constructor(credentialsPath, tokenPath) {
+  constructor(credentialsPath, tokenStore, { account = null, defaultTimeZone = null, defaultSendUpdates = 'all' } = {}) {
     this.credentialsPath = credentialsPath;
-    this.tokenPath = tokenPath;
+    this.tokenStore = tokenStore;
+    this.account = account;
+    this.defaultTimeZone = defaultTimeZone;
+    this.defaultSendUpdates = defaultSendUpdates;
+    this.calendarTimeZone = null;
     this.calendar = null;
+    // Meet REST API client for meeting spaces, sharing this account's authorization
+    this.spaces = null;
+    // Scopes granted to the token; null when Google didn't say
+    this.grantedScopes = null;
   }
 
   /**
@@ -27,14 +120,15 @@ class GoogleMeetAPI {
       // Check if credentials file exists
       await fs.access(this.credentialsPath);
     } catch (error) {
-      throw new Error(
-        `找不到憑證檔案：${this.credentialsPath}\n` +
-        `請設定 GOOGLE_OAUTH_CREDENTIALS 環境變數為正確的檔案路徑。\n` +
-        `參考：https://github.com/nspady/google-calendar-mcp`
-      );
+      throw new Error(t('api.credentialsNotFound', { path: this.credentialsPath }));
     }
 
     const credentials = JSON.parse(await fs.readFile(this.credentialsPath, 'utf8'));
+
+    if (isServiceAccountKey(credentials)) {
+      await this.initializeServiceAccount(credentials);
+      return;
+    }
     
     // Support both web and installed app credential formats (like google-calendar-mcp)
     let clientConfig;
@@ -43,101 +137,458 @@ class GoogleMeetAPI {
     } else if (credentials.installed) {
       clientConfig = credentials.installed;
     } else {
-      throw new Error(
-        '無效的憑證檔案格式。預期包含 "web" 或 "installed" OAuth 客戶端配置。\n' +
-        '請確認您下載的是 Desktop App 類型的 OAuth 憑證。'
-      );
+      throw new Error(t('api.invalidCredentials'));
     }
     
     const { client_id, client_secret, redirect_uris } = clientConfig;
     
-    const oAuth2Client = new google.auth.OAuth2(
-      client_id, 
-      client_secret, 
-      redirect_uris[0]
-    );
+    // forceRefreshOnFailure: a 401 refreshes the access token and retries the request once
+    const oAuth2Client = new google.auth.OAuth2({
+      clientId: client_id,
+      clientSecret: client_secret,
+      redirectUri: redirect_uris[0],
+      forceRefreshOnFailure: true
+    });
 
     try {
       // Check if token exists and use it
-      const token = JSON.parse(await fs.readFile(this.tokenPath, 'utf8'));
+      this.account = this.account || await this.tokenStore.getDefaultAccount();
+      const token = await this.tokenStore.getTokens(this.account);
+      if (!token) {
+        throw new Error(t('tokens.accountNotFound', { account: this.account || '-' }));
+      }
       oAuth2Client.setCredentials(token);
+
+      // Persist every refresh, including the automatic ones during a long-running session
+      oAuth2Client.on('tokens', tokens => {
+        if (tokens.scope) {
+          this.grantedScopes = tokens.scope.split(' ');
+        }
+        this.tokenStore.updateTokens(this.account, tokens).catch(error => {
+          console.error(t('auth.tokenSaveFailed'), error.message);
+        });
+      });
       
       // Check if token is expired and needs refresh
       if (token.expiry_date && token.expiry_date < Date.now()) {
-        // Token is expired, refresh it
-        const { credentials: newCredentials } = await oAuth2Client.refreshToken(token.refresh_token);
-        await fs.writeFile(this.tokenPath, JSON.stringify(newCredentials));
-        oAuth2Client.setCredentials(newCredentials);
+        // Token is expired, refresh it; the refresh token is kept in the client's credentials
+        await oAuth2Client.getAccessToken();
       }
     } catch (error) {
-      throw new Error(
-        `在 ${this.tokenPath} 找不到有效的 token。\n` +
-        `請先執行認證設定：npm run auth\n` +
-        `錯誤詳情：${error.message}`
-      );
+      throw new Error(t('api.tokenNotFound', { path: this.tokenStore.location, error: error.message }));
     }
+
+    this.grantedScopes = await this.detectGrantedScopes(oAuth2Client);
     
     // Initialize the calendar API
     this.calendar = google.calendar({ version: 'v3', auth: oAuth2Client });
+    this.spaces = new MeetSpacesAPI(oAuth2Client);
+  }
+
+  /**
+   * Find the scopes granted to the token. Token responses list them; tokens saved
+   * without the list are looked up with Google's tokeninfo endpoint.
+   * @param {OAuth2Client} oAuth2Client - Client holding the token
+   * @returns {Promise<Array<string>|null>} - null when they can't be determined
+   */
+  async detectGrantedScopes(oAuth2Client) {
+    const { scope, access_token: accessToken } = oAuth2Client.credentials;
+    if (scope) {
+      return scope.split(' ');
+    }
+
+    try {
+      const { scopes } = await oAuth2Client.getTokenInfo(accessToken);
+      return scopes;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Check whether the granted scopes allow a kind of access.
+   * @param {string} access - 'read', 'write', 'meet_read', 'meet_write' or 'meet_settings'
+   * @returns {boolean}
+   */
+  canPerform(access) {
+    return hasScopeAccess(this.grantedScopes, access);
+  }
+
+  /**
+   * Initialize the API client with a service account key. With domain-wide delegation
+   * the client acts as this.account; otherwise it uses the service account's own calendar.
+   * @param {Object} credentials - Parsed service account key file
+   */
+  async initializeServiceAccount(credentials) {
+    const jwtClient = new google.auth.JWT({
+      email: credentials.client_email,
+      key: credentials.private_key,
+      scopes: getOAuthScopes(),
+      subject: this.account || undefined
+    });
+
+    try {
+      await jwtClient.authorize();
+    } catch (error) {
+      throw new Error(t('api.serviceAccountFailed', { account: this.account || credentials.client_email, error: error.message }));
+    }
+
+    this.account = this.account || credentials.client_email;
+    // Delegation is granted per scope, and authorize() fails unless all of them are allowed
+    this.grantedScopes = getOAuthScopes();
+    this.calendar = google.calendar({ version: 'v3', auth: jwtClient });
+    this.spaces = new MeetSpacesAPI(jwtClient);
+  }
+
+  /**
+   * Get the email address of the authenticated account, which is the ID of its primary calendar.
+   * @returns {Promise<string>}
+   */
+  async getAccountEmail() {
+    const response = await this.calendar.calendars.get({ calendarId: 'primary' });
+    return response.data.id;
+  }
+
+  /**
+   * Get the time zone used when a call doesn't specify one: the configured
+   * default if any, otherwise the user's calendar setting, otherwise UTC.
+   * @returns {Promise<string>} - IANA time zone name
+   */
+  async getDefaultTimeZone() {
+    if (this.defaultTimeZone) {
+      return this.defaultTimeZone;
+    }
+
+    if (!this.calendarTimeZone) {
+      try {
+        const response = await this.calendar.settings.get({ setting: 'timezone' });
+        const timeZone = response.data.value;
+        this.calendarTimeZone = isValidTimeZone(timeZone) ? timeZone : 'UTC';
+      } catch (error) {
+        // Don't cache the fallback so the setting is retried on the next call
+        return 'UTC';
+      }
+    }
+
+    return this.calendarTimeZone;
+  }
+
+  /**
+   * Resolve the time zone for a call, validating an explicit one.
+   * @param {string} timeZone - Requested time zone, if any
+   * @returns {Promise<string>} - IANA time zone name
+   */
+  async resolveTimeZone(timeZone) {
+    if (!timeZone) {
+      return this.getDefaultTimeZone();
+    }
+
+    if (!isValidTimeZone(timeZone)) {
+      throw new Error(t('api.invalidTimeZone', { timeZone }));
+    }
+
+    return timeZone;
   }
   
+  /**
+   * List the calendars in the user's calendar list.
+   * @param {Object} options - Additional options
+   * @param {string} options.minAccessRole - Only return calendars with at least this access role
+   * @returns {Promise<Array>} - List of calendars
+   */
+  async listCalendars({ minAccessRole } = {}) {
+    try {
+      const calendars = [];
+      let pageToken;
+
+      do {
+        const response = await this.calendar.calendarList.list({
+          minAccessRole: minAccessRole,
+          pageToken: pageToken
+        });
+
+        for (const item of response.data.items || []) {
+          calendars.push({
+            id: item.id,
+            summary: item.summaryOverride || item.summary || item.id,
+            description: item.description || '',
+            primary: item.primary || false,
+            access_role: item.accessRole,
+            time_zone: item.timeZone || '',
+            background_color: item.backgroundColor || '',
+            selected: item.selected || false
+          });
+        }
+
+        pageToken = response.data.nextPageToken;
+      } while (pageToken);
+
+      return calendars;
+    } catch (error) {
+      throw new Error(t('errors.listCalendars', { error: error.message }));
+    }
+  }
+
   /**
    * List upcoming Google Meet meetings.
+   * Meetings from several calendars are merged into one list ordered by start
+   * time; an event shared by more than one of them is listed once. Pages of
+   * events are fetched until `maxResults` meetings are collected, since most
+   * calendar events have no Meet conference attached.
    * @param {number} maxResults - Maximum number of results to return
    * @param {string} timeMin - Start time in ISO format
    * @param {string} timeMax - End time in ISO format
-   * @returns {Promise<Array>} - List of meetings
+   * @param {Object} options - Additional options
+   * @param {string} options.timeZone - Time zone for offset-less times and returned events
+   * @param {Array<string>} options.calendarIds - Calendars to list (default: ["primary"])
+   * @param {Object} options.filters - Only list matching meetings: { query } free text searched by
+   *   Google, { attendee, organizer } parts of an email address, { responseStatus } the authenticated
+   *   user's response, { minDuration, maxDuration } in minutes and { organizedByMe }
+   * @param {string} options.cursor - `next_cursor` from a previous call; it carries
+   *   the original time range, calendars and filters, which take precedence over the arguments
+   * @returns {Promise<Object>} - { meetings, next_cursor } (next_cursor is null on the last page)
    */
-  async listMeetings(maxResults = 10, timeMin = null, timeMax = null) {
-    // Default timeMin to now if not provided
-    if (!timeMin) {
-      timeMin = new Date().toISOString();
-    }
-    
-    // Prepare parameters for the API call
-    const params = {
-      calendarId: 'primary',
-      maxResults: maxResults,
-      timeMin: timeMin,
-      orderBy: 'startTime',
-      singleEvents: true,
-      conferenceDataVersion: 1
-    };
-    
-    if (timeMax) {
-      params.timeMax = timeMax;
-    }
-    
+  async listMeetings(maxResults = 10, timeMin = null, timeMax = null, { timeZone, calendarIds = ['primary'], filters = {}, cursor } = {}) {
     try {
-      const response = await this.calendar.events.list(params);
-      const events = response.data.items || [];
+      const zone = await this.resolveTimeZone(timeZone);
+      const position = cursor ? this._decodeCursor(cursor) : null;
+      const activeFilters = position ? position.filters || {} : filters;
+
+      if (activeFilters.responseStatus && !RESPONSE_STATUSES.includes(activeFilters.responseStatus)) {
+        throw new Error(t('api.invalidResponseStatus', {
+          value: activeFilters.responseStatus,
+          values: RESPONSE_STATUSES.join(', ')
+        }));
+      }
+      if (activeFilters.minDuration != null && activeFilters.maxDuration != null &&
+          activeFilters.minDuration > activeFilters.maxDuration) {
+        throw new Error(t('api.invalidDurationRange'));
+      }
+
+      // Prepare parameters for the API call (timeMin defaults to now)
+      const params = {
+        maxResults: LIST_PAGE_SIZE,
+        timeMin: position ? position.time_min
+          : timeMin ? normalizeDateTime(timeMin, zone) : new Date().toISOString(),
+        timeZone: zone,
+        orderBy: 'startTime',
+        singleEvents: true,
+        conferenceDataVersion: 1
+      };
+      if (activeFilters.query) {
+        params.q = activeFilters.query;
+      }
       
-      // Filter for events with conferenceData (Google Meet)
+      const rangeEnd = position ? position.time_max : timeMax && normalizeDateTime(timeMax, zone);
+      if (rangeEnd) {
+        params.timeMax = rangeEnd;
+      }
+
+      const streams = position
+        ? position.calendars.map(({ id, page_token, index, done }) => ({
+            calendarId: id,
+            pageToken: page_token || undefined,
+            index,
+            done
+          }))
+        : calendarIds.map(calendarId => ({ calendarId, pageToken: undefined, index: 0, done: false }));
+
       const meetings = [];
-      for (const event of events) {
-        if (event.conferenceData) {
-          const meeting = this._formatMeetingData(event);
-          if (meeting) {
-            meetings.push(meeting);
+      let lastStart = position ? position.last_start : null;
+      let lastKeys = new Set(position ? position.last_keys : []);
+
+      while (meetings.length < maxResults) {
+        let next = null;
+        for (const stream of streams) {
+          const event = await this._peekMeetingEvent(stream, params, activeFilters);
+          if (event && (!next || this._eventStart(event) < this._eventStart(next.event))) {
+            next = { stream, event };
           }
         }
+
+        if (!next) {
+          break;
+        }
+        next.stream.index++;
+
+        // Copies of a shared event have the same start, so only that start's keys are kept
+        const start = next.event.start.dateTime || next.event.start.date;
+        const eventKey = `${next.event.iCalUID}|${start}`;
+        if (start !== lastStart) {
+          lastStart = start;
+          lastKeys = new Set();
+        }
+        if (lastKeys.has(eventKey)) {
+          continue;
+        }
+        lastKeys.add(eventKey);
+
+        const meeting = this._formatMeetingData(next.event, next.stream.calendarId);
+        if (meeting) {
+          meetings.push(meeting);
+        }
       }
-      
-      return meetings;
+
+      let hasMore = false;
+      for (const stream of streams) {
+        if (await this._peekMeetingEvent(stream, params, activeFilters)) {
+          hasMore = true;
+        }
+      }
+
+      return {
+        meetings,
+        next_cursor: hasMore ? this._encodeCursor({
+          time_min: params.timeMin,
+          time_max: params.timeMax || null,
+          calendars: streams.map(stream => ({
+            id: stream.calendarId,
+            page_token: stream.pageToken || null,
+            index: stream.index,
+            done: stream.done
+          })),
+          filters: activeFilters,
+          last_start: lastStart,
+          last_keys: [...lastKeys]
+        }) : null
+      };
+    } catch (error) {
+      throw new Error(t('errors.listMeetings', { error: error.message }));
+    }
+  }
+
+  /**
+   * Return the next Google Meet event of a calendar stream without consuming
+   * it, fetching further pages as needed.
+   * @param {Object} stream - { calendarId, pageToken, index, done } position in one calendar
+   * @param {Object} params - events.list parameters shared by all calendars
+   * @param {Object} filters - Filters the event has to match (see listMeetings)
+   * @returns {Promise<Object|null>} - The next event, or null when the calendar is exhausted
+   */
+  async _peekMeetingEvent(stream, params, filters = {}) {
+    while (!stream.done) {
+      if (!stream.items) {
+        const response = await this.calendar.events.list({
+          ...params,
+          calendarId: stream.calendarId,
+          pageToken: stream.pageToken
+        });
+        stream.items = response.data.items || [];
+        stream.nextPageToken = response.data.nextPageToken;
+      }
+
+      // Skip events without conferenceData (not Google Meet) and ones the filters exclude
+      while (stream.index < stream.items.length) {
+        const event = stream.items[stream.index];
+        if (event.conferenceData && this._matchesFilters(event, filters)) {
+          return event;
+        }
+        stream.index++;
+      }
+
+      if (stream.nextPageToken) {
+        stream.pageToken = stream.nextPageToken;
+        stream.items = null;
+        stream.index = 0;
+      } else {
+        stream.done = true;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Check an event against listMeetings filters. The query is matched by Google, not here.
+   * @param {Object} event - Google Calendar event object
+   * @param {Object} filters - { attendee, organizer, responseStatus, minDuration, maxDuration, organizedByMe }
+   * @returns {boolean}
+   */
+  _matchesFilters(event, { attendee, organizer, responseStatus, minDuration, maxDuration, organizedByMe } = {}) {
+    if (attendee) {
+      const wanted = attendeeKey(attendee);
+      if (!(event.attendees || []).some(entry => attendeeKey(entry.email).includes(wanted))) {
+        return false;
+      }
+    }
+    if (organizer && !attendeeKey(event.organizer?.email).includes(attendeeKey(organizer))) {
+      return false;
+    }
+    if (organizedByMe && !event.organizer?.self) {
+      return false;
+    }
+    if (responseStatus && this._getSelfResponse(event) !== responseStatus) {
+      return false;
+    }
+    if (minDuration != null || maxDuration != null) {
+      const minutes = (new Date(event.end.dateTime || event.end.date) - this._eventStart(event)) / 60000;
+      if ((minDuration != null && minutes < minDuration) || (maxDuration != null && minutes > maxDuration)) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Get the authenticated user's response to an event.
+   * An organizer who isn't on the attendee list is going to their own meeting.
+   * @param {Object} event - Google Calendar event object
+   * @returns {string|null} - Response status, or null when the user isn't invited
+   */
+  _getSelfResponse(event) {
+    const self = (event.attendees || []).find(attendee => attendee.self);
+    if (self) {
+      return self.responseStatus || 'needsAction';
+    }
+    return event.organizer?.self ? 'accepted' : null;
+  }
+
+  /**
+   * Get the start of an event as epoch milliseconds.
+   * @param {Object} event - Google Calendar event object
+   * @returns {number}
+   */
+  _eventStart(event) {
+    return new Date(event.start.dateTime || event.start.date).getTime();
+  }
+
+  /**
+   * Encode a list position as an opaque cursor.
+   * @param {Object} position - Position to encode
+   * @returns {string}
+   */
+  _encodeCursor(position) {
+    return Buffer.from(JSON.stringify({ v: 1, ...position })).toString('base64url');
+  }
+
+  /**
+   * Decode a cursor produced by _encodeCursor.
+   * @param {string} cursor - Opaque cursor
+   * @returns {Object} - Decoded position
+   */
+  _decodeCursor(cursor) {
+    try {
+      const position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+      if (position.v !== 1 || !Array.isArray(position.calendars)) {
+        throw new Error('unsupported cursor');
+      }
+      return position;
     } catch (error) {
-      throw new Error(`列出會議時發生錯誤：${error.message}`);
+      throw new Error(t('api.invalidCursor'));
     }
   }
   
   /**
    * Get details of a specific Google Meet meeting.
    * @param {string} meetingId - ID of the meeting to retrieve
+   * @param {Object} options - Additional options
+   * @param {string} options.calendarId - Calendar the meeting is on (default: "primary")
    * @returns {Promise<Object>} - Meeting details
    */
-  async getMeeting(meetingId) {
+  async getMeeting(meetingId, { calendarId = 'primary' } = {}) {
     try {
       const response = await this.calendar.events.get({
-        calendarId: 'primary',
+        calendarId,
         eventId: meetingId,
         conferenceDataVersion: 1
       });
@@ -145,17 +596,17 @@ class GoogleMeetAPI {
       const event = response.data;
       
       if (!event.conferenceData) {
-        throw new Error(`ID 為 ${meetingId} 的事件沒有 Google Meet 會議資料`);
+        throw new Error(t('api.noConferenceData', { id: meetingId }));
       }
       
-      const meeting = this._formatMeetingData(event);
+      const meeting = this._formatMeetingData(event, calendarId);
       if (!meeting) {
-        throw new Error(`無法格式化事件 ID ${meetingId} 的會議資料`);
+        throw new Error(t('api.formatMeetingFailed', { id: meetingId }));
       }
       
       return meeting;
     } catch (error) {
-      throw new Error(`獲取會議資訊時發生錯誤：${error.message}`);
+      throw new Error(t('errors.getMeeting', { error: error.message }));
     }
   }
   
@@ -166,164 +617,930 @@ class GoogleMeetAPI {
    * @param {string} endTime - End time in ISO format
    * @param {string} description - Description for the meeting
    * @param {Array<string>} attendees - List of email addresses for attendees
-   * @returns {Promise<Object>} - Created meeting details
+   * @param {Object} options - Additional options
+   * @param {Object} options.recurrence - Structured recurrence spec (see buildRecurrenceRules)
+   * @param {string} options.timeZone - Time zone of the event (default: getDefaultTimeZone)
+   * @param {string} options.calendarId - Calendar to create the meeting on (default: "primary")
+   * @param {string} options.sendUpdates - Who gets the invitation: "all", "externalOnly" or "none"
+   *   (default: defaultSendUpdates)
+   * @param {string} options.notificationMessage - Message shown at the top of the invitation
+   * @param {Object} options.conferenceSettings - Settings of the meeting's Meet space (see _applyConferenceSettings)
+   * @param {Array<Object>} options.attachments - Drive files to attach (see _buildAttachments)
+   * @param {Array<Object>} options.agenda - Agenda items rendered at the end of the description (see renderAgenda)
+   * @param {boolean} options.dryRun - Only return the request that would be sent
+   * @returns {Promise<Object>} - Created meeting details, with conference_settings_error when the
+   *   conference settings couldn't be applied, or { dry_run, requests } for a dry run
    */
-  async createMeeting(summary, startTime, endTime, description = "", attendees = []) {
+  async createMeeting(summary, startTime, endTime, description = "", attendees = [], {
+    recurrence,
+    timeZone,
+    calendarId = 'primary',
+    sendUpdates,
+    notificationMessage,
+    conferenceSettings,
+    attachments,
+    agenda,
+    dryRun = false
+  } = {}) {
     // Prepare attendees list in the format required by the API
     const formattedAttendees = attendees.map(email => ({ email }));
     
-    // Create the event with Google Meet conferencing
-    const event = {
-      summary: summary,
-      description: description,
-      start: {
-        dateTime: startTime,
-        timeZone: 'UTC',
-      },
-      end: {
-        dateTime: endTime,
-        timeZone: 'UTC',
-      },
-      attendees: formattedAttendees,
-      conferenceData: {
-        createRequest: {
-          requestId: `meet-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`
+    try {
+      const notify = this._resolveSendUpdates(sendUpdates);
+      // Check the settings before the event exists, so bad settings don't leave a half-configured meeting
+      this._checkConferenceSettings(conferenceSettings);
+      const zone = await this.resolveTimeZone(timeZone);
+      const start = normalizeDateTime(startTime, zone);
+      const end = normalizeDateTime(endTime, zone);
+      const fullDescription = agenda
+        ? replaceAgenda(description, renderAgenda(agenda, { startTime: start, endTime: end, timeZone: zone }))
+        : description;
+
+      // Create the event with Google Meet conferencing
+      const event = {
+        summary: summary,
+        description: this._withNotificationMessage(fullDescription, notificationMessage, notify),
+        start: {
+          dateTime: start,
+          timeZone: zone,
+        },
+        end: {
+          dateTime: end,
+          timeZone: zone,
+        },
+        attendees: formattedAttendees,
+        conferenceData: {
+          createRequest: {
+            requestId: this._generateRequestId()
+          }
         }
+      };
+
+      if (recurrence) {
+        event.recurrence = buildRecurrenceRules(recurrence, { startTime: start, timeZone: zone });
       }
-    };
-    
-    try {
-      const response = await this.calendar.events.insert({
-        calendarId: 'primary',
+
+      if (attachments) {
+        event.attachments = this._buildAttachments(attachments);
+      }
+
+      const plan = dryRun ? [] : null;
+      const response = await this._write('insert', {
+        calendarId,
         conferenceDataVersion: 1,
-        sendUpdates: 'all', // Send invitations to all attendees
+        sendUpdates: notify,
         resource: event
-      });
+      }, { plan });
+      const createdEvent = notificationMessage && notify !== 'none'
+        ? await this._stripNotificationMessage(calendarId, response.data, fullDescription, { plan })
+        : response.data;
+
+      if (plan) {
+        await this._applyConferenceSettings(null, conferenceSettings, { plan });
+        return { dry_run: true, requests: plan };
+      }
       
-      const createdEvent = response.data;
-      const meeting = this._formatMeetingData(createdEvent);
+      const meeting = this._formatMeetingData(createdEvent, calendarId);
       
       if (!meeting) {
-        throw new Error('無法格式化創建的會議資料');
+        throw new Error(t('api.formatCreatedFailed'));
+      }
+
+      if (conferenceSettings) {
+        // The event exists and the invitations are out, so failing here would make a retry create a
+        // second meeting; the caller gets the meeting with the error and can retry with updateMeeting
+        try {
+          meeting.conference_settings = await this._applyConferenceSettings(
+            meeting.conference.meeting_code,
+            conferenceSettings
+          );
+        } catch (error) {
+          meeting.conference_settings_error = error.message;
+        }
       }
       
       return meeting;
     } catch (error) {
-      throw new Error(`創建會議時發生錯誤：${error.message}`);
+      throw new Error(t('errors.createMeeting', { error: error.message }));
     }
   }
   
   /**
    * Update an existing Google Meet meeting.
-   * @param {string} meetingId - ID of the meeting to update
-   * @param {Object} updates - Updates to apply
-   * @returns {Promise<Object>} - Updated meeting details
+   * For recurring meetings, `scope` selects which occurrences change:
+   * "this" (only the given instance), "following" (the given instance and
+   * every later one, which splits the series) or "all" (the whole series).
+   * Offset-less times are read in `timeZone`, which defaults to the event's own zone.
+   * @param {string} meetingId - ID of the meeting (or meeting instance) to update
+   * @param {Object} updates - Updates to apply; `calendarId` selects the calendar (default: "primary"),
+   *   `sendUpdates` who is notified (default: defaultSendUpdates), `notificationMessage` a message
+   *   shown at the top of the update email, `conferenceSettings` changes the settings of the meeting's
+   *   Meet space (see _applyConferenceSettings), `attachments` replaces the attached Drive files (an empty
+   *   list removes them), `agenda` renders agenda items at the end of the description, replacing an earlier
+   *   agenda, and `dryRun` only returns the requests that would be sent, with a diff against the current events
+   * @returns {Promise<Object>} - Updated meeting details, or { dry_run, scope, requests } for a dry run
    */
-  async updateMeeting(meetingId, { summary, description, startTime, endTime, attendees } = {}) {
+  async updateMeeting(meetingId, {
+    summary,
+    description,
+    startTime,
+    endTime,
+    attendees,
+    recurrence,
+    timeZone,
+    scope,
+    calendarId = 'primary',
+    sendUpdates,
+    notificationMessage,
+    conferenceSettings,
+    attachments,
+    agenda,
+    dryRun = false
+  } = {}) {
     try {
+      const plan = dryRun ? [] : null;
+      const notify = this._resolveSendUpdates(sendUpdates);
+      this._checkConferenceSettings(conferenceSettings);
+
       // First get the existing event
       const existingResponse = await this.calendar.events.get({
-        calendarId: 'primary',
+        calendarId,
         eventId: meetingId,
         conferenceDataVersion: 1
       });
       
       const existingEvent = existingResponse.data;
-      
-      // Prepare the update object
-      const updates = {
-        ...existingEvent,
+      const zone = timeZone
+        ? await this.resolveTimeZone(timeZone)
+        : existingEvent.start.timeZone || await this.getDefaultTimeZone();
+      const start = startTime !== undefined ? normalizeDateTime(startTime, zone) : undefined;
+      const end = endTime !== undefined ? normalizeDateTime(endTime, zone) : undefined;
+      // The agenda's time boxes follow the new times when the meeting moves
+      const fullDescription = agenda
+        ? replaceAgenda(description ?? existingEvent.description, renderAgenda(agenda, {
+            startTime: start || existingEvent.start.dateTime || existingEvent.start.date,
+            endTime: end || existingEvent.end.dateTime || existingEvent.end.date,
+            timeZone: zone
+          }))
+        : description;
+      const fields = {
+        summary,
+        description: notificationMessage && notify !== 'none'
+          ? this._withNotificationMessage(fullDescription ?? existingEvent.description, notificationMessage, notify)
+          : fullDescription,
+        startTime: start,
+        endTime: end,
+        attendees,
+        recurrence,
+        timeZone: timeZone !== undefined ? zone : undefined,
+        attachments: attachments !== undefined ? this._buildAttachments(attachments) : undefined
       };
-      
-      if (summary !== undefined) {
-        updates.summary = summary;
+      const effectiveScope = this._resolveRecurrenceScope(existingEvent, scope);
+
+      if (existingEvent.recurringEventId && effectiveScope === 'this' && recurrence !== undefined) {
+        throw new Error(t('api.instanceRecurrence'));
       }
-      
-      if (description !== undefined) {
-        updates.description = description;
+
+      const meetingCode = existingEvent.conferenceData
+        ? this._formatConference(existingEvent.conferenceData).meeting_code
+        : '';
+      if (conferenceSettings && !meetingCode) {
+        throw new Error(t('api.noConference', { id: meetingId }));
       }
-      
-      if (startTime !== undefined) {
-        updates.start = {
-          dateTime: startTime,
-          timeZone: 'UTC',
-        };
+
+      let updatedEvent;
+      if (conferenceSettings && Object.values(fields).every(value => value === undefined)) {
+        // Only the Meet space changes; rewriting the event would email every attendee for nothing
+        updatedEvent = existingEvent;
+      } else if (existingEvent.recurringEventId && effectiveScope === 'all') {
+        updatedEvent = await this._updateSeries(calendarId, existingEvent, fields, { plan, sendUpdates: notify });
+      } else if (existingEvent.recurringEventId && effectiveScope === 'following') {
+        updatedEvent = await this._splitSeries(calendarId, existingEvent, fields, { plan, sendUpdates: notify });
+      } else {
+        const response = await this._write('update', {
+          calendarId,
+          eventId: meetingId,
+          conferenceDataVersion: 1,
+          sendUpdates: notify,
+          resource: this._applyEventUpdates({ ...existingEvent }, fields)
+        }, { plan, before: existingEvent });
+        updatedEvent = response.data;
       }
-      
-      if (endTime !== undefined) {
-        updates.end = {
-          dateTime: endTime,
-          timeZone: 'UTC',
-        };
+
+      if (fields.description !== fullDescription) {
+        updatedEvent = await this._stripNotificationMessage(
+          calendarId,
+          updatedEvent,
+          fullDescription ?? existingEvent.description,
+          { plan }
+        );
       }
-      
-      if (attendees !== undefined) {
-        updates.attendees = attendees.map(email => ({ email }));
+
+      // Every occurrence of a recurring meeting shares one Meet space, so the scope doesn't matter here
+      const spaceSettings = conferenceSettings
+        ? await this._applyConferenceSettings(meetingCode, conferenceSettings, { plan })
+        : null;
+
+      if (plan) {
+        return { dry_run: true, scope: effectiveScope, requests: plan };
       }
       
-      const response = await this.calendar.events.update({
-        calendarId: 'primary',
-        eventId: meetingId,
-        conferenceDataVersion: 1,
-        sendUpdates: 'all', // Send updates to all attendees
-        resource: updates
-      });
-      
-      const updatedEvent = response.data;
-      const meeting = this._formatMeetingData(updatedEvent);
+      const meeting = this._formatMeetingData(updatedEvent, calendarId);
       
       if (!meeting) {
-        throw new Error('無法格式化更新的會議資料');
+        throw new Error(t('api.formatUpdatedFailed'));
+      }
+
+      if (spaceSettings) {
+        meeting.conference_settings = spaceSettings;
       }
       
       return meeting;
     } catch (error) {
-      throw new Error(`更新會議時發生錯誤：${error.message}`);
+      throw new Error(t('errors.updateMeeting', { error: error.message }));
     }
   }
   
   /**
    * Delete a Google Meet meeting.
-   * @param {string} meetingId - ID of the meeting to delete
-   * @returns {Promise<void>}
+   * For recurring meetings, `scope` works the same way as in updateMeeting.
+   * @param {string} meetingId - ID of the meeting (or meeting instance) to delete
+   * @param {Object} options - Delete options
+   * @param {string} options.scope - "this", "following" or "all"
+   * @param {string} options.calendarId - Calendar the meeting is on (default: "primary")
+   * @param {string} options.sendUpdates - Who gets the cancellation (default: defaultSendUpdates)
+   * @param {string} options.notificationMessage - Message shown at the top of the cancellation
+   * @param {boolean} options.dryRun - Only return the requests that would be sent
+   * @returns {Promise<Object>} - The deleted event ID and the applied scope, plus
+   *   { dry_run, requests } for a dry run
    */
-  async deleteMeeting(meetingId) {
+  async deleteMeeting(meetingId, { scope, calendarId = 'primary', sendUpdates, notificationMessage, dryRun = false } = {}) {
+    const plan = dryRun ? [] : null;
+    const dryRunResult = plan ? { dry_run: true, requests: plan } : {};
+
     try {
-      await this.calendar.events.delete({
-        calendarId: 'primary',
-        eventId: meetingId,
-        sendUpdates: 'all' // Send cancellation to all attendees
+      const notify = this._resolveSendUpdates(sendUpdates);
+      const existingResponse = await this.calendar.events.get({
+        calendarId,
+        eventId: meetingId
       });
+
+      const existingEvent = existingResponse.data;
+      const effectiveScope = this._resolveRecurrenceScope(existingEvent, scope);
+      let deletedEvent = existingEvent;
+
+      if (existingEvent.recurringEventId && effectiveScope !== 'this') {
+        const masterResponse = await this.calendar.events.get({
+          calendarId,
+          eventId: existingEvent.recurringEventId
+        });
+        const master = masterResponse.data;
+        const splitPoint = new Date(existingEvent.originalStartTime.dateTime || existingEvent.originalStartTime.date);
+
+        if (effectiveScope === 'following' && splitPoint > new Date(master.start.dateTime || master.start.date)) {
+          // Keep the earlier occurrences by ending the series just before this one
+          const resource = {
+            recurrence: truncateRecurrenceRules(master.recurrence || [], splitPoint)
+          };
+          if (notificationMessage && notify !== 'none') {
+            resource.description = this._withNotificationMessage(master.description, notificationMessage, notify);
+          }
+          const response = await this._write('patch', {
+            calendarId,
+            eventId: master.id,
+            sendUpdates: notify,
+            resource
+          }, { plan, before: master });
+          if (resource.description !== undefined) {
+            await this._stripNotificationMessage(calendarId, response.data, master.description, { plan });
+          }
+          return { id: meetingId, scope: effectiveScope, ...dryRunResult };
+        }
+
+        deletedEvent = master;
+      }
+
+      // The cancellation email shows the event's description, so the message goes there first
+      // without notifying anyone; the event is gone afterwards, so nothing needs to be taken back out
+      if (notificationMessage && notify !== 'none') {
+        await this._write('patch', {
+          calendarId,
+          eventId: deletedEvent.id,
+          sendUpdates: 'none',
+          resource: {
+            description: this._withNotificationMessage(deletedEvent.description, notificationMessage, notify)
+          }
+        }, { plan, before: deletedEvent });
+      }
+
+      await this._write('delete', {
+        calendarId,
+        eventId: deletedEvent.id,
+        sendUpdates: notify
+      }, { plan });
+
+      return { id: deletedEvent.id, scope: effectiveScope, ...dryRunResult };
     } catch (error) {
-      throw new Error(`刪除會議時發生錯誤：${error.message}`);
+      throw new Error(t('errors.deleteMeeting', { error: error.message }));
     }
   }
 
   /**
-   * Check for time conflicts with existing events.
-   * @param {string} startTime - Start time in ISO format
-   * @param {string} endTime - End time in ISO format
-   * @param {Array<string>} calendars - List of calendar IDs to check
-   * @returns {Promise<Array>} - List of conflicting events
+   * Add attendees to a meeting, or change the optional flag or display name of ones already invited.
+   * Everyone else keeps their entry, including their response status.
+   * @param {string} meetingId - ID of the meeting (a recurring meeting's instance ID changes only that occurrence)
+   * @param {Array<Object>} attendees - [{ email, optional, displayName, resource }]
+   * @param {Object} options - { calendarId, sendUpdates, dryRun } as in updateMeeting
+   * @returns {Promise<Object>} - { meeting, added, updated }, or { dry_run, requests } for a dry run
    */
-  async checkTimeConflicts(startTime, endTime, calendars = ['primary']) {
+  async addAttendees(meetingId, attendees, { calendarId = 'primary', sendUpdates, dryRun = false } = {}) {
     try {
-      const conflicts = [];
-      
-      for (const calendarId of calendars) {
-        const response = await this.calendar.events.list({
-          calendarId: calendarId,
-          timeMin: startTime,
-          timeMax: endTime,
-          singleEvents: true,
-          orderBy: 'startTime',
-          conferenceDataVersion: 1
-        });
-        
-        const events = response.data.items || [];
-        
-        for (const event of events) {
-          // Check if events overlap
+      if (!Array.isArray(attendees) || attendees.some(attendee => !attendeeKey(attendee?.email))) {
+        throw new Error(t('api.attendeeEmailRequired'));
+      }
+
+      const notify = this._resolveSendUpdates(sendUpdates);
+      const existingEvent = await this._getEvent(calendarId, meetingId);
+      const list = (existingEvent.attendees || []).map(attendee => ({ ...attendee }));
+      const added = [];
+      const updated = [];
+
+      for (const { email, optional, displayName, resource } of attendees) {
+        const current = list.find(attendee => attendeeKey(attendee.email) === attendeeKey(email));
+        const changes = {};
+        if (optional !== undefined) {
+          changes.optional = optional;
+        }
+        if (displayName !== undefined) {
+          changes.displayName = displayName;
+        }
+        if (resource !== undefined) {
+          changes.resource = resource;
+        }
+
+        if (!current) {
+          list.push({ email: email.trim(), ...changes });
+          added.push(email.trim());
+        } else if (Object.keys(changes).some(key => current[key] !== changes[key])) {
+          Object.assign(current, changes);
+          updated.push(current.email);
+        }
+      }
+
+      return await this._patchAttendees(calendarId, existingEvent, list, { sendUpdates: notify, dryRun }, { added, updated });
+    } catch (error) {
+      throw new Error(t('errors.addAttendees', { error: error.message }));
+    }
+  }
+
+  /**
+   * Remove attendees from a meeting. Everyone else keeps their entry, including their response status.
+   * @param {string} meetingId - ID of the meeting (a recurring meeting's instance ID changes only that occurrence)
+   * @param {Array<string>} emails - Email addresses to remove
+   * @param {Object} options - { calendarId, sendUpdates, dryRun } as in updateMeeting
+   * @returns {Promise<Object>} - { meeting, removed, not_found }, or { dry_run, requests } for a dry run
+   */
+  async removeAttendees(meetingId, emails, { calendarId = 'primary', sendUpdates, dryRun = false } = {}) {
+    try {
+      const notify = this._resolveSendUpdates(sendUpdates);
+      const existingEvent = await this._getEvent(calendarId, meetingId);
+      const existing = existingEvent.attendees || [];
+      const keys = new Set(emails.map(attendeeKey));
+
+      const removed = existing.filter(attendee => keys.has(attendeeKey(attendee.email))).map(attendee => attendee.email);
+      const removedKeys = new Set(removed.map(attendeeKey));
+      const notFound = emails.filter(email => !removedKeys.has(attendeeKey(email)));
+      const list = existing.filter(attendee => !keys.has(attendeeKey(attendee.email)));
+
+      return await this._patchAttendees(calendarId, existingEvent, list, { sendUpdates: notify, dryRun }, {
+        removed,
+        not_found: notFound
+      });
+    } catch (error) {
+      throw new Error(t('errors.removeAttendees', { error: error.message }));
+    }
+  }
+
+  /**
+   * Respond to a meeting invitation as the authenticated user.
+   * @param {string} meetingId - ID of the meeting (a recurring meeting's occurrence ID answers only that occurrence)
+   * @param {Object} options - Response options
+   * @param {string} options.response - "accepted", "declined" or "tentative"
+   * @param {string} options.comment - Note to the organizer
+   * @param {string} options.calendarId - Calendar the meeting is on (default: "primary")
+   * @param {string} options.sendUpdates - Who is notified (default: defaultSendUpdates)
+   * @returns {Promise<Object>} - Meeting details with the new response
+   */
+  async respondToMeeting(meetingId, { response, comment, calendarId = 'primary', sendUpdates } = {}) {
+    try {
+      if (!RESPONSE_STATUSES.includes(response) || response === 'needsAction') {
+        throw new Error(t('api.invalidResponse', {
+          value: response,
+          values: RESPONSE_STATUSES.filter(status => status !== 'needsAction').join(', ')
+        }));
+      }
+
+      const notify = this._resolveSendUpdates(sendUpdates);
+      const existingEvent = await this._getEvent(calendarId, meetingId);
+      const attendees = (existingEvent.attendees || []).map(attendee => ({ ...attendee }));
+      const self = attendees.find(attendee => attendee.self);
+      if (!self) {
+        throw new Error(t('api.notInvited', { id: meetingId }));
+      }
+
+      // Only the user's own entry changes; Google rejects edits to other guests' responses
+      self.responseStatus = response;
+      if (comment !== undefined) {
+        self.comment = comment;
+      }
+
+      const { data } = await this._write('patch', {
+        calendarId,
+        eventId: existingEvent.id,
+        sendUpdates: notify,
+        resource: { attendees }
+      });
+
+      const meeting = this._formatMeetingData({ ...existingEvent, ...data }, calendarId);
+      if (!meeting) {
+        throw new Error(t('api.formatUpdatedFailed'));
+      }
+      return meeting;
+    } catch (error) {
+      throw new Error(t('errors.respondToMeeting', { error: error.message }));
+    }
+  }
+
+  /**
+   * Fetch an event with its conference data
+   * @param {string} calendarId - Calendar the event is on
+   * @param {string} eventId - Event ID
+   * @returns {Promise<Object>} - Google Calendar event object
+   */
+  async _getEvent(calendarId, eventId) {
+    const response = await this.calendar.events.get({
+      calendarId,
+      eventId,
+      conferenceDataVersion: 1
+    });
+    return response.data;
+  }
+
+  /**
+   * Replace an event's attendee list with a patch, so no other field is touched.
+   * Nothing is sent when the list didn't change.
+   * @param {string} calendarId - Calendar the event is on
+   * @param {Object} event - Current event
+   * @param {Array<Object>} attendees - New attendee list
+   * @param {Object} options - { sendUpdates, dryRun }
+   * @param {Object} changes - Summary of the changes, returned with the meeting
+   * @returns {Promise<Object>} - { meeting, ...changes }, or { dry_run, requests } for a dry run
+   */
+  async _patchAttendees(calendarId, event, attendees, { sendUpdates, dryRun }, changes) {
+    const plan = dryRun ? [] : null;
+    let updatedEvent = event;
+
+    if (!isSameValue(event.attendees || [], attendees)) {
+      const response = await this._write('patch', {
+        calendarId,
+        eventId: event.id,
+        sendUpdates,
+        resource: { attendees }
+      }, { plan, before: event });
+      updatedEvent = { ...event, ...response.data };
+    }
+
+    if (plan) {
+      return { dry_run: true, requests: plan };
+    }
+
+    const meeting = this._formatMeetingData(updatedEvent, calendarId);
+    if (!meeting) {
+      throw new Error(t('api.formatUpdatedFailed'));
+    }
+    return { meeting, ...changes };
+  }
+
+  /**
+   * Work out which recurrence scope applies to an event.
+   * Instances default to "this" and everything else to "all".
+   * @param {Object} event - Google Calendar event object
+   * @param {string} scope - Requested scope, if any
+   * @returns {string} - Effective scope
+   */
+  _resolveRecurrenceScope(event, scope) {
+    if (scope !== undefined && !RECURRENCE_SCOPES.includes(scope)) {
+      throw new Error(t('api.invalidScope', { scope, values: RECURRENCE_SCOPES.join(', ') }));
+    }
+
+    if (event.recurringEventId) {
+      return scope || 'this';
+    }
+
+    if (event.recurrence && scope && scope !== 'all') {
+      throw new Error(t('api.scopeNeedsInstance', { id: event.id, scope }));
+    }
+
+    return 'all';
+  }
+
+  /**
+   * Work out who is notified about a change.
+   * @param {string} sendUpdates - Requested policy, if any
+   * @returns {string} - "all", "externalOnly" or "none"
+   */
+  _resolveSendUpdates(sendUpdates) {
+    const value = sendUpdates || this.defaultSendUpdates;
+    if (!SEND_UPDATES_OPTIONS.includes(value)) {
+      throw new Error(t('api.invalidSendUpdates', { value, values: SEND_UPDATES_OPTIONS.join(', ') }));
+    }
+    return value;
+  }
+
+  /**
+   * Put a notification message above an event description.
+   * The Calendar API has no separate field for it; Google's emails include the description.
+   * @param {string} description - Event description
+   * @param {string} message - Message for the notified guests
+   * @param {string} sendUpdates - Notification policy; nobody would read the message with "none"
+   * @returns {string} - Description to send
+   */
+  _withNotificationMessage(description, message, sendUpdates) {
+    if (!message || sendUpdates === 'none') {
+      return description;
+    }
+    return description ? `${message}\n\n${description}` : message;
+  }
+
+  /**
+   * Put an event's description back without the notification message once the notification went out,
+   * so the message doesn't stay on the event and pile up with later ones.
+   * @param {string} calendarId - Calendar the event is on
+   * @param {Object} event - Event as written with the message
+   * @param {string} description - Description without the message
+   * @param {Object} options - { plan } collects the request instead of sending it
+   * @returns {Promise<Object>} - The event without the message
+   */
+  async _stripNotificationMessage(calendarId, event, description, { plan = null } = {}) {
+    const response = await this._write('patch', {
+      calendarId,
+      eventId: event.id,
+      sendUpdates: 'none',
+      resource: { description: description || '' }
+    }, { plan, before: event });
+    return plan ? event : response.data;
+  }
+
+  /**
+   * Build the attachments of an event from Drive files.
+   * @param {Array<Object>} attachments - [{ file, title, mimeType }], where file is a Drive file URL or ID
+   * @returns {Array<Object>} - Attachments in the Calendar API format
+   */
+  _buildAttachments(attachments) {
+    if (attachments.length > MAX_ATTACHMENTS) {
+      throw new Error(t('api.tooManyAttachments', { count: attachments.length, max: MAX_ATTACHMENTS }));
+    }
+    return attachments.map(({ file, title, mimeType }) => {
+      const value = String(file || '').trim();
+      if (!value) {
+        throw new Error(t('api.attachmentFileRequired'));
+      }
+      const attachment = {
+        // A bare file ID is turned into the URL the API expects
+        fileUrl: /^https?:\/\//i.test(value) ? value : `https://drive.google.com/open?id=${encodeURIComponent(value)}`
+      };
+      if (title) {
+        attachment.title = title;
+      }
+      if (mimeType) {
+        attachment.mimeType = mimeType;
+      }
+      return attachment;
+    });
+  }
+
+  /**
+   * Check conference settings before anything is written: the values must be valid and
+   * the account must have granted the scope that changes the settings of a Meet space.
+   * @param {Object} settings - Conference settings, or undefined when none are given
+   */
+  _checkConferenceSettings(settings) {
+    if (!settings) {
+      return;
+    }
+    const { coHosts, ...spaceSettings } = settings;
+    buildSpaceConfig(spaceSettings);
+    if (!this.canPerform('meet_settings')) {
+      throw new Error(t('api.conferenceSettingsScope'));
+    }
+  }
+
+  /**
+   * Apply conference settings to the Meet space of a meeting.
+   * @param {string} meetingCode - Meeting code of the event's Meet link; null for an event not created yet
+   * @param {Object} settings - Space settings as in buildSpaceConfig (accessType, moderation,
+   *   autoRecording, autoTranscription, ...) plus coHosts, email addresses to make co-hosts
+   * @param {Object} options - { plan } collects the requests instead of sending them
+   * @returns {Promise<Object|null>} - Space details with co_hosts_added, or null for a dry run
+   */
+  async _applyConferenceSettings(meetingCode, settings, { plan = null } = {}) {
+    if (!settings) {
+      return null;
+    }
+    const { coHosts = [], ...spaceSettings } = settings;
+    const { config, updateMask } = buildSpaceConfig(spaceSettings);
+
+    if (plan) {
+      const space = meetingCode ? `spaces/${meetingCode}` : null;
+      if (updateMask.length > 0) {
+        plan.push({ method: 'spaces.patch', space, update_mask: updateMask.join(','), body: { config } });
+      }
+      for (const email of coHosts) {
+        plan.push({ method: 'spaces.members.create', space, body: { email, role: 'COHOST' } });
+      }
+      return null;
+    }
+
+    if (!meetingCode) {
+      throw new Error(t('api.noConferenceCode'));
+    }
+    const space = updateMask.length > 0
+      ? await this.spaces.updateSpace(meetingCode, spaceSettings)
+      : await this.spaces.getSpace(meetingCode);
+    return {
+      ...space,
+      co_hosts_added: coHosts.length > 0 ? await this.spaces.addCoHosts(meetingCode, coHosts) : []
+    };
+  }
+
+  /**
+   * Apply update fields to an event resource.
+   * A new `timeZone` without new times moves the event to that zone while
+   * keeping its instants, so recurrences follow the new zone's DST rules.
+   * @param {Object} event - Event resource to modify
+   * @param {Object} fields - { summary, description, startTime, endTime, attendees, recurrence, timeZone, attachments }
+   * @returns {Object} - The modified event resource
+   */
+  _applyEventUpdates(event, { summary, description, startTime, endTime, attendees, recurrence, timeZone, attachments }) {
+    const zone = timeZone || (event.start && event.start.timeZone) || 'UTC';
+
+    if (summary !== undefined) {
+      event.summary = summary;
+    }
+    
+    if (description !== undefined) {
+      event.description = description;
+    }
+    
+    if (startTime !== undefined) {
+      event.start = {
+        dateTime: startTime,
+        timeZone: zone,
+      };
+    } else if (timeZone && event.start.dateTime) {
+      event.start = { ...event.start, timeZone: zone };
+    }
+    
+    if (endTime !== undefined) {
+      event.end = {
+        dateTime: endTime,
+        timeZone: zone,
+      };
+    } else if (timeZone && event.end.dateTime) {
+      event.end = { ...event.end, timeZone: zone };
+    }
+    
+    if (attendees !== undefined) {
+      // Attendees who stay keep their entry, so their response and optional flag survive
+      const current = new Map((event.attendees || []).map(attendee => [attendeeKey(attendee.email), attendee]));
+      event.attendees = attendees.map(email => current.get(attendeeKey(email)) || { email });
+    }
+
+    if (recurrence !== undefined) {
+      event.recurrence = recurrence
+        ? buildRecurrenceRules(recurrence, {
+            startTime: event.start.dateTime || event.start.date,
+            timeZone: zone
+          })
+        : [];
+    }
+
+    if (attachments !== undefined) {
+      event.attachments = attachments;
+    }
+
+    return event;
+  }
+
+  /**
+   * Update every occurrence of the series an instance belongs to.
+   * New start/end times are applied to the series as a shift relative to the instance.
+   * @param {string} calendarId - Calendar the series is on
+   * @param {Object} instance - Instance event the user referred to
+   * @param {Object} fields - Update fields
+   * @param {Object} options - { plan } collects the requests instead of sending them (dry run),
+   *   { sendUpdates } who is notified
+   * @returns {Promise<Object>} - Updated series event
+   */
+  async _updateSeries(calendarId, instance, { startTime, endTime, ...fields }, { plan = null, sendUpdates = 'all' } = {}) {
+    const masterResponse = await this.calendar.events.get({
+      calendarId,
+      eventId: instance.recurringEventId,
+      conferenceDataVersion: 1
+    });
+    const master = { ...masterResponse.data };
+
+    if (startTime !== undefined) {
+      const shift = new Date(startTime) - new Date(instance.start.dateTime || instance.start.date);
+      master.start = this._shiftEventTime(master.start, shift);
+    }
+    if (endTime !== undefined) {
+      const shift = new Date(endTime) - new Date(instance.end.dateTime || instance.end.date);
+      master.end = this._shiftEventTime(master.end, shift);
+    }
+
+    const response = await this._write('update', {
+      calendarId,
+      eventId: master.id,
+      conferenceDataVersion: 1,
+      sendUpdates,
+      resource: this._applyEventUpdates(master, fields)
+    }, { plan, before: masterResponse.data });
+
+    return response.data;
+  }
+
+  /**
+   * Split a series at an instance: earlier occurrences stay on the original
+   * series, and the instance plus every later one move to a new series with
+   * the updates applied. The new series gets its own Google Meet link.
+   * @param {string} calendarId - Calendar the series is on
+   * @param {Object} instance - Instance event the user referred to
+   * @param {Object} fields - Update fields
+   * @param {Object} options - { plan, sendUpdates } as in _updateSeries
+   * @returns {Promise<Object>} - The new series event
+   */
+  async _splitSeries(calendarId, instance, fields, options = {}) {
+    const { plan = null, sendUpdates = 'all' } = options;
+    const masterResponse = await this.calendar.events.get({
+      calendarId,
+      eventId: instance.recurringEventId,
+      conferenceDataVersion: 1
+    });
+    const master = masterResponse.data;
+    const splitPoint = new Date(instance.originalStartTime.dateTime || instance.originalStartTime.date);
+
+    // Splitting at the first occurrence is the same as changing the whole series
+    if (splitPoint <= new Date(master.start.dateTime || master.start.date)) {
+      return this._updateSeries(calendarId, instance, fields, options);
+    }
+
+    let rules = master.recurrence || [];
+    const count = getRecurrenceCount(rules);
+    if (count !== null) {
+      const earlierResponse = await this.calendar.events.instances({
+        calendarId,
+        eventId: master.id,
+        timeMax: splitPoint.toISOString(),
+        showDeleted: true,
+        maxResults: 2500
+      });
+      const earlierCount = (earlierResponse.data.items || []).length;
+      rules = replaceRecurrenceCount(rules, Math.max(count - earlierCount, 1));
+    }
+
+    // Everything else on the master (attachments, reminders, guest permissions…) carries over
+    const carried = { ...master };
+    for (const field of SERIES_IDENTITY_FIELDS) {
+      delete carried[field];
+    }
+
+    const newSeries = this._applyEventUpdates({
+      ...carried,
+      attendees: (master.attendees || []).map(({ email, optional, displayName }) => ({ email, optional, displayName })),
+      start: instance.start,
+      end: instance.end,
+      recurrence: rules,
+      conferenceData: {
+        createRequest: {
+          requestId: this._generateRequestId()
+        }
+      }
+    }, fields);
+
+    const response = await this._write('insert', {
+      calendarId,
+      conferenceDataVersion: 1,
+      sendUpdates,
+      resource: newSeries
+    }, { plan });
+
+    await this._write('patch', {
+      calendarId,
+      eventId: master.id,
+      sendUpdates,
+      resource: {
+        recurrence: truncateRecurrenceRules(master.recurrence || [], splitPoint)
+      }
+    }, { plan, before: master });
+
+    return response.data;
+  }
+
+  /**
+   * Send an events write request, or only record it when planning a dry run.
+   * @param {string} method - insert, update, patch or delete
+   * @param {Object} params - Request parameters
+   * @param {Object} options - Write options
+   * @param {Array<Object>} options.plan - Collects the request instead of sending it
+   * @param {Object} options.before - Current event, for the diff of an update or patch
+   * @returns {Promise<Object>} - The API response; for a dry run, the request body as data
+   */
+  async _write(method, params, { plan = null, before = null } = {}) {
+    if (!plan) {
+      // Without supportsAttachments the API drops the attachments of the events it writes
+      return this.calendar.events[method](method === 'delete' ? params : { ...params, supportsAttachments: true });
+    }
+
+    const request = {
+      method: `events.${method}`,
+      calendar_id: params.calendarId,
+      event_id: params.eventId || null,
+      send_updates: params.sendUpdates || null,
+      body: params.resource || null
+    };
+    if (before && params.resource) {
+      // A patch only touches the fields it sends
+      request.diff = this._diffEvent(before, params.resource, method === 'patch' ? Object.keys(params.resource) : null);
+    }
+    plan.push(request);
+
+    return { data: params.resource || {} };
+  }
+
+  /**
+   * List the fields that differ between two event resources.
+   * @param {Object} before - Current event
+   * @param {Object} after - Event as it would be sent
+   * @param {Array<string>} fields - Fields to compare (default: every field of either event)
+   * @returns {Array<Object>} - [{ field, before, after }]
+   */
+  _diffEvent(before, after, fields = null) {
+    const names = fields || [...new Set([...Object.keys(before), ...Object.keys(after)])];
+    return names
+      .filter(field => !isSameValue(before[field], after[field]))
+      .map(field => ({ field, before: before[field] ?? null, after: after[field] ?? null }));
+  }
+
+  /**
+   * Shift an event start/end by a number of milliseconds.
+   * @param {Object} time - Event time ({ dateTime, timeZone } or { date })
+   * @param {number} shift - Milliseconds to shift by
+   * @returns {Object} - Shifted event time
+   */
+  _shiftEventTime(time, shift) {
+    if (time.date) {
+      return { date: new Date(new Date(time.date).getTime() + shift).toISOString().slice(0, 10) };
+    }
+    return {
+      dateTime: new Date(new Date(time.dateTime).getTime() + shift).toISOString(),
+      timeZone: time.timeZone
+    };
+  }
+
+  /**
+   * Generate a unique request ID for conference creation.
+   * @returns {string}
+   */
+  _generateRequestId() {
+    return `meet-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+  }
+
+  /**
+   * Check for time conflicts with existing events.
+   * @param {string} startTime - Start time in ISO format
+   * @param {string} endTime - End time in ISO format
+   * @param {Array<string>} calendars - List of calendar IDs to check
+   * @returns {Promise<Array>} - List of conflicting events
+   */
+  async checkTimeConflicts(startTime, endTime, calendars = ['primary']) {
+    try {
+      const conflicts = [];
+      
+      for (const calendarId of calendars) {
+        const response = await this.calendar.events.list({
+          calendarId: calendarId,
+          timeMin: startTime,
+          timeMax: endTime,
+          singleEvents: true,
+          orderBy: 'startTime',
+          conferenceDataVersion: 1
+        });
+        
+        const events = response.data.items || [];
+        
+        for (const event of events) {
+          // Check if events overlap
           const eventStart = new Date(event.start.dateTime || event.start.date);
           const eventEnd = new Date(event.end.dateTime || event.end.date);
           const checkStart = new Date(startTime);
@@ -333,7 +1550,7 @@ class GoogleMeetAPI {
           if (eventStart < checkEnd && checkStart < eventEnd) {
             conflicts.push({
               id: event.id,
-              summary: event.summary || '無標題',
+              summary: event.summary || t('common.untitled'),
               start_time: event.start.dateTime || event.start.date,
               end_time: event.end.dateTime || event.end.date,
               calendar: calendarId
@@ -344,7 +1561,7 @@ class GoogleMeetAPI {
       
       return conflicts;
     } catch (error) {
-      throw new Error(`檢查時間衝突時發生錯誤：${error.message}`);
+      throw new Error(t('errors.checkConflicts', { error: error.message }));
     }
   }
 
@@ -369,7 +1586,7 @@ class GoogleMeetAPI {
         }
       };
     } catch (error) {
-      throw new Error(`檢查可用性時發生錯誤：${error.message}`);
+      throw new Error(t('errors.checkAvailability', { error: error.message }));
     }
   }
 
@@ -408,47 +1625,545 @@ class GoogleMeetAPI {
         calendars: busyTimes
       };
     } catch (error) {
-      throw new Error(`獲取忙碌時間資訊時發生錯誤：${error.message}`);
+      throw new Error(t('errors.freeBusy', { error: error.message }));
     }
   }
 
+  /**
+   * Find time slots where every attendee is free, ranked by preference.
+   * Slots inside working hours score higher when they are earlier in the
+   * search range and when they leave a buffer around neighbouring meetings.
+   * @param {Object} options - Search options
+   * @param {Array<string>} options.attendees - Attendee emails (their calendar IDs)
+   * @param {number} options.durationMinutes - Meeting length in minutes
+   * @param {string} options.timeMin - Search range start in ISO format
+   * @param {string} options.timeMax - Search range end in ISO format
+   * @param {string} options.timeZone - Time zone for working hours and offset-less times
+   *   (default: getDefaultTimeZone)
+   * @param {string} options.workingHoursStart - Working day start ("HH:MM")
+   * @param {string} options.workingHoursEnd - Working day end ("HH:MM")
+   * @param {Array<string>} options.workingDays - Weekday codes ("MO".."SU")
+   * @param {Array<string>} options.calendars - Extra calendar IDs to include
+   * @param {number} options.slotIntervalMinutes - Step between candidate starts
+   * @param {number} options.maxResults - Maximum number of slots to return
+   * @returns {Promise<Object>} - Ranked candidate slots
+   */
+  async findMeetingSlots({
+    attendees = [],
+    durationMinutes,
+    timeMin,
+    timeMax,
+    timeZone,
+    workingHoursStart = '09:00',
+    workingHoursEnd = '18:00',
+    workingDays = ['MO', 'TU', 'WE', 'TH', 'FR'],
+    calendars = ['primary'],
+    slotIntervalMinutes = 30,
+    maxResults = 5
+  } = {}) {
+    timeZone = await this.resolveTimeZone(timeZone);
+    const rangeStart = new Date(normalizeDateTime(timeMin, timeZone));
+    const rangeEnd = new Date(normalizeDateTime(timeMax, timeZone));
+    const workStart = parseClockTime(workingHoursStart);
+    const workEnd = parseClockTime(workingHoursEnd);
+
+    if (rangeStart >= rangeEnd) {
+      throw new Error(t('api.invalidSearchRange'));
+    }
+    if (!durationMinutes || durationMinutes <= 0) {
+      throw new Error(t('api.invalidDuration'));
+    }
+    if (!slotIntervalMinutes || slotIntervalMinutes <= 0) {
+      throw new Error(t('api.invalidSlotInterval'));
+    }
+    if (!workStart || !workEnd ||
+        workStart.hour * 60 + workStart.minute >= workEnd.hour * 60 + workEnd.minute) {
+      throw new Error(t('api.invalidWorkingHours'));
+    }
+
+    const checkedCalendars = [...new Set([...calendars, ...attendees])];
+
+    try {
+      const freeBusy = await this.getFreeBusy(rangeStart.toISOString(), rangeEnd.toISOString(), checkedCalendars);
+
+      // Union of everyone's busy blocks, sorted and merged
+      const busyBlocks = [];
+      const unavailableCalendars = [];
+      for (const [calendarId, data] of Object.entries(freeBusy.calendars)) {
+        if (data.errors.length > 0) {
+          unavailableCalendars.push({
+            calendar: calendarId,
+            reasons: data.errors.map(error => error.reason)
+          });
+          continue;
+        }
+        for (const block of data.busy) {
+          busyBlocks.push({ start: new Date(block.start).getTime(), end: new Date(block.end).getTime() });
+        }
+      }
+      const busy = this._mergeIntervals(busyBlocks);
+
+      const durationMs = durationMinutes * 60 * 1000;
+      const stepMs = slotIntervalMinutes * 60 * 1000;
+      const firstDay = getZonedParts(rangeStart, timeZone);
+      const candidates = [];
+
+      for (let dayIndex = 0; ; dayIndex++) {
+        const day = new Date(Date.UTC(firstDay.year, firstDay.month - 1, firstDay.day + dayIndex));
+        const dayFields = {
+          year: day.getUTCFullYear(),
+          month: day.getUTCMonth() + 1,
+          day: day.getUTCDate()
+        };
+
+        const dayStart = zonedTimeToUtc({ ...dayFields, ...workStart }, timeZone).getTime();
+        const dayEnd = zonedTimeToUtc({ ...dayFields, ...workEnd }, timeZone).getTime();
+        if (dayStart >= rangeEnd.getTime()) {
+          break;
+        }
+        if (!workingDays.includes(WEEKDAY_CODES[day.getUTCDay()])) {
+          continue;
+        }
+
+        const windowStart = Math.max(dayStart, rangeStart.getTime());
+        const windowEnd = Math.min(dayEnd, rangeEnd.getTime());
+
+        // Candidate starts are aligned to the slot interval from the start of the working day
+        let slotStart = dayStart + Math.ceil((windowStart - dayStart) / stepMs) * stepMs;
+        for (; slotStart + durationMs <= windowEnd; slotStart += stepMs) {
+          const slotEnd = slotStart + durationMs;
+          if (busy.some(block => block.start < slotEnd && slotStart < block.end)) {
+            continue;
+          }
+
+          const previous = busy.filter(block => block.end <= slotStart).pop();
+          const next = busy.find(block => block.start >= slotEnd);
+          const bufferBefore = previous ? Math.round((slotStart - previous.end) / 60000) : null;
+          const bufferAfter = next ? Math.round((next.start - slotEnd) / 60000) : null;
+
+          candidates.push({
+            start: new Date(slotStart).toISOString(),
+            end: new Date(slotEnd).toISOString(),
+            score: this._scoreSlot(dayIndex, bufferBefore, bufferAfter),
+            buffer_before_minutes: bufferBefore,
+            buffer_after_minutes: bufferAfter
+          });
+        }
+      }
+
+      candidates.sort((a, b) => b.score - a.score || a.start.localeCompare(b.start));
+
+      return {
+        time_zone: timeZone,
+        duration_minutes: durationMinutes,
+        search_range: {
+          start: rangeStart.toISOString(),
+          end: rangeEnd.toISOString()
+        },
+        working_hours: {
+          start: workingHoursStart,
+          end: workingHoursEnd,
+          days: workingDays
+        },
+        checked_calendars: checkedCalendars,
+        unavailable_calendars: unavailableCalendars,
+        slots: candidates.slice(0, maxResults).map((slot, index) => ({ rank: index + 1, ...slot }))
+      };
+    } catch (error) {
+      throw new Error(t('errors.findSlots', { error: error.message }));
+    }
+  }
+
+  /**
+   * Merge overlapping or touching intervals.
+   * @param {Array<Object>} intervals - Intervals as { start, end } in epoch ms
+   * @returns {Array<Object>} - Sorted, non-overlapping intervals
+   */
+  _mergeIntervals(intervals) {
+    const sorted = [...intervals].sort((a, b) => a.start - b.start);
+    const merged = [];
+
+    for (const interval of sorted) {
+      const last = merged[merged.length - 1];
+      if (last && interval.start <= last.end) {
+        last.end = Math.max(last.end, interval.end);
+      } else {
+        merged.push({ ...interval });
+      }
+    }
+
+    return merged;
+  }
+
+  /**
+   * Score a candidate slot from 0 to 100.
+   * @param {number} dayIndex - Days since the start of the search range
+   * @param {number|null} bufferBefore - Minutes since the previous busy block
+   * @param {number|null} bufferAfter - Minutes until the next busy block
+   * @returns {number}
+   */
+  _scoreSlot(dayIndex, bufferBefore, bufferAfter) {
+    let score = 100 - Math.min(dayIndex * 5, 50);
+
+    for (const buffer of [bufferBefore, bufferAfter]) {
+      if (buffer === null) {
+        continue;
+      }
+      if (buffer === 0) {
+        score -= 20; // Back-to-back with another meeting
+      } else if (buffer < 15) {
+        score -= 10;
+      }
+    }
+
+    return Math.max(score, 0);
+  }
+
+  /**
+   * Get the ways to join a meeting by phone.
+   * Calendar events usually carry one phone number; the rest are on the page
+   * linked from the "more" entry point, which lists every country's numbers.
+   * @param {string} meetingId - ID of the meeting
+   * @param {Object} options - Additional options
+   * @param {string} options.calendarId - Calendar the meeting is on (default: "primary")
+   * @param {string} options.region - Only numbers for this region (ISO 3166 code, e.g. "TW")
+   * @returns {Promise<Object>} - { meeting_id, summary, meeting_code, phone_numbers, more_numbers_url, sip }
+   */
+  async getDialIn(meetingId, { calendarId = 'primary', region } = {}) {
+    try {
+      const event = await this._getEvent(calendarId, meetingId);
+      if (!event.conferenceData) {
+        throw new Error(t('api.noConference', { id: meetingId }));
+      }
+
+      const conference = this._formatConference(event.conferenceData);
+      const regionCode = region ? region.toUpperCase() : null;
+      const phoneNumbers = conference.entry_points
+        .filter(entry => entry.type === 'phone')
+        .filter(entry => !regionCode || entry.region_code === regionCode);
+      const more = conference.entry_points.find(entry => entry.type === 'more');
+
+      return {
+        meeting_id: event.id,
+        summary: event.summary || t('common.untitled'),
+        meeting_code: conference.meeting_code,
+        region: regionCode,
+        phone_numbers: phoneNumbers,
+        more_numbers_url: more ? more.uri : '',
+        sip: conference.entry_points.filter(entry => entry.type === 'sip')
+      };
+    } catch (error) {
+      throw new Error(t('errors.getDialIn', { error: error.message }));
+    }
+  }
+
+  /**
+   * List the past conferences of a meeting's Meet link, newest first.
+   * Every occurrence of a recurring meeting shares the link, so all of them are listed.
+   * @param {string} meetingId - Google Calendar event ID
+   * @param {Object} options - { calendarId }
+   * @returns {Promise<Object>} - { meeting_id, summary, meeting_code, records }
+   */
+  async listConferenceRecords(meetingId, { calendarId = 'primary' } = {}) {
+    try {
+      const { event, meetingCode } = await this._getMeetEvent(calendarId, meetingId);
+      return {
+        meeting_id: event.id,
+        summary: event.summary || t('common.untitled'),
+        meeting_code: meetingCode,
+        records: await this.spaces.listConferenceRecords(meetingCode)
+      };
+    } catch (error) {
+      throw new Error(t('errors.listConferenceRecords', { error: error.message }));
+    }
+  }
+
+  /**
+   * Build an attendance report for a meeting: who joined, when, for how long, and which invitees never did.
+   * The Meet API only gives participants' display names, so invitees are matched by name.
+   * @param {string} meetingId - Google Calendar event ID
+   * @param {Object} options - Additional options
+   * @param {string} options.calendarId - Calendar the event is on (default: 'primary')
+   * @param {string} options.conferenceRecord - Conference to report on
+   *   (default: the one held at the meeting's time, or else the latest)
+   * @returns {Promise<Object>} - Attendance report
+   */
+  async getAttendanceReport(meetingId, { calendarId = 'primary', conferenceRecord } = {}) {
+    try {
+      const { event, meetingCode } = await this._getMeetEvent(calendarId, meetingId);
+      const record = await this._resolveConferenceRecord(event, meetingCode, conferenceRecord);
+
+      const now = Date.now();
+      const invitees = (event.attendees || []).filter(attendee => !attendee.resource);
+      const matched = new Set();
+
+      const participants = (await this.spaces.listParticipants(record.name))
+        .map(participant => {
+          const key = nameKey(participant.display_name);
+          const invitee = key && invitees.find(attendee =>
+            !matched.has(attendee) &&
+            (nameKey(attendee.displayName) === key || nameKey(attendee.email.split('@')[0]) === key)
+          );
+          if (invitee) {
+            matched.add(invitee);
+          }
+
+          // Sessions without an end count up to the end of the conference, or up to now if it's still going on
+          const milliseconds = participant.sessions.reduce((total, session) => {
+            const end = session.end_time || record.end_time;
+            return total + (end ? new Date(end).getTime() : now) - new Date(session.start_time).getTime();
+          }, 0);
+
+          return {
+            display_name: participant.display_name,
+            type: participant.type,
+            user: participant.user,
+            invited_email: invitee ? invitee.email : '',
+            joined_at: participant.earliest_start_time || participant.sessions[0]?.start_time || '',
+            left_at: participant.latest_end_time || record.end_time,
+            total_minutes: Math.max(0, Math.round(milliseconds / 60000)),
+            sessions: participant.sessions
+          };
+        })
+        .sort((a, b) => new Date(a.joined_at) - new Date(b.joined_at));
+
+      return {
+        meeting_id: event.id,
+        summary: event.summary || t('common.untitled'),
+        meeting_code: meetingCode,
+        conference_record: record,
+        participants,
+        absent: invitees
+          .filter(attendee => !matched.has(attendee))
+          .map(attendee => ({
+            email: attendee.email,
+            display_name: attendee.displayName || '',
+            status: attendee.responseStatus || 'needsAction',
+            optional: Boolean(attendee.optional)
+          })),
+        invited_count: invitees.length,
+        attended_count: matched.size
+      };
+    } catch (error) {
+      throw new Error(t('errors.getAttendanceReport', { error: error.message }));
+    }
+  }
+
+  /**
+   * Get a meeting's transcript: who said what and when, as segments and as plain text.
+   * @param {string} meetingId - Google Calendar event ID
+   * @param {Object} options - Additional options
+   * @param {string} options.calendarId - Calendar the event is on (default: 'primary')
+   * @param {string} options.conferenceRecord - Conference to get the transcript of
+   *   (default: the one held at the meeting's time, or else the latest)
+   * @returns {Promise<Object>} - { meeting_id, summary, meeting_code, conference_record, transcripts, segments, text }
+   */
+  async getMeetingTranscript(meetingId, { calendarId = 'primary', conferenceRecord } = {}) {
+    try {
+      const { event, meetingCode } = await this._getMeetEvent(calendarId, meetingId);
+      const record = await this._resolveConferenceRecord(event, meetingCode, conferenceRecord);
+
+      const transcripts = await this.spaces.listTranscripts(record.name);
+      const segments = [];
+      if (transcripts.length > 0) {
+        // Entries name the participant resource; its display name is the speaker
+        const participants = await this.spaces.listParticipants(record.name, { includeSessions: false });
+        const speakers = new Map(participants.map(participant => [participant.name, participant.display_name]));
+
+        for (const transcript of transcripts) {
+          for (const entry of await this.spaces.listTranscriptEntries(transcript.name)) {
+            segments.push({
+              speaker: speakers.get(entry.participant) || t('transcript.unknownSpeaker'),
+              participant: entry.participant,
+              start_time: entry.start_time,
+              end_time: entry.end_time,
+              // Time since the conference started, as in the Google Docs transcript
+              offset: formatElapsed(new Date(entry.start_time) - new Date(record.start_time)),
+              language: entry.language,
+              text: entry.text
+            });
+          }
+        }
+        segments.sort((a, b) => new Date(a.start_time) - new Date(b.start_time));
+      }
+
+      return {
+        meeting_id: event.id,
+        summary: event.summary || t('common.untitled'),
+        meeting_code: meetingCode,
+        conference_record: record,
+        transcripts,
+        segments,
+        text: segments.map(segment => `[${segment.offset}] ${segment.speaker}: ${segment.text}`).join('\n')
+      };
+    } catch (error) {
+      throw new Error(t('errors.getMeetingTranscript', { error: error.message }));
+    }
+  }
+
+  /**
+   * List the recordings of a meeting. Without a conference record, every conference
+   * held on the meeting's Meet link is included, newest first.
+   * @param {string} meetingId - Google Calendar event ID
+   * @param {Object} options - { calendarId, conferenceRecord }
+   * @returns {Promise<Object>} - { meeting_id, summary, meeting_code, recordings }
+   */
+  async listMeetingRecordings(meetingId, { calendarId = 'primary', conferenceRecord } = {}) {
+    try {
+      const { event, meetingCode } = await this._getMeetEvent(calendarId, meetingId);
+      const records = conferenceRecord
+        ? [await this.spaces.getConferenceRecord(conferenceRecord)]
+        : await this.spaces.listConferenceRecords(meetingCode);
+
+      const recordings = [];
+      for (const record of records) {
+        for (const recording of await this.spaces.listRecordings(record.name)) {
+          recordings.push({ ...recording, conference_record: record.name });
+        }
+      }
+
+      return {
+        meeting_id: event.id,
+        summary: event.summary || t('common.untitled'),
+        meeting_code: meetingCode,
+        recordings
+      };
+    } catch (error) {
+      throw new Error(t('errors.listMeetingRecordings', { error: error.message }));
+    }
+  }
+
+  /**
+   * Get an event and the meeting code of its Meet link.
+   * @param {string} calendarId - Calendar the event is on
+   * @param {string} meetingId - Google Calendar event ID
+   * @returns {Promise<Object>} - { event, meetingCode }
+   */
+  async _getMeetEvent(calendarId, meetingId) {
+    const event = await this._getEvent(calendarId, meetingId);
+    const meetingCode = event.conferenceData ? this._formatConference(event.conferenceData).meeting_code : '';
+    if (!meetingCode) {
+      throw new Error(t('api.noConference', { id: meetingId }));
+    }
+    return { event, meetingCode };
+  }
+
+  /**
+   * Get the conference record to report on: the given one, or the one picked for the event.
+   * @param {Object} event - Google Calendar event
+   * @param {string} meetingCode - Meeting code of the event's Meet link
+   * @param {string} conferenceRecord - Conference record the caller asked for, if any
+   * @returns {Promise<Object>} - Conference record
+   */
+  async _resolveConferenceRecord(event, meetingCode, conferenceRecord) {
+    if (conferenceRecord) {
+      return this.spaces.getConferenceRecord(conferenceRecord);
+    }
+
+    const record = this._pickConferenceRecord(await this.spaces.listConferenceRecords(meetingCode), event);
+    if (!record) {
+      throw new Error(t('api.noConferenceRecords', { code: meetingCode }));
+    }
+    return record;
+  }
+
+  /**
+   * Pick the conference that belongs to an event: the first one started between an hour
+   * before the event and its end. Without one, the latest conference is used.
+   * @param {Array<Object>} records - Conference records, newest first
+   * @param {Object} event - Google Calendar event
+   * @returns {Object|null}
+   */
+  _pickConferenceRecord(records, event) {
+    if (event.start?.dateTime && !event.recurrence) {
+      const from = new Date(event.start.dateTime).getTime() - 60 * 60000;
+      const to = new Date(event.end.dateTime).getTime();
+      const during = records.filter(record => {
+        const start = new Date(record.start_time).getTime();
+        return start >= from && start <= to;
+      });
+      if (during.length > 0) {
+        return during[during.length - 1];
+      }
+    }
+    return records[0] || null;
+  }
+
+  /**
+   * Format an event's conference data with every entry point and its access codes.
+   * @param {Object} conferenceData - Google Calendar conferenceData
+   * @returns {Object} - { conference_id, meeting_code, solution, entry_points, notes }
+   */
+  _formatConference(conferenceData) {
+    const solution = conferenceData.conferenceSolution || {};
+    const entryPoints = (conferenceData.entryPoints || []).map(entry => ({
+      type: entry.entryPointType,
+      uri: entry.uri || '',
+      label: entry.label || '',
+      pin: entry.pin || '',
+      access_code: entry.accessCode || '',
+      meeting_code: entry.meetingCode || '',
+      passcode: entry.passcode || '',
+      password: entry.password || '',
+      region_code: entry.regionCode || ''
+    }));
+
+    return {
+      conference_id: conferenceData.conferenceId || '',
+      // A Meet conference ID is the meeting code people type in to join (abc-defg-hij)
+      meeting_code: entryPoints.find(entry => entry.meeting_code)?.meeting_code || conferenceData.conferenceId || '',
+      solution: {
+        type: solution.key?.type || '',
+        name: solution.name || '',
+        icon_uri: solution.iconUri || ''
+      },
+      entry_points: entryPoints,
+      notes: conferenceData.notes || ''
+    };
+  }
+
   /**
    * Format meeting data for consistent output.
    * @param {Object} event - Google Calendar event object
+   * @param {string} calendarId - Calendar the event was read from
    * @returns {Object|null} - Formatted meeting data
    */
-  _formatMeetingData(event) {
+  _formatMeetingData(event, calendarId = 'primary') {
     if (!event || !event.conferenceData) {
       return null;
     }
     
+    const conference = this._formatConference(event.conferenceData);
+
     // Extract Google Meet link
     let meetLink = '';
     let phoneInfo = '';
     
-    if (event.conferenceData.entryPoints) {
-      const videoEntry = event.conferenceData.entryPoints.find(ep => ep.entryPointType === 'video');
-      const phoneEntry = event.conferenceData.entryPoints.find(ep => ep.entryPointType === 'phone');
-      
-      if (videoEntry) {
-        meetLink = videoEntry.uri;
-      }
-      
-      if (phoneEntry) {
-        phoneInfo = `${phoneEntry.label || ''} ${phoneEntry.uri || ''}`.trim();
-      }
+    const videoEntry = conference.entry_points.find(entry => entry.type === 'video');
+    const phoneEntry = conference.entry_points.find(entry => entry.type === 'phone');
+
+    if (videoEntry) {
+      meetLink = videoEntry.uri;
+    }
+
+    if (phoneEntry) {
+      phoneInfo = `${phoneEntry.label} ${phoneEntry.uri}`.trim() + (phoneEntry.pin ? ` PIN: ${phoneEntry.pin}#` : '');
     }
     
     // Format attendees
     const attendees = (event.attendees || []).map(attendee => ({
       email: attendee.email,
+      display_name: attendee.displayName || '',
       status: attendee.responseStatus || 'needsAction',
-      optional: attendee.optional || false
+      optional: attendee.optional || false,
+      resource: attendee.resource || false,
+      comment: attendee.comment || ''
     }));
     
     return {
       id: event.id,
-      summary: event.summary || '無標題',
+      calendar_id: calendarId,
+      summary: event.summary || t('common.untitled'),
       description: event.description || '',
       start_time: event.start.dateTime || event.start.date,
       end_time: event.end.dateTime || event.end.date,
@@ -461,8 +2176,20 @@ class GoogleMeetAPI {
       organizer: event.organizer,
       status: event.status,
       html_link: event.htmlLink,
+      response_status: this._getSelfResponse(event) || '',
       conference_id: event.conferenceData.conferenceId || '',
-      location: event.location || ''
+      conference,
+      location: event.location || '',
+      time_zone: event.start.timeZone || '',
+      recurrence: event.recurrence || [],
+      recurring_event_id: event.recurringEventId || '',
+      attachments: (event.attachments || []).map(attachment => ({
+        file_url: attachment.fileUrl,
+        title: attachment.title || '',
+        mime_type: attachment.mimeType || '',
+        file_id: attachment.fileId || '',
+        icon_link: attachment.iconLink || ''
+      }))
     };
   }
 }
@@ -0,0 +1,382 @@
+/**
+ * HTTP transport server for Google Meet MCP
+ * Serves MCP over Streamable HTTP (/mcp) and legacy SSE (/sse + /messages)
+ * so that several clients can share one authenticated instance.
+ */
+
+import http from 'http';
+import { randomUUID, timingSafeEqual } from 'crypto';
+import { URL } from 'url';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+import { t } from './i18n.js';
+
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+
+// Sessions a client stops using are closed after this long (default)
+const DEFAULT_SESSION_IDLE_MS = 30 * 60 * 1000;
+
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '::1'];
+
+/**
+ * Check whether a listen address only accepts connections from this machine
+ * @param {string} host - Interface to listen on
+ * @returns {boolean}
+ */
+export function isLoopbackHost(host) {
+  const name = String(host || '').replace(/^\[|\]$/g, '').toLowerCase();
+  return LOOPBACK_HOSTS.includes(name) || name.startsWith('127.');
+}
+
+export class HttpTransportServer {
+  /**
+   * @param {Object} options - Server options
+   * @param {Function} options.createMcpServer - Returns a new MCP Server for each session
+   * @param {string} options.host - Interface to listen on (default: 127.0.0.1)
+   * @param {number} options.port - Port to listen on (default: 3333)
+   * @param {string} options.authToken - Bearer token required from clients (optional)
+   * @param {Array<string>} options.allowedHosts - Host header values clients may send
+   *   (default: the loopback names with the port when listening on loopback, otherwise any)
+   * @param {Array<string>} options.allowedOrigins - Origin header values browsers may send
+   *   (default: http:// plus each allowed host)
+   * @param {number} options.sessionIdleMs - Close sessions without requests for this long (default: 30 minutes)
+   * @param {Function} options.getHealth - Returns extra fields for the /health response to authorized requests (optional)
+   */
+  constructor({
+    createMcpServer,
+    host = '127.0.0.1',
+    port = 3333,
+    authToken = null,
+    allowedHosts = null,
+    allowedOrigins = null,
+    sessionIdleMs = DEFAULT_SESSION_IDLE_MS,
+    getHealth = () => ({})
+  }) {
+    this.createMcpServer = createMcpServer;
+    this.host = host;
+    this.port = port;
+    this.authToken = authToken;
+    this.allowedHosts = allowedHosts;
+    this.allowedOrigins = allowedOrigins;
+    this.sessionIdleMs = sessionIdleMs;
+    this.getHealth = getHealth;
+    this.server = null;
+    this.idleTimer = null;
+    this.activeConnections = new Set();
+    // Session ID -> { transport, mcpServer, lastActivity }
+    this.streamableSessions = new Map();
+    this.sseSessions = new Map();
+  }
+
+  /**
+   * Start listening
+   */
+  async start() {
+    this.server = http.createServer((req, res) => {
+      this.handleRequest(req, res).catch(error => {
+        console.error(t('http.requestFailed'), error.message);
+        if (!res.headersSent) {
+          this.sendJsonRpcError(res, 500, -32603, error.message);
+        } else {
+          res.end();
+        }
+      });
+    });
+
+    this.server.on('connection', socket => {
+      this.activeConnections.add(socket);
+      socket.on('close', () => {
+        this.activeConnections.delete(socket);
+      });
+    });
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        this.server.off('error', reject);
+        resolve();
+      });
+    });
+
+    const address = this.server.address();
+    this.port = address.port;
+
+    // A web page can point its own domain at 127.0.0.1 (DNS rebinding), so the Host and Origin
+    // headers are checked; the port is only known once the server listens
+    if (!this.allowedHosts && isLoopbackHost(this.host)) {
+      this.allowedHosts = ['localhost', '127.0.0.1', '[::1]'].map(name => `${name}:${this.port}`);
+    }
+    if (!this.allowedOrigins && this.allowedHosts) {
+      this.allowedOrigins = this.allowedHosts.map(allowedHost => `http://${allowedHost}`);
+    }
+
+    this.idleTimer = setInterval(() => this.closeIdleSessions(), Math.min(this.sessionIdleMs, 60 * 1000));
+    this.idleTimer.unref();
+
+    console.error(t('http.listening', { url: `http://${this.host}:${this.port}` }));
+  }
+
+  /**
+   * Route an incoming request
+   */
+  async handleRequest(req, res) {
+    const url = new URL(req.url || '/', `http://${req.headers.host || 'localhost'}`);
+    const forbidden = this.checkRequestOrigin(req);
+
+    if (url.pathname === '/health' && req.method === 'GET') {
+      if (forbidden) {
+        this.sendJson(res, 403, { error: forbidden });
+        return;
+      }
+      // Without the token only liveness is reported; the auth state and session counts need it
+      this.sendJson(res, 200, !this.isAuthorized(req) ? { status: 'ok' } : {
+        status: 'ok',
+        sessions: {
+          streamable_http: this.streamableSessions.size,
+          sse: this.sseSessions.size
+        },
+        ...this.getHealth()
+      });
+      return;
+    }
+
+    if (!['/mcp', '/sse', '/messages'].includes(url.pathname)) {
+      this.sendJson(res, 404, { error: 'Not Found' });
+      return;
+    }
+
+    if (forbidden) {
+      this.sendJsonRpcError(res, 403, -32000, forbidden);
+      return;
+    }
+
+    if (!this.isAuthorized(req)) {
+      res.setHeader('WWW-Authenticate', 'Bearer');
+      this.sendJsonRpcError(res, 401, -32001, t('http.unauthorized'));
+      return;
+    }
+
+    if (url.pathname === '/mcp') {
+      await this.handleStreamableRequest(req, res);
+    } else if (url.pathname === '/sse') {
+      await this.handleSseConnect(req, res);
+    } else {
+      await this.handleSseMessage(req, res, url.searchParams.get('sessionId'));
+    }
+  }
+
+  /**
+   * Handle POST, GET and DELETE on the Streamable HTTP endpoint
+   */
+  async handleStreamableRequest(req, res) {
+    const sessionId = req.headers['mcp-session-id'];
+    const body = req.method === 'POST' ? await this.readJsonBody(req, res) : undefined;
+    if (body === null) {
+      return;
+    }
+
+    if (sessionId) {
+      const session = this.streamableSessions.get(sessionId);
+      if (!session) {
+        this.sendJsonRpcError(res, 404, -32001, t('http.sessionNotFound', { sessionId }));
+        return;
+      }
+      session.lastActivity = Date.now();
+      await session.transport.handleRequest(req, res, body);
+      return;
+    }
+
+    if (req.method !== 'POST' || !isInitializeRequest(body)) {
+      this.sendJsonRpcError(res, 400, -32000, t('http.sessionRequired'));
+      return;
+    }
+
+    const mcpServer = this.createMcpServer();
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => randomUUID(),
+      onsessioninitialized: id => {
+        this.streamableSessions.set(id, { transport, mcpServer, lastActivity: Date.now() });
+      },
+      ...this.dnsRebindingOptions()
+    });
+    transport.onclose = () => {
+      if (transport.sessionId) {
+        this.streamableSessions.delete(transport.sessionId);
+      }
+      // The transport is already closed, so this only releases the server
+      mcpServer.close().catch(() => {});
+    };
+
+    await mcpServer.connect(transport);
+    await transport.handleRequest(req, res, body);
+  }
+
+  /**
+   * Open a legacy SSE stream
+   */
+  async handleSseConnect(req, res) {
+    if (req.method !== 'GET') {
+      this.sendJson(res, 405, { error: 'Method Not Allowed' });
+      return;
+    }
+
+    const mcpServer = this.createMcpServer();
+    const transport = new SSEServerTransport('/messages', res, this.dnsRebindingOptions());
+    this.sseSessions.set(transport.sessionId, { transport, mcpServer, lastActivity: Date.now() });
+
+    res.on('close', () => {
+      this.sseSessions.delete(transport.sessionId);
+      mcpServer.close().catch(() => {});
+    });
+
+    await mcpServer.connect(transport);
+  }
+
+  /**
+   * Deliver a client message to a legacy SSE session
+   */
+  async handleSseMessage(req, res, sessionId) {
+    if (req.method !== 'POST') {
+      this.sendJson(res, 405, { error: 'Method Not Allowed' });
+      return;
+    }
+
+    const session = sessionId && this.sseSessions.get(sessionId);
+    if (!session) {
+      this.sendJsonRpcError(res, 404, -32001, t('http.sessionNotFound', { sessionId }));
+      return;
+    }
+
+    const body = await this.readJsonBody(req, res);
+    if (body === null) {
+      return;
+    }
+    session.lastActivity = Date.now();
+    await session.transport.handlePostMessage(req, res, body);
+  }
+
+  /**
+   * Check the Host and Origin headers against the allowed values.
+   * The SDK transports check them as well, but the SSE one only does so for posted messages.
+   * @returns {string|null} - Why the request is refused, or null when it's allowed
+   */
+  checkRequestOrigin(req) {
+    if (this.allowedHosts && !this.allowedHosts.includes(req.headers.host)) {
+      return t('http.forbiddenHost', { host: req.headers.host || '' });
+    }
+    // Only browsers send Origin, and a browser page is what DNS rebinding uses
+    if (this.allowedOrigins && req.headers.origin && !this.allowedOrigins.includes(req.headers.origin)) {
+      return t('http.forbiddenOrigin', { origin: req.headers.origin });
+    }
+    return null;
+  }
+
+  /**
+   * DNS rebinding options for the SDK transports
+   */
+  dnsRebindingOptions() {
+    return {
+      enableDnsRebindingProtection: Boolean(this.allowedHosts || this.allowedOrigins),
+      allowedHosts: this.allowedHosts || undefined,
+      allowedOrigins: this.allowedOrigins || undefined
+    };
+  }
+
+  /**
+   * Close sessions that haven't had a request for sessionIdleMs.
+   * Closing the MCP server closes its transport, which removes the session.
+   */
+  closeIdleSessions() {
+    const cutoff = Date.now() - this.sessionIdleMs;
+    for (const sessions of [this.streamableSessions, this.sseSessions]) {
+      for (const [sessionId, session] of sessions) {
+        if (session.lastActivity < cutoff) {
+          sessions.delete(sessionId);
+          session.mcpServer.close().catch(() => {});
+        }
+      }
+    }
+  }
+
+  /**
+   * Check the bearer token when one is configured
+   */
+  isAuthorized(req) {
+    if (!this.authToken) {
+      return true;
+    }
+
+    const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+    if (!match) {
+      return false;
+    }
+
+    const expected = Buffer.from(this.authToken);
+    const actual = Buffer.from(match[1].trim());
+    return expected.length === actual.length && timingSafeEqual(expected, actual);
+  }
+
+  /**
+   * Read and parse a JSON request body.
+   * Sends an error response and returns null if the body is invalid.
+   */
+  async readJsonBody(req, res) {
+    const chunks = [];
+    let size = 0;
+
+    for await (const chunk of req) {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        this.sendJsonRpcError(res, 413, -32600, t('http.bodyTooLarge'));
+        return null;
+      }
+      chunks.push(chunk);
+    }
+
+    try {
+      return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+    } catch (error) {
+      this.sendJsonRpcError(res, 400, -32700, t('http.invalidJson'));
+      return null;
+    }
+  }
+
+  sendJson(res, status, data) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(data));
+  }
+
+  sendJsonRpcError(res, status, code, message) {
+    this.sendJson(res, status, {
+      jsonrpc: '2.0',
+      error: { code, message },
+      id: null
+    });
+  }
+
+  /**
+   * Close every session and stop listening
+   */
+  async stop() {
+    clearInterval(this.idleTimer);
+    this.idleTimer = null;
+
+    const sessions = [...this.streamableSessions.values(), ...this.sseSessions.values()];
+    this.streamableSessions.clear();
+    this.sseSessions.clear();
+    await Promise.allSettled(sessions.map(({ mcpServer }) => mcpServer.close()));
+
+    if (!this.server) {
+      return;
+    }
+
+    for (const connection of this.activeConnections) {
+      connection.destroy();
+    }
+    this.activeConnections.clear();
+
+    await new Promise(resolve => this.server.close(() => resolve()));
+    this.server = null;
+  }
+}
@@ -0,0 +1,541 @@
+/**
+ * Google Meet REST API client for meeting spaces (Meet links that exist
+ * on their own, without a Google Calendar event) and the records of past conferences.
+ * googleapis has no Meet client, so requests go through the authorized client directly.
+ */
+
+import { t } from './i18n.js';
+
+const MEET_API_BASE = 'https://meet.googleapis.com/v2';
+// Space members (co-hosts) are only available in the Developer Preview
+const MEET_API_BETA_BASE = 'https://meet.googleapis.com/v2beta';
+
+// Who can join without asking: anyone with the link, people in the organization, or invitees only
+export const SPACE_ACCESS_TYPES = ['open', 'trusted', 'restricted'];
+
+// Where people can join from: every Meet entry point, or only the app that created the space
+export const SPACE_ENTRY_POINT_ACCESS = ['all', 'creator_app_only'];
+
+// Who can chat, react or present when moderation is on
+export const SPACE_RESTRICTIONS = ['hosts_only', 'no_restriction'];
+
+// Space settings the tools can change: option name, tool parameter, path in the API's space config
+// and allowed values. Toggles are booleans in the tools and "ON" / "OFF" in the API.
+const SPACE_SETTINGS = [
+  { option: 'accessType', param: 'access_type', path: 'accessType', values: SPACE_ACCESS_TYPES },
+  { option: 'entryPointAccess', param: 'entry_point_access', path: 'entryPointAccess', values: SPACE_ENTRY_POINT_ACCESS },
+  { option: 'moderation', param: 'moderation', path: 'moderation', toggle: true },
+  {
+    option: 'chatRestriction',
+    param: 'chat_restriction',
+    path: 'moderationRestrictions.chatRestriction',
+    values: SPACE_RESTRICTIONS
+  },
+  {
+    option: 'reactionRestriction',
+    param: 'reaction_restriction',
+    path: 'moderationRestrictions.reactionRestriction',
+    values: SPACE_RESTRICTIONS
+  },
+  {
+    option: 'presentRestriction',
+    param: 'present_restriction',
+    path: 'moderationRestrictions.presentRestriction',
+    values: SPACE_RESTRICTIONS
+  },
+  {
+    option: 'defaultJoinAsViewer',
+    param: 'default_join_as_viewer',
+    path: 'moderationRestrictions.defaultJoinAsViewerType',
+    toggle: true
+  },
+  {
+    option: 'autoRecording',
+    param: 'auto_recording',
+    path: 'artifactConfig.recordingConfig.autoRecordingGeneration',
+    toggle: true
+  },
+  {
+    option: 'autoTranscription',
+    param: 'auto_transcription',
+    path: 'artifactConfig.transcriptionConfig.autoTranscriptionGeneration',
+    toggle: true
+  }
+];
+
+const MEETING_CODE_PATTERN = /^[a-z]{3}-[a-z]{4}-[a-z]{3}$/i;
+
+// Largest page the list endpoints return
+const LIST_PAGE_SIZE = 250;
+
+/**
+ * Turn a space name, meeting code or Meet link into a space resource name.
+ * The API accepts a meeting code in place of the space ID.
+ * @param {string} space - "spaces/jQCFfuBOdN5z", "abc-mnop-xyz" or "https://meet.google.com/abc-mnop-xyz"
+ * @returns {string} - "spaces/..."
+ */
+export function toSpaceName(space) {
+  const value = String(space || '').trim();
+  if (!value) {
+    throw new Error(t('spaces.missingSpace'));
+  }
+  if (value.startsWith('spaces/')) {
+    return value;
+  }
+
+  const match = value.match(/meet\.google\.com\/([a-z]{3}-[a-z]{4}-[a-z]{3})/i);
+  if (match) {
+    return `spaces/${match[1].toLowerCase()}`;
+  }
+  if (MEETING_CODE_PATTERN.test(value)) {
+    return `spaces/${value.toLowerCase()}`;
+  }
+  return `spaces/${value}`;
+}
+
+/**
+ * Turn a conference record ID into its resource name.
+ * @param {string} conferenceRecord - "conferenceRecords/abc123" or "abc123"
+ * @returns {string} - "conferenceRecords/..."
+ */
+export function toConferenceRecordName(conferenceRecord) {
+  const value = String(conferenceRecord || '').trim();
+  if (!value) {
+    throw new Error(t('attendance.missingConferenceRecord'));
+  }
+  return value.startsWith('conferenceRecords/') ? value : `conferenceRecords/${value}`;
+}
+
+/**
+ * Build the API's space config from tool-style settings.
+ * @param {Object} settings - { accessType, entryPointAccess, moderation, chatRestriction, reactionRestriction,
+ *   presentRestriction, defaultJoinAsViewer, autoRecording, autoTranscription }; unset ones are left out
+ * @returns {Object} - { config, updateMask } with only the given settings
+ */
+export function buildSpaceConfig(settings = {}) {
+  const config = {};
+  const updateMask = [];
+
+  for (const setting of SPACE_SETTINGS) {
+    const value = settings[setting.option];
+    if (value === undefined) {
+      continue;
+    }
+
+    let apiValue;
+    if (setting.toggle) {
+      if (typeof value !== 'boolean') {
+        throw new Error(t('spaces.invalidSetting', { name: setting.param, value, values: 'true, false' }));
+      }
+      apiValue = value ? 'ON' : 'OFF';
+    } else {
+      if (!setting.values.includes(value)) {
+        throw new Error(t('spaces.invalidSetting', { name: setting.param, value, values: setting.values.join(', ') }));
+      }
+      apiValue = value.toUpperCase();
+    }
+
+    const keys = setting.path.split('.');
+    let target = config;
+    for (const key of keys.slice(0, -1)) {
+      target = target[key] = target[key] || {};
+    }
+    target[keys[keys.length - 1]] = apiValue;
+    updateMask.push(`config.${setting.path}`);
+  }
+
+  return { config, updateMask };
+}
+
+/**
+ * Lowercase an artifact state: "started", "ended" or "file_generated"; empty when unknown
+ */
+function formatState(state) {
+  return state && state !== 'STATE_UNSPECIFIED' ? state.toLowerCase() : '';
+}
+
+class MeetSpacesAPI {
+  /**
+   * @param {OAuth2Client|JWT} authClient - Authorized client of the account the spaces belong to
+   */
+  constructor(authClient) {
+    this.authClient = authClient;
+  }
+
+  /**
+   * Create a meeting space, which gives a Meet link right away.
+   * @param {Object} settings - Space settings, as in buildSpaceConfig
+   * @param {string} settings.accessType - "open", "trusted" or "restricted" (default: the account's default)
+   * @param {string} settings.entryPointAccess - "all" or "creator_app_only" (default: "all")
+   * @returns {Promise<Object>} - Space details
+   */
+  async createSpace(settings = {}) {
+    try {
+      const { config, updateMask } = buildSpaceConfig(settings);
+      const space = await this._request('POST', '/spaces', {
+        data: updateMask.length > 0 ? { config } : {}
+      });
+      return this._formatSpace(space);
+    } catch (error) {
+      throw new Error(t('errors.createSpace', { error: error.message }));
+    }
+  }
+
+  /**
+   * Get a meeting space.
+   * @param {string} space - Space name, meeting code or Meet link
+   * @returns {Promise<Object>} - Space details
+   */
+  async getSpace(space) {
+    try {
+      return this._formatSpace(await this._request('GET', `/${toSpaceName(space)}`));
+    } catch (error) {
+      throw new Error(t('errors.getSpace', { error: error.message }));
+    }
+  }
+
+  /**
+   * Change the settings of a meeting space. Only the given settings are changed.
+   * Spaces created outside this app, such as the Meet link of a calendar event,
+   * need the meetings.space.settings scope.
+   * @param {string} space - Space name, meeting code or Meet link
+   * @param {Object} settings - Space settings, as in buildSpaceConfig
+   * @param {Object} options - { dryRun } only returns the request that would be sent
+   * @returns {Promise<Object>} - Updated space details, or { dry_run, requests } for a dry run
+   */
+  async updateSpace(space, settings = {}, { dryRun = false } = {}) {
+    try {
+      const { config, updateMask } = buildSpaceConfig(settings);
+      if (updateMask.length === 0) {
+        throw new Error(t('spaces.nothingToUpdate'));
+      }
+
+      const name = await this._resolveSpaceName(space);
+      if (dryRun) {
+        return {
+          dry_run: true,
+          requests: [{ method: 'spaces.patch', space: name, update_mask: updateMask.join(','), body: { config } }]
+        };
+      }
+
+      const updated = await this._request('PATCH', `/${name}`, {
+        params: { updateMask: updateMask.join(',') },
+        data: { config }
+      });
+      return this._formatSpace(updated);
+    } catch (error) {
+      throw new Error(t('errors.updateSpace', { error: error.message }));
+    }
+  }
+
+  /**
+   * End the conference running in a space, disconnecting everyone in it.
+   * @param {string} space - Space name, meeting code or Meet link
+   * @param {Object} options - { dryRun } only returns the request that would be sent
+   * @returns {Promise<Object>} - { name } of the space, or { dry_run, requests } for a dry run
+   */
+  async endActiveConference(space, { dryRun = false } = {}) {
+    try {
+      const name = await this._resolveSpaceName(space);
+      if (dryRun) {
+        return { dry_run: true, requests: [{ method: 'spaces.endActiveConference', space: name, body: null }] };
+      }
+      await this._request('POST', `/${name}:endActiveConference`, { data: {} });
+      return { name };
+    } catch (error) {
+      throw new Error(t('errors.endActiveConference', { error: error.message }));
+    }
+  }
+
+  /**
+   * Make people co-hosts of a space. People who are already members keep their role.
+   * Uses the Developer Preview API, so the project has to be enrolled in the preview.
+   * @param {string} space - Space name, meeting code or Meet link
+   * @param {Array<string>} emails - Email addresses of the new co-hosts
+   * @returns {Promise<Array<string>>} - Email addresses that were added
+   */
+  async addCoHosts(space, emails) {
+    try {
+      const name = await this._resolveSpaceName(space);
+      const added = [];
+      for (const email of emails) {
+        try {
+          await this._request('POST', `/${name}/members`, {
+            base: MEET_API_BETA_BASE,
+            data: { email, role: 'COHOST' }
+          });
+          added.push(email);
+        } catch (error) {
+          if (error.response?.status !== 409) {
+            throw error;
+          }
+        }
+      }
+      return added;
+    } catch (error) {
+      // The members API only answers projects enrolled in the Developer Preview
+      const status = error.response?.status;
+      const key = status === 403 || status === 404 ? 'errors.addCoHostsPreview' : 'errors.addCoHosts';
+      throw new Error(t(key, { error: error.message }));
+    }
+  }
+
+  /**
+   * List the conferences held in a meeting space, newest first.
+   * Records are kept by Google for 30 days after a conference ends.
+   * @param {string} space - Space name, meeting code or Meet link
+   * @param {Object} options - Additional options
+   * @param {string} options.startAfter - Only conferences that started at or after this time (ISO)
+   * @param {string} options.startBefore - Only conferences that started before this time (ISO)
+   * @returns {Promise<Array<Object>>} - [{ name, start_time, end_time, expire_time, space }]
+   */
+  async listConferenceRecords(space, { startAfter, startBefore } = {}) {
+    try {
+      const name = toSpaceName(space);
+      const id = name.slice('spaces/'.length);
+      const filter = [
+        MEETING_CODE_PATTERN.test(id) ? `space.meeting_code = "${id}"` : `space.name = "${name}"`,
+        ...(startAfter ? [`start_time >= "${startAfter}"`] : []),
+        ...(startBefore ? [`start_time < "${startBefore}"`] : [])
+      ].join(' AND ');
+
+      const records = await this._listAll('/conferenceRecords', 'conferenceRecords', { filter });
+      return records
+        .map(record => this._formatConferenceRecord(record))
+        .sort((a, b) => new Date(b.start_time) - new Date(a.start_time));
+    } catch (error) {
+      throw new Error(t('errors.listConferenceRecords', { error: error.message }));
+    }
+  }
+
+  /**
+   * Get a conference record.
+   * @param {string} conferenceRecord - "conferenceRecords/..." or just the record ID
+   * @returns {Promise<Object>} - { name, start_time, end_time, expire_time, space }
+   */
+  async getConferenceRecord(conferenceRecord) {
+    try {
+      const record = await this._request('GET', `/${toConferenceRecordName(conferenceRecord)}`);
+      return this._formatConferenceRecord(record);
+    } catch (error) {
+      throw new Error(t('errors.getConferenceRecord', { error: error.message }));
+    }
+  }
+
+  /**
+   * List everyone who joined a conference, with each of their sessions.
+   * Signed-in users are identified by a user ID, not an email address.
+   * @param {string} conferenceRecord - "conferenceRecords/..." or just the record ID
+   * @param {Object} options - { includeSessions } set to false to skip the per-participant session requests
+   * @returns {Promise<Array<Object>>} - [{ name, display_name, type, user, earliest_start_time, latest_end_time, sessions }]
+   */
+  async listParticipants(conferenceRecord, { includeSessions = true } = {}) {
+    try {
+      const participants = await this._listAll(
+        `/${toConferenceRecordName(conferenceRecord)}/participants`,
+        'participants'
+      );
+
+      // One request per participant; conferences are small enough that this stays cheap
+      const result = [];
+      for (const participant of participants) {
+        const sessions = includeSessions
+          ? await this._listAll(`/${participant.name}/participantSessions`, 'participantSessions')
+          : [];
+        const user = participant.signedinUser || participant.anonymousUser || participant.phoneUser || {};
+        result.push({
+          name: participant.name,
+          display_name: user.displayName || '',
+          type: participant.signedinUser ? 'signed_in' : participant.phoneUser ? 'phone' : 'anonymous',
+          user: participant.signedinUser?.user || '',
+          earliest_start_time: participant.earliestStartTime || '',
+          // Empty while the participant is still in the conference
+          latest_end_time: participant.latestEndTime || '',
+          sessions: sessions
+            .map(session => ({ start_time: session.startTime || '', end_time: session.endTime || '' }))
+            .sort((a, b) => new Date(a.start_time) - new Date(b.start_time))
+        });
+      }
+      return result;
+    } catch (error) {
+      throw new Error(t('errors.listParticipants', { error: error.message }));
+    }
+  }
+
+  /**
+   * List the transcripts of a conference. Transcription can be stopped and restarted,
+   * so one conference can have several.
+   * @param {string} conferenceRecord - "conferenceRecords/..." or just the record ID
+   * @returns {Promise<Array<Object>>} - [{ name, state, start_time, end_time, document, document_uri }]
+   */
+  async listTranscripts(conferenceRecord) {
+    try {
+      const transcripts = await this._listAll(
+        `/${toConferenceRecordName(conferenceRecord)}/transcripts`,
+        'transcripts'
+      );
+      return transcripts
+        .map(transcript => ({
+          name: transcript.name,
+          state: formatState(transcript.state),
+          start_time: transcript.startTime || '',
+          end_time: transcript.endTime || '',
+          // Google Docs copy of the transcript, once the file is generated
+          document: transcript.docsDestination?.document || '',
+          document_uri: transcript.docsDestination?.exportUri || ''
+        }))
+        .sort((a, b) => new Date(a.start_time) - new Date(b.start_time));
+    } catch (error) {
+      throw new Error(t('errors.listTranscripts', { error: error.message }));
+    }
+  }
+
+  /**
+   * List what was said in a transcript, in order.
+   * @param {string} transcript - Transcript name (conferenceRecords/.../transcripts/...)
+   * @returns {Promise<Array<Object>>} - [{ participant, text, language, start_time, end_time }]
+   */
+  async listTranscriptEntries(transcript) {
+    try {
+      const entries = await this._listAll(`/${transcript}/entries`, 'transcriptEntries');
+      return entries.map(entry => ({
+        participant: entry.participant || '',
+        text: entry.text || '',
+        language: entry.languageCode || '',
+        start_time: entry.startTime || '',
+        end_time: entry.endTime || ''
+      }));
+    } catch (error) {
+      throw new Error(t('errors.listTranscriptEntries', { error: error.message }));
+    }
+  }
+
+  /**
+   * List the recordings of a conference. The files are saved to the organizer's Google Drive.
+   * @param {string} conferenceRecord - "conferenceRecords/..." or just the record ID
+   * @returns {Promise<Array<Object>>} - [{ name, state, start_time, end_time, drive_file, drive_uri }]
+   */
+  async listRecordings(conferenceRecord) {
+    try {
+      const recordings = await this._listAll(
+        `/${toConferenceRecordName(conferenceRecord)}/recordings`,
+        'recordings'
+      );
+      return recordings
+        .map(recording => ({
+          name: recording.name,
+          state: formatState(recording.state),
+          start_time: recording.startTime || '',
+          end_time: recording.endTime || '',
+          drive_file: recording.driveDestination?.file || '',
+          drive_uri: recording.driveDestination?.exportUri || ''
+        }))
+        .sort((a, b) => new Date(a.start_time) - new Date(b.start_time));
+    } catch (error) {
+      throw new Error(t('errors.listRecordings', { error: error.message }));
+    }
+  }
+
+  /**
+   * Fetch every page of a list endpoint.
+   * @param {string} path - Path below the v2 base URL
+   * @param {string} key - Response field holding the items
+   * @param {Object} params - Query parameters
+   * @returns {Promise<Array<Object>>} - Items of all pages
+   */
+  async _listAll(path, key, params = {}) {
+    const items = [];
+    let pageToken;
+    do {
+      const data = await this._request('GET', path, {
+        params: { ...params, pageSize: LIST_PAGE_SIZE, pageToken }
+      });
+      items.push(...(data[key] || []));
+      pageToken = data.nextPageToken;
+    } while (pageToken);
+    return items;
+  }
+
+  /**
+   * Get the server-generated name of a space. A meeting code works as an alias
+   * when reading a space, but changes need the real name.
+   * @param {string} space - Space name, meeting code or Meet link
+   * @returns {Promise<string>} - "spaces/..."
+   */
+  async _resolveSpaceName(space) {
+    const name = toSpaceName(space);
+    if (!MEETING_CODE_PATTERN.test(name.slice('spaces/'.length))) {
+      return name;
+    }
+    return (await this._request('GET', `/${name}`)).name || name;
+  }
+
+  /**
+   * Send a Meet API request
+   * @param {string} method - HTTP method
+   * @param {string} path - Path below the base URL
+   * @param {Object} options - { params, data, base } where base defaults to the v2 API
+   * @returns {Promise<Object>} - Response body
+   */
+  async _request(method, path, { params, data, base = MEET_API_BASE } = {}) {
+    try {
+      const response = await this.authClient.request({
+        url: `${base}${path}`,
+        method,
+        params,
+        data
+      });
+      return response.data || {};
+    } catch (error) {
+      // Show Google's explanation rather than the bare status line
+      const message = error.response?.data?.error?.message;
+      if (message && message !== error.message) {
+        error.message = `${error.message}: ${message}`;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Format a space for consistent output.
+   * @param {Object} space - Meet API space resource
+   * @returns {Object} - Formatted space
+   */
+  _formatSpace(space) {
+    const formatted = {
+      name: space.name,
+      meeting_uri: space.meetingUri || '',
+      meeting_code: space.meetingCode || ''
+    };
+
+    // Settings the API doesn't return, or returns as *_UNSPECIFIED, are '' (or null for toggles)
+    for (const setting of SPACE_SETTINGS) {
+      const value = setting.path.split('.').reduce((target, key) => target?.[key], space.config);
+      const known = value && !value.endsWith('_UNSPECIFIED');
+      formatted[setting.param] = setting.toggle
+        ? (known ? value === 'ON' : null)
+        : (known ? value.toLowerCase() : '');
+    }
+
+    formatted.active_conference = space.activeConference?.conferenceRecord || null;
+    return formatted;
+  }
+
+  /**
+   * Format a conference record for consistent output.
+   * @param {Object} record - Meet API conference record resource
+   * @returns {Object} - Formatted conference record
+   */
+  _formatConferenceRecord(record) {
+    return {
+      name: record.name,
+      start_time: record.startTime || '',
+      // Empty while the conference is still going on
+      end_time: record.endTime || '',
+      expire_time: record.expireTime || '',
+      space: record.space || ''
+    };
+  }
+}
+
+export default MeetSpacesAPI;
@@ -0,0 +1,325 @@
+/**
+ * Storage backends for the token store.
+ * Each backend reads and writes the serialized store as a string; TokenStore handles its contents.
+ */
+
+import crypto from 'crypto';
+import { execFile } from 'child_process';
+import fs from 'fs/promises';
+import path from 'path';
+import process from 'process';
+import { promisify } from 'util';
+import { t } from './i18n.js';
+
+const scrypt = promisify(crypto.scrypt);
+
+// Marks an encrypted token file; a plaintext token.json is encrypted on first read
+const ENCRYPTED_FORMAT = 'google-meet-mcp-encrypted';
+const KEY_LENGTH = 32;
+
+// Secret Service attributes identifying the stored tokens
+const KEYCHAIN_SERVICE = 'google-meet-mcp';
+
+/**
+ * Read a file, returning null when it doesn't exist
+ */
+async function readOptionalFile(filePath) {
+  try {
+    return await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Check whether parsed JSON is a plaintext token store: the multi-account
+ * document or a legacy token.json holding a single token
+ */
+function isPlaintextTokenStore(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return false;
+  }
+  return (data.accounts && typeof data.accounts === 'object') || Boolean(data.access_token || data.refresh_token);
+}
+
+/**
+ * Write a file readable only by the current user (0600, in a 0700 directory)
+ */
+async function writePrivateFile(filePath, contents) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true, mode: 0o700 });
+  await fs.writeFile(filePath, contents, { mode: 0o600 });
+  // The mode only applies to new files; tighten files created before
+  await restrictPermissions(filePath);
+}
+
+/**
+ * Make an existing file readable only by the current user. Windows has no POSIX modes.
+ */
+async function restrictPermissions(filePath) {
+  if (process.platform === 'win32') {
+    return;
+  }
+
+  const { mode } = await fs.stat(filePath);
+  if ((mode & 0o077) !== 0) {
+    await fs.chmod(filePath, 0o600);
+    console.error(t('tokens.permissionsFixed', { path: filePath }));
+  }
+}
+
+/**
+ * Plain JSON file with 0600 permissions
+ */
+export class FileTokenBackend {
+  /**
+   * @param {string} filePath - Path of the token file
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.location = filePath;
+  }
+
+  async read() {
+    const contents = await readOptionalFile(this.filePath);
+    if (contents !== null) {
+      await restrictPermissions(this.filePath);
+    }
+    return contents;
+  }
+
+  async write(contents) {
+    await writePrivateFile(this.filePath, contents);
+  }
+}
+
+/**
+ * File encrypted with AES-256-GCM. The key is given directly (32 bytes, hex or base64)
+ * or derived from a passphrase with scrypt and a random salt stored in the file.
+ * A plaintext token.json at the same path is encrypted the first time it's read.
+ */
+export class EncryptedFileTokenBackend {
+  /**
+   * @param {string} filePath - Path of the token file
+   * @param {Object} options - { key, passphrase }; one of them is required
+   */
+  constructor(filePath, { key = null, passphrase = null } = {}) {
+    if (!key && !passphrase) {
+      throw new Error(t('tokens.missingEncryptionKey'));
+    }
+
+    this.filePath = filePath;
+    this.location = filePath;
+    this.passphrase = passphrase;
+    this.key = key ? parseKey(key) : null;
+    // scrypt is slow on purpose; keep the key derived for the file's salt
+    this.salt = null;
+    this.derivedKey = null;
+  }
+
+  async read() {
+    const contents = await readOptionalFile(this.filePath);
+    if (contents === null) {
+      return null;
+    }
+
+    let envelope;
+    try {
+      envelope = JSON.parse(contents);
+    } catch (error) {
+      envelope = null;
+    }
+
+    if (envelope?.format !== ENCRYPTED_FORMAT) {
+      // Only a plaintext token.json from before encryption was enabled is migrated;
+      // a damaged file is left alone, since it may be the only copy of the tokens
+      if (!isPlaintextTokenStore(envelope)) {
+        throw new Error(t('tokens.unrecognizedFile', { path: this.filePath }));
+      }
+      await this.write(contents);
+      console.error(t('tokens.encryptedExisting', { path: this.filePath }));
+      return contents;
+    }
+
+    try {
+      const key = await this.getKey(envelope.salt && Buffer.from(envelope.salt, 'base64'));
+      const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(envelope.iv, 'base64'));
+      decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+      return Buffer.concat([
+        decipher.update(Buffer.from(envelope.data, 'base64')),
+        decipher.final()
+      ]).toString('utf8');
+    } catch (error) {
+      throw new Error(t('tokens.decryptFailed', { error: error.message }));
+    }
+  }
+
+  async write(contents) {
+    const salt = this.key ? null : this.salt || crypto.randomBytes(16);
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', await this.getKey(salt), iv);
+    const data = Buffer.concat([cipher.update(contents, 'utf8'), cipher.final()]);
+
+    await writePrivateFile(this.filePath, JSON.stringify({
+      format: ENCRYPTED_FORMAT,
+      version: 1,
+      kdf: salt ? 'scrypt' : 'none',
+      salt: salt ? salt.toString('base64') : undefined,
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64')
+    }, null, 2));
+  }
+
+  async getKey(salt) {
+    if (this.key) {
+      return this.key;
+    }
+    if (!salt) {
+      throw new Error(t('tokens.passphraseFileMismatch'));
+    }
+    if (!this.derivedKey || !salt.equals(this.salt)) {
+      this.derivedKey = await scrypt(this.passphrase, salt, KEY_LENGTH);
+      this.salt = salt;
+    }
+    return this.derivedKey;
+  }
+}
+
+/**
+ * Parse a 32-byte key given as 64 hex characters or base64
+ * @param {string} value
+ * @returns {Buffer}
+ */
+function parseKey(value) {
+  const key = /^[0-9a-f]{64}$/i.test(value) ? Buffer.from(value, 'hex') : Buffer.from(value, 'base64');
+  if (key.length !== KEY_LENGTH) {
+    throw new Error(t('tokens.invalidEncryptionKey'));
+  }
+  return key;
+}
+
+/**
+ * OS keychain through the freedesktop Secret Service (GNOME Keyring, KWallet),
+ * using the secret-tool command from libsecret. A plaintext token.json is
+ * imported on first use and then deleted.
+ */
+export class KeychainTokenBackend {
+  /**
+   * @param {string} legacyPath - Path of a plaintext token file to import
+   */
+  constructor(legacyPath) {
+    this.legacyPath = legacyPath;
+    // Keyed by the token path so servers configured with different paths stay separate
+    this.attributes = ['service', KEYCHAIN_SERVICE, 'path', legacyPath];
+    this.location = t('tokens.keychainLocation', { service: KEYCHAIN_SERVICE });
+  }
+
+  async read() {
+    let contents;
+    try {
+      contents = await this.secretTool(['lookup', ...this.attributes]);
+    } catch (error) {
+      // secret-tool exits with 1 and no output when nothing is stored
+      if (error.code !== 1) {
+        throw this.unavailable(error);
+      }
+      contents = '';
+    }
+    if (contents) {
+      return contents;
+    }
+
+    const legacy = await readOptionalFile(this.legacyPath);
+    if (legacy === null) {
+      return null;
+    }
+    await this.write(legacy);
+    await fs.unlink(this.legacyPath);
+    console.error(t('tokens.importedToKeychain', { path: this.legacyPath }));
+    return legacy;
+  }
+
+  async write(contents) {
+    try {
+      await this.secretTool(
+        ['store', `--label=${t('tokens.keychainLabel')}`, ...this.attributes],
+        contents
+      );
+    } catch (error) {
+      throw this.unavailable(error);
+    }
+  }
+
+  secretTool(args, input = null) {
+    return new Promise((resolve, reject) => {
+      const child = execFile('secret-tool', args, { timeout: 30000 }, (error, stdout) => {
+        if (error) {
+          reject(error);
+        } else {
+          resolve(stdout);
+        }
+      });
+      child.stdin.end(input ?? '');
+    });
+  }
+
+  unavailable(error) {
+    return new Error(t('tokens.keychainUnavailable', { error: error.message }));
+  }
+}
+
+/**
+ * In-memory storage for tests and throwaway sessions; nothing is written to disk
+ */
+export class MemoryTokenBackend {
+  /**
+   * @param {string} contents - Initial serialized store
+   */
+  constructor(contents = null) {
+    this.contents = contents;
+    this.location = t('tokens.memoryLocation');
+  }
+
+  async read() {
+    return this.contents;
+  }
+
+  async write(contents) {
+    this.contents = contents;
+  }
+}
+
+export const TOKEN_STORAGE_TYPES = ['file', 'encrypted', 'keychain', 'memory'];
+
+/**
+ * Create the backend selected by GOOGLE_MEET_TOKEN_STORAGE.
+ * @param {string} tokenPath - Path of the token file
+ * @param {Object} env - Environment variables
+ * @returns {Object} - Token backend
+ */
+export function createTokenBackend(tokenPath, env = process.env) {
+  const storage = (env.GOOGLE_MEET_TOKEN_STORAGE || 'file').toLowerCase();
+
+  switch (storage) {
+    case 'file':
+      return new FileTokenBackend(tokenPath);
+
+    case 'encrypted':
+      return new EncryptedFileTokenBackend(tokenPath, {
+        key: env.GOOGLE_MEET_TOKEN_KEY || null,
+        passphrase: env.GOOGLE_MEET_TOKEN_PASSPHRASE || null
+      });
+
+    case 'keychain':
+      return new KeychainTokenBackend(tokenPath);
+
+    case 'memory':
+      return new MemoryTokenBackend();
+
+    default:
+      throw new Error(t('tokens.invalidStorage', { storage, values: TOKEN_STORAGE_TYPES.join(', ') }));
+  }
+}
@@ -0,0 +1,187 @@
+/**
+ * Token store for Google Meet MCP
+ * Keeps OAuth tokens for several Google accounts in one document, keyed by account email.
+ * Where the document is kept is up to the backend (see TokenBackends.js).
+ */
+
+import { t } from './i18n.js';
+import { FileTokenBackend } from './TokenBackends.js';
+
+// Account name used for a token.json written before accounts were tracked
+export const LEGACY_ACCOUNT = 'default';
+
+export class TokenStore {
+  /**
+   * @param {string} tokenPath - Path of the token file
+   * @param {Object} backend - Storage backend (default: plain file at tokenPath)
+   */
+  constructor(tokenPath, backend = new FileTokenBackend(tokenPath)) {
+    this.tokenPath = tokenPath;
+    this.backend = backend;
+    // Where the tokens are kept, for messages
+    this.location = backend.location;
+    // Serializes writes so concurrent sessions don't overwrite each other
+    this.pendingWrite = Promise.resolve();
+  }
+
+  /**
+   * Read the store. A legacy token.json holding a single token is
+   * returned as the LEGACY_ACCOUNT entry.
+   * @returns {Promise<Object>} - { default_account, accounts: { [account]: tokens } }
+   */
+  async load() {
+    let data;
+    try {
+      const contents = await this.backend.read();
+      if (contents === null) {
+        return { default_account: null, accounts: {} };
+      }
+      data = JSON.parse(contents);
+    } catch (error) {
+      throw new Error(t('tokens.readFailed', { path: this.location, error: error.message }));
+    }
+
+    if (!data.accounts && (data.access_token || data.refresh_token)) {
+      return { default_account: LEGACY_ACCOUNT, accounts: { [LEGACY_ACCOUNT]: data } };
+    }
+
+    const accounts = data.accounts || {};
+    const defaultAccount = accounts[data.default_account] ? data.default_account : Object.keys(accounts)[0] || null;
+    return { default_account: defaultAccount, accounts };
+  }
+
+  /**
+   * List the stored accounts.
+   * @returns {Promise<Array<Object>>} - [{ account, default }]
+   */
+  async listAccounts() {
+    const { default_account: defaultAccount, accounts } = await this.load();
+    return Object.keys(accounts).map(account => ({
+      account,
+      default: account === defaultAccount
+    }));
+  }
+
+  /**
+   * Get the account used when a call doesn't name one.
+   * @returns {Promise<string|null>}
+   */
+  async getDefaultAccount() {
+    return (await this.load()).default_account;
+  }
+
+  /**
+   * Get the tokens of an account.
+   * @param {string} account - Account email (default: the default account)
+   * @returns {Promise<Object|null>}
+   */
+  async getTokens(account = null) {
+    const store = await this.load();
+    return store.accounts[account || store.default_account] || null;
+  }
+
+  /**
+   * Save the tokens of an account. The first account saved becomes the default.
+   * @param {string} account - Account email
+   * @param {Object} tokens - OAuth tokens
+   * @param {Object} options - { makeDefault }
+   */
+  async saveTokens(account, tokens, { makeDefault = false } = {}) {
+    await this.update(store => {
+      store.accounts[account] = tokens;
+      if (makeDefault || !store.default_account) {
+        store.default_account = account;
+      }
+    });
+  }
+
+  /**
+   * Merge refreshed tokens into an account's stored tokens. Refresh responses
+   * usually omit the refresh token, so the stored one is kept.
+   * @param {string} account - Account email
+   * @param {Object} tokens - Refreshed OAuth tokens
+   */
+  async updateTokens(account, tokens) {
+    await this.update(store => {
+      const current = store.accounts[account] || {};
+      store.accounts[account] = {
+        ...current,
+        ...tokens,
+        refresh_token: tokens.refresh_token || current.refresh_token
+      };
+      if (!store.default_account) {
+        store.default_account = account;
+      }
+    });
+  }
+
+  /**
+   * Mark an account's access token as expired so the next initialization refreshes it,
+   * e.g. after Google rejected it in the middle of a session.
+   * @param {string} account - Account email
+   */
+  async expireTokens(account) {
+    await this.update(store => {
+      if (store.accounts[account]) {
+        store.accounts[account].expiry_date = 0;
+      }
+    });
+  }
+
+  /**
+   * Rename an account, e.g. once the email of a legacy token is known.
+   * @param {string} from - Current account name
+   * @param {string} to - New account name
+   */
+  async renameAccount(from, to) {
+    await this.update(store => {
+      if (!store.accounts[from] || from === to) {
+        return;
+      }
+      store.accounts[to] = store.accounts[from];
+      delete store.accounts[from];
+      if (store.default_account === from) {
+        store.default_account = to;
+      }
+    });
+  }
+
+  /**
+   * Remove an account.
+   * @param {string} account - Account email
+   */
+  async removeAccount(account) {
+    await this.update(store => {
+      delete store.accounts[account];
+      if (store.default_account === account) {
+        store.default_account = Object.keys(store.accounts)[0] || null;
+      }
+    });
+  }
+
+  /**
+   * Apply a change to the store and write it back.
+   * @param {Function} change - Receives the loaded store and mutates it
+   */
+  async update(change) {
+    const write = this.pendingWrite.then(async () => {
+      const store = await this.load();
+      change(store);
+      await this.write(store);
+    });
+    // Keep the chain alive after a failed write
+    this.pendingWrite = write.catch(() => {});
+    return write;
+  }
+
+  /**
+   * Write the store to the backend
+   */
+  async write(store) {
+    try {
+      await this.backend.write(JSON.stringify(store, null, 2));
+    } catch (error) {
+      throw new Error(t('auth.saveTokenFailed', { error: error.message }));
+    }
+  }
+}
@@ -0,0 +1,92 @@
+/**
+ * Helpers for rendering a structured agenda with time boxes into an event description.
+ */
+
+import { SUPPORTED_LOCALES, t } from './i18n.js';
+import { getZonedParts } from './timeUtils.js';
+
+const pad = value => String(value).padStart(2, '0');
+
+/**
+ * Format an instant as HH:MM in a time zone.
+ * @param {Date} date - Instant to format
+ * @param {string} timeZone - IANA time zone name
+ * @returns {string}
+ */
+function formatClockTime(date, timeZone) {
+  const parts = getZonedParts(date, timeZone);
+  return `${pad(parts.hour)}:${pad(parts.minute)}`;
+}
+
+/**
+ * Render agenda items as text, giving each item a time box that starts where the previous one ends.
+ * @param {Array<Object>} items - Agenda items
+ * @param {string} items[].title - What the item is about
+ * @param {number} items[].minutes - Length of the time box in minutes
+ * @param {string} items[].owner - Who leads the item (optional)
+ * @param {string} items[].notes - Details shown under the item (optional)
+ * @param {Object} context - Event context
+ * @param {string} context.startTime - Start time of the meeting in ISO format
+ * @param {string} context.endTime - End time of the meeting in ISO format
+ * @param {string} context.timeZone - Time zone the times are shown in
+ * @returns {string} - Agenda text, starting with the agenda header
+ */
+export function renderAgenda(items, { startTime, endTime, timeZone }) {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new Error(t('agenda.empty'));
+  }
+
+  let cursor = new Date(startTime).getTime();
+  const lines = [t('agenda.header')];
+
+  items.forEach((item, index) => {
+    const title = String(item?.title || '').trim();
+    if (!title) {
+      throw new Error(t('agenda.missingTitle', { index: index + 1 }));
+    }
+    if (!Number.isInteger(item.minutes) || item.minutes <= 0) {
+      throw new Error(t('agenda.invalidMinutes', { index: index + 1, value: item.minutes }));
+    }
+
+    const start = new Date(cursor);
+    cursor += item.minutes * 60000;
+    lines.push(t('agenda.item', {
+      index: index + 1,
+      start: formatClockTime(start, timeZone),
+      end: formatClockTime(new Date(cursor), timeZone),
+      title,
+      minutes: item.minutes
+    }) + (item.owner ? t('agenda.owner', { owner: item.owner }) : ''));
+    if (item.notes) {
+      lines.push(...String(item.notes).split('\n').map(line => `   ${line}`));
+    }
+  });
+
+  const total = (cursor - new Date(startTime).getTime()) / 60000;
+  const available = (new Date(endTime).getTime() - new Date(startTime).getTime()) / 60000;
+  if (total > available) {
+    throw new Error(t('agenda.tooLong', { total, available }));
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Put an agenda at the end of a description, replacing an agenda rendered earlier.
+ * An earlier agenda is found by its header in any supported language.
+ * @param {string} description - Current description
+ * @param {string} agenda - Rendered agenda
+ * @returns {string}
+ */
+export function replaceAgenda(description, agenda) {
+  let text = description || '';
+  for (const locale of SUPPORTED_LOCALES) {
+    const header = t('agenda.header', {}, locale);
+    if (text.startsWith(`${header}\n`)) {
+      text = '';
+    } else if (text.includes(`\n\n${header}\n`)) {
+      text = text.slice(0, text.lastIndexOf(`\n\n${header}\n`));
+    }
+  }
+  return text ? `${text}\n\n${agenda}` : agenda;
+}
@@ -0,0 +1,113 @@
+/**
+ * Message catalogs for user-facing strings.
+ * The locale comes from the per-call `locale` argument when one is active,
+ * otherwise from GOOGLE_MEET_LOCALE, otherwise Traditional Chinese.
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import process from 'process';
+import en from './locales/en.js';
+import zhTW from './locales/zh-TW.js';
+
+const CATALOGS = {
+  'zh-TW': zhTW,
+  en
+};
+
+export const SUPPORTED_LOCALES = Object.keys(CATALOGS);
+export const FALLBACK_LOCALE = 'zh-TW';
+
+const localeStorage = new AsyncLocalStorage();
+
+/**
+ * Map a locale tag to a supported catalog.
+ * @param {string} locale - BCP 47 tag such as "en-US", "zh-TW" or "zh-Hant"
+ * @returns {string|null} - Supported locale, or null if none matches
+ */
+export function normalizeLocale(locale) {
+  if (!locale || typeof locale !== 'string') {
+    return null;
+  }
+
+  const tag = locale.trim().replace('_', '-').toLowerCase();
+  const exact = SUPPORTED_LOCALES.find(supported => supported.toLowerCase() === tag);
+  if (exact) {
+    return exact;
+  }
+
+  const language = tag.split('-')[0];
+  if (language === 'zh') {
+    return 'zh-TW';
+  }
+  return SUPPORTED_LOCALES.find(supported => supported.toLowerCase() === language) || null;
+}
+
+/**
+ * Get the server-wide locale from GOOGLE_MEET_LOCALE.
+ * @returns {string}
+ */
+export function getDefaultLocale() {
+  return normalizeLocale(process.env.GOOGLE_MEET_LOCALE) || FALLBACK_LOCALE;
+}
+
+/**
+ * Get the locale of the current call, or the server-wide locale outside of one.
+ * @returns {string}
+ */
+export function getLocale() {
+  return localeStorage.getStore() || getDefaultLocale();
+}
+
+/**
+ * Run a function with a locale active for everything it awaits.
+ * @param {string} locale - Requested locale; unsupported values fall back to the default
+ * @param {Function} fn - Function to run
+ * @returns {*} - Whatever fn returns
+ */
+export function withLocale(locale, fn) {
+  return localeStorage.run(normalizeLocale(locale) || getDefaultLocale(), fn);
+}
+
+/**
+ * Pick the first supported locale from an HTTP Accept-Language header.
+ * @param {string} header - Accept-Language header value
+ * @returns {string|null}
+ */
+export function localeFromAcceptLanguage(header) {
+  if (!header) {
+    return null;
+  }
+
+  const tags = header
+    .split(',')
+    .map(part => {
+      const [tag, ...params] = part.trim().split(';');
+      const quality = params.find(param => param.trim().startsWith('q='));
+      return { tag, q: quality ? Number(quality.trim().slice(2)) : 1 };
+    })
+    .filter(entry => entry.tag && entry.q > 0)
+    .sort((a, b) => b.q - a.q);
+
+  for (const { tag } of tags) {
+    const locale = normalizeLocale(tag);
+    if (locale) {
+      return locale;
+    }
+  }
+  return null;
+}
+
+/**
+ * Translate a message key, filling in {name} placeholders.
+ * Missing keys fall back to the Traditional Chinese catalog, then to the key itself.
+ * @param {string} key - Catalog key, e.g. "errors.missingParams"
+ * @param {Object} params - Placeholder values
+ * @param {string} locale - Locale to use (default: current locale)
+ * @returns {string}
+ */
+export function t(key, params = {}, locale = getLocale()) {
+  const template = CATALOGS[locale]?.[key] ?? CATALOGS[FALLBACK_LOCALE][key] ?? key;
+  return template.replace(/\{(\w+)\}/g, (match, name) =>
+    params[name] !== undefined ? String(params[name]) : match
+  );
+}
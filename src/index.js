@@ -18,595 +18,3283 @@ import {
   McpError
 } from '@modelcontextprotocol/sdk/types.js';
 
-import GoogleMeetAPI from './GoogleMeetAPI.js';
+import GoogleMeetAPI, { RESPONSE_STATUSES, SEND_UPDATES_OPTIONS } from './GoogleMeetAPI.js';
+import { SPACE_ACCESS_TYPES, SPACE_ENTRY_POINT_ACCESS, SPACE_RESTRICTIONS } from './MeetSpacesAPI.js';
 import { AuthServer } from './AuthServer.js';
+import { HeadlessAuthFlow } from './AuthFlows.js';
+import { HttpTransportServer, isLoopbackHost } from './HttpTransportServer.js';
+import { LEGACY_ACCOUNT, TokenStore } from './TokenStore.js';
+import { createTokenBackend } from './TokenBackends.js';
+import { ConfirmationStore } from './ConfirmationStore.js';
+import {
+  SCOPE_PROFILES,
+  getOAuthScopes,
+  getScopeProfile,
+  hasScopeAccess,
+  isAuthorizationError,
+  isWriteAccess,
+  isServiceAccountKey,
+  readCredentialsFile
+} from './oauth.js';
+import { formatDateTime, isValidTimeZone, normalizeDateTime } from './timeUtils.js';
+import { FALLBACK_LOCALE, SUPPORTED_LOCALES, normalizeLocale, t, withLocale } from './i18n.js';
 
 // Get __dirname equivalent in ES modules
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-class GoogleMeetMcpServer {
-  /**
-   * Initialize the Google Meet MCP server
-   */
-  constructor() {
-    this.server = new Server(
+// How an account is authorized when no tokens are stored (GOOGLE_MEET_AUTH_MODE)
+const AUTH_FLOWS = {
+  browser: AuthServer,
+  headless: HeadlessAuthFlow
+};
+
+// Tools that manage accounts and can run before any account is authorized
+const ACCOUNT_TOOLS = ['add_account', 'list_accounts', 'submit_auth_code'];
+
+// Calendar access each tool needs; tools the scope profile or the token's scopes don't allow are hidden
+const TOOL_ACCESS = {
+  list_meetings: 'read',
+  get_meeting: 'read',
+  create_meeting: 'write',
+  update_meeting: 'write',
+  delete_meeting: 'write',
+  add_attendees: 'write',
+  remove_attendees: 'write',
+  respond_to_meeting: 'write',
+  get_dial_in: 'read',
+  create_space: 'meet_write',
+  get_space: 'meet_read',
+  update_space: 'meet_write',
+  end_active_conference: 'meet_write',
+  list_conference_records: 'meet_read',
+  get_attendance_report: 'meet_read',
+  get_meeting_transcript: 'meet_read',
+  list_meeting_recordings: 'meet_read',
+  check_availability: 'read',
+  find_meeting_slots: 'read',
+  list_calendars: 'read'
+};
+
+// GOOGLE_MEET_SAFE_MODE: off, confirm (destructive tools need a confirmation token) or readonly (no write tools)
+const SAFE_MODES = ['off', 'confirm', 'readonly'];
+const CONFIRMED_TOOLS = ['update_meeting', 'delete_meeting', 'remove_attendees', 'update_space', 'end_active_conference'];
+// Arguments that select the meeting or space, or shape the response, rather than change it
+const PREVIEW_IGNORED_ARGUMENTS = [
+  'meeting_id', 'space', 'calendar_id', 'scope', 'send_updates', 'account', 'output_format', 'locale', 'confirmation_token'
+];
+
+/**
+ * Split a comma-separated environment variable
+ * @param {string} value - Variable value
+ * @returns {Array<string>|null} - The entries, or null when the variable isn't set
+ */
+function parseList(value) {
+  return value ? value.split(',').map(entry => entry.trim()).filter(Boolean) : null;
+}
+
+// Shared input schemas are functions so that descriptions follow the current locale
+const recurrenceSchema = () => ({
+  type: 'object',
+  description: t('schema.recurrence'),
+  properties: {
+    frequency: {
+      type: 'string',
+      enum: ['daily', 'weekly', 'monthly'],
+      description: t('schema.recurrence.frequency')
+    },
+    interval: {
+      type: 'number',
+      description: t('schema.recurrence.interval')
+    },
+    by_day: {
+      type: 'array',
+      description: t('schema.recurrence.by_day'),
+      items: {
+        type: 'string'
+      }
+    },
+    by_month_day: {
+      type: 'array',
+      description: t('schema.recurrence.by_month_day'),
+      items: {
+        type: 'number'
+      }
+    },
+    count: {
+      type: 'number',
+      description: t('schema.recurrence.count')
+    },
+    until: {
+      type: 'string',
+      description: t('schema.recurrence.until')
+    },
+    exceptions: {
+      type: 'array',
+      description: t('schema.recurrence.exceptions'),
+      items: {
+        type: 'string'
+      }
+    }
+  },
+  required: ['frequency']
+});
+
+const timeZoneSchema = () => ({
+  type: 'string',
+  description: t('schema.timeZone')
+});
+
+const calendarIdSchema = () => ({
+  type: 'string',
+  description: t('schema.calendarId')
+});
+
+const sendUpdatesSchema = () => ({
+  type: 'string',
+  enum: SEND_UPDATES_OPTIONS,
+  description: t('schema.sendUpdates')
+});
+
+const notificationMessageSchema = () => ({
+  type: 'string',
+  description: t('schema.notificationMessage')
+});
+
+const spaceSchema = () => ({
+  type: 'string',
+  description: t('schema.space')
+});
+
+const spaceAccessTypeSchema = () => ({
+  type: 'string',
+  enum: SPACE_ACCESS_TYPES,
+  description: t('schema.spaceAccessType')
+});
+
+const spaceEntryPointAccessSchema = () => ({
+  type: 'string',
+  enum: SPACE_ENTRY_POINT_ACCESS,
+  description: t('schema.spaceEntryPointAccess')
+});
+
+const conferenceSettingsSchema = () => ({
+  type: 'object',
+  description: t('schema.conferenceSettings'),
+  properties: {
+    access_type: spaceAccessTypeSchema(),
+    moderation: {
+      type: 'boolean',
+      description: t('schema.conferenceSettings.moderation')
+    },
+    chat_restriction: {
+      type: 'string',
+      enum: SPACE_RESTRICTIONS,
+      description: t('schema.conferenceSettings.chatRestriction')
+    },
+    reaction_restriction: {
+      type: 'string',
+      enum: SPACE_RESTRICTIONS,
+      description: t('schema.conferenceSettings.reactionRestriction')
+    },
+    present_restriction: {
+      type: 'string',
+      enum: SPACE_RESTRICTIONS,
+      description: t('schema.conferenceSettings.presentRestriction')
+    },
+    default_join_as_viewer: {
+      type: 'boolean',
+      description: t('schema.conferenceSettings.defaultJoinAsViewer')
+    },
+    auto_recording: {
+      type: 'boolean',
+      description: t('schema.conferenceSettings.autoRecording')
+    },
+    auto_transcription: {
+      type: 'boolean',
+      description: t('schema.conferenceSettings.autoTranscription')
+    },
+    co_hosts: {
+      type: 'array',
+      items: { type: 'string' },
+      description: t('schema.conferenceSettings.coHosts')
+    }
+  }
+});
+
+const attachmentsSchema = () => ({
+  type: 'array',
+  description: t('schema.attachments'),
+  items: {
+    type: 'object',
+    properties: {
+      file: { type: 'string', description: t('schema.attachments.file') },
+      title: { type: 'string', description: t('schema.attachments.title') },
+      mime_type: { type: 'string', description: t('schema.attachments.mimeType') }
+    },
+    required: ['file']
+  }
+});
+
+const agendaSchema = () => ({
+  type: 'array',
+  description: t('schema.agenda'),
+  items: {
+    type: 'object',
+    properties: {
+      title: { type: 'string', description: t('schema.agenda.title') },
+      minutes: { type: 'integer', minimum: 1, description: t('schema.agenda.minutes') },
+      owner: { type: 'string', description: t('schema.agenda.owner') },
+      notes: { type: 'string', description: t('schema.agenda.notes') }
+    },
+    required: ['title', 'minutes']
+  }
+});
+
+const recurrenceScopeSchema = () => ({
+  type: 'string',
+  enum: ['this', 'following', 'all'],
+  description: t('schema.scope')
+});
+
+const outputFormatSchema = () => ({
+  type: 'string',
+  enum: ['text', 'json'],
+  description: t('schema.outputFormat')
+});
+
+const accountSchema = () => ({
+  type: 'string',
+  description: t('schema.account')
+});
+
+const dryRunSchema = () => ({
+  type: 'boolean',
+  description: t('schema.dryRun')
+});
+
+const confirmationTokenSchema = () => ({
+  type: 'string',
+  description: t('schema.confirmationToken')
+});
+
+const localeSchema = () => ({
+  type: 'string',
+  enum: SUPPORTED_LOCALES,
+  description: t('schema.locale')
+});
+
+// Output schemas describing each tool's structuredContent
+const ENTRY_POINT_OUTPUT_SCHEMA = {
+  type: 'object',
+  properties: {
+    type: { type: 'string' },
+    uri: { type: 'string' },
+    label: { type: 'string' },
+    pin: { type: 'string' },
+    access_code: { type: 'string' },
+    meeting_code: { type: 'string' },
+    passcode: { type: 'string' },
+    password: { type: 'string' },
+    region_code: { type: 'string' }
+  }
+};
+
+const CONFERENCE_OUTPUT_SCHEMA = {
+  type: 'object',
+  properties: {
+    conference_id: { type: 'string' },
+    meeting_code: { type: 'string' },
+    solution: {
+      type: 'object',
+      properties: {
+        type: { type: 'string' },
+        name: { type: 'string' },
+        icon_uri: { type: 'string' }
+      }
+    },
+    entry_points: { type: 'array', items: ENTRY_POINT_OUTPUT_SCHEMA },
+    notes: { type: 'string' }
+  }
+};
+
+const SPACE_OUTPUT_SCHEMA = {
+  type: 'object',
+  properties: {
+    name: { type: 'string' },
+    meeting_uri: { type: 'string' },
+    meeting_code: { type: 'string' },
+    access_type: { type: 'string' },
+    entry_point_access: { type: 'string' },
+    moderation: { type: ['boolean', 'null'] },
+    chat_restriction: { type: 'string' },
+    reaction_restriction: { type: 'string' },
+    present_restriction: { type: 'string' },
+    default_join_as_viewer: { type: ['boolean', 'null'] },
+    auto_recording: { type: ['boolean', 'null'] },
+    auto_transcription: { type: ['boolean', 'null'] },
+    active_conference: { type: ['string', 'null'] }
+  },
+  required: ['name', 'meeting_uri', 'meeting_code']
+};
+
+const MEETING_OUTPUT_SCHEMA = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    calendar_id: { type: 'string' },
+    summary: { type: 'string' },
+    description: { type: 'string' },
+    start_time: { type: 'string' },
+    end_time: { type: 'string' },
+    meet_link: { type: 'string' },
+    phone_info: { type: 'string' },
+    attendees: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          email: { type: 'string' },
+          display_name: { type: 'string' },
+          status: { type: 'string' },
+          optional: { type: 'boolean' },
+          resource: { type: 'boolean' },
+          comment: { type: 'string' }
+        }
+      }
+    },
+    created: { type: 'string' },
+    updated: { type: 'string' },
+    creator: { type: 'object' },
+    organizer: { type: 'object' },
+    status: { type: 'string' },
+    html_link: { type: 'string' },
+    response_status: { type: 'string' },
+    conference_id: { type: 'string' },
+    conference: CONFERENCE_OUTPUT_SCHEMA,
+    location: { type: 'string' },
+    time_zone: { type: 'string' },
+    recurrence: { type: 'array', items: { type: 'string' } },
+    recurring_event_id: { type: 'string' },
+    attachments: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          file_url: { type: 'string' },
+          title: { type: 'string' },
+          mime_type: { type: 'string' },
+          file_id: { type: 'string' },
+          icon_link: { type: 'string' }
+        }
+      }
+    },
+    // Only when conference_settings were given
+    conference_settings: {
+      ...SPACE_OUTPUT_SCHEMA,
+      properties: {
+        ...SPACE_OUTPUT_SCHEMA.properties,
+        co_hosts_added: { type: 'array', items: { type: 'string' } }
+      }
+    },
+    // Only when create_meeting couldn't apply the conference_settings
+    conference_settings_error: { type: 'string' }
+  },
+  required: ['id', 'summary', 'start_time', 'end_time', 'meet_link']
+};
+
+const CONFLICTS_OUTPUT_SCHEMA = {
+  type: 'array',
+  items: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      summary: { type: 'string' },
+      start_time: { type: 'string' },
+      end_time: { type: 'string' },
+      calendar: { type: 'string' }
+    }
+  }
+};
+
+const CONFERENCE_RECORD_OUTPUT_SCHEMA = {
+  type: 'object',
+  properties: {
+    name: { type: 'string' },
+    start_time: { type: 'string' },
+    end_time: { type: 'string' },
+    expire_time: { type: 'string' },
+    space: { type: 'string' }
+  },
+  required: ['name', 'start_time', 'end_time']
+};
+
+// Returned instead of the result when dry_run is set
+const DRY_RUN_OUTPUT_SCHEMA = {
+  type: 'object',
+  properties: {
+    dry_run: { type: 'boolean', enum: [true] },
+    id: { type: 'string' },
+    scope: { type: 'string' },
+    requests: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          method: { type: 'string' },
+          calendar_id: { type: 'string' },
+          event_id: { type: ['string', 'null'] },
+          send_updates: { type: ['string', 'null'] },
+          body: { type: ['object', 'null'] },
+          // Meet API requests target a space instead of a calendar event
+          space: { type: ['string', 'null'] },
+          update_mask: { type: 'string' },
+          diff: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                field: { type: 'string' },
+                before: {},
+                after: {}
+              }
+            }
+          }
+        }
+      }
+    },
+    conflicts: CONFLICTS_OUTPUT_SCHEMA
+  },
+  required: ['dry_run', 'requests']
+};
+
+// Returned instead of the result when safe mode asks for confirmation
+const CONFIRMATION_OUTPUT_SCHEMA = {
+  type: 'object',
+  properties: {
+    status: { type: 'string', enum: ['confirmation_required'] },
+    action: { type: 'string' },
+    confirmation_token: { type: 'string' },
+    expires_at: { type: 'string' },
+    // The meeting, or the space for the Meet space tools
+    meeting: MEETING_OUTPUT_SCHEMA,
+    space: SPACE_OUTPUT_SCHEMA,
+    changes: { type: 'object' }
+  },
+  required: ['status', 'confirmation_token', 'expires_at']
+};
+
+const TOOL_OUTPUT_SCHEMAS = {
+  list_meetings: {
+    type: 'object',
+    properties: {
+      meetings: { type: 'array', items: MEETING_OUTPUT_SCHEMA },
+      next_cursor: { type: ['string', 'null'] }
+    },
+    required: ['meetings', 'next_cursor']
+  },
+  get_meeting: MEETING_OUTPUT_SCHEMA,
+  create_meeting: {
+    type: 'object',
+    anyOf: [
       {
-        name: 'google-meet-mcp',
-        version: '1.0.0',
+        type: 'object',
+        properties: {
+          meeting: MEETING_OUTPUT_SCHEMA,
+          conflicts: CONFLICTS_OUTPUT_SCHEMA
+        },
+        required: ['meeting', 'conflicts']
       },
+      DRY_RUN_OUTPUT_SCHEMA
+    ]
+  },
+  update_meeting: {
+    type: 'object',
+    anyOf: [MEETING_OUTPUT_SCHEMA, DRY_RUN_OUTPUT_SCHEMA, CONFIRMATION_OUTPUT_SCHEMA]
+  },
+  delete_meeting: {
+    type: 'object',
+    anyOf: [
       {
-        capabilities: {
-          tools: {},
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          scope: { type: 'string', enum: ['this', 'following', 'all'] }
+        },
+        required: ['id', 'scope']
+      },
+      DRY_RUN_OUTPUT_SCHEMA,
+      CONFIRMATION_OUTPUT_SCHEMA
+    ]
+  },
+  add_attendees: {
+    type: 'object',
+    anyOf: [
+      {
+        type: 'object',
+        properties: {
+          meeting: MEETING_OUTPUT_SCHEMA,
+          added: { type: 'array', items: { type: 'string' } },
+          updated: { type: 'array', items: { type: 'string' } }
+        },
+        required: ['meeting', 'added', 'updated']
+      },
+      DRY_RUN_OUTPUT_SCHEMA
+    ]
+  },
+  remove_attendees: {
+    type: 'object',
+    anyOf: [
+      {
+        type: 'object',
+        properties: {
+          meeting: MEETING_OUTPUT_SCHEMA,
+          removed: { type: 'array', items: { type: 'string' } },
+          not_found: { type: 'array', items: { type: 'string' } }
+        },
+        required: ['meeting', 'removed', 'not_found']
+      },
+      DRY_RUN_OUTPUT_SCHEMA,
+      CONFIRMATION_OUTPUT_SCHEMA
+    ]
+  },
+  respond_to_meeting: MEETING_OUTPUT_SCHEMA,
+  create_space: SPACE_OUTPUT_SCHEMA,
+  get_space: SPACE_OUTPUT_SCHEMA,
+  update_space: {
+    type: 'object',
+    anyOf: [SPACE_OUTPUT_SCHEMA, DRY_RUN_OUTPUT_SCHEMA, CONFIRMATION_OUTPUT_SCHEMA]
+  },
+  end_active_conference: {
+    type: 'object',
+    anyOf: [
+      {
+        type: 'object',
+        properties: {
+          name: { type: 'string' }
+        },
+        required: ['name']
+      },
+      DRY_RUN_OUTPUT_SCHEMA,
+      CONFIRMATION_OUTPUT_SCHEMA
+    ]
+  },
+  list_conference_records: {
+    type: 'object',
+    properties: {
+      meeting_id: { type: 'string' },
+      summary: { type: 'string' },
+      meeting_code: { type: 'string' },
+      space: { type: 'string' },
+      records: { type: 'array', items: CONFERENCE_RECORD_OUTPUT_SCHEMA }
+    },
+    required: ['records']
+  },
+  get_attendance_report: {
+    type: 'object',
+    properties: {
+      meeting_id: { type: 'string' },
+      summary: { type: 'string' },
+      meeting_code: { type: 'string' },
+      conference_record: CONFERENCE_RECORD_OUTPUT_SCHEMA,
+      participants: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            display_name: { type: 'string' },
+            type: { type: 'string', enum: ['signed_in', 'anonymous', 'phone'] },
+            user: { type: 'string' },
+            invited_email: { type: 'string' },
+            joined_at: { type: 'string' },
+            left_at: { type: 'string' },
+            total_minutes: { type: 'number' },
+            sessions: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  start_time: { type: 'string' },
+                  end_time: { type: 'string' }
+                }
+              }
+            }
+          }
+        }
+      },
+      absent: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            email: { type: 'string' },
+            display_name: { type: 'string' },
+            status: { type: 'string' },
+            optional: { type: 'boolean' }
+          }
+        }
+      },
+      invited_count: { type: 'number' },
+      attended_count: { type: 'number' }
+    },
+    required: ['meeting_id', 'conference_record', 'participants', 'absent']
+  },
+  get_meeting_transcript: {
+    type: 'object',
+    properties: {
+      meeting_id: { type: 'string' },
+      summary: { type: 'string' },
+      meeting_code: { type: 'string' },
+      conference_record: CONFERENCE_RECORD_OUTPUT_SCHEMA,
+      transcripts: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            name: { type: 'string' },
+            state: { type: 'string' },
+            start_time: { type: 'string' },
+            end_time: { type: 'string' },
+            document: { type: 'string' },
+            document_uri: { type: 'string' }
+          }
+        }
+      },
+      segments: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            speaker: { type: 'string' },
+            participant: { type: 'string' },
+            start_time: { type: 'string' },
+            end_time: { type: 'string' },
+            offset: { type: 'string' },
+            language: { type: 'string' },
+            text: { type: 'string' }
+          }
+        }
+      },
+      text: { type: 'string' }
+    },
+    required: ['meeting_id', 'conference_record', 'transcripts', 'segments', 'text']
+  },
+  list_meeting_recordings: {
+    type: 'object',
+    properties: {
+      meeting_id: { type: 'string' },
+      summary: { type: 'string' },
+      meeting_code: { type: 'string' },
+      recordings: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            name: { type: 'string' },
+            conference_record: { type: 'string' },
+            state: { type: 'string' },
+            start_time: { type: 'string' },
+            end_time: { type: 'string' },
+            drive_file: { type: 'string' },
+            drive_uri: { type: 'string' }
+          }
         }
       }
-    );
+    },
+    required: ['meeting_id', 'recordings']
+  },
+  get_dial_in: {
+    type: 'object',
+    properties: {
+      meeting_id: { type: 'string' },
+      summary: { type: 'string' },
+      meeting_code: { type: 'string' },
+      region: { type: ['string', 'null'] },
+      phone_numbers: { type: 'array', items: ENTRY_POINT_OUTPUT_SCHEMA },
+      more_numbers_url: { type: 'string' },
+      sip: { type: 'array', items: ENTRY_POINT_OUTPUT_SCHEMA }
+    },
+    required: ['meeting_id', 'phone_numbers', 'more_numbers_url', 'sip']
+  },
+  check_availability: {
+    type: 'object',
+    properties: {
+      available: { type: 'boolean' },
+      conflicts: CONFLICTS_OUTPUT_SCHEMA,
+      checked_calendars: { type: 'array', items: { type: 'string' } },
+      time_range: {
+        type: 'object',
+        properties: {
+          start: { type: 'string' },
+          end: { type: 'string' }
+        }
+      }
+    },
+    required: ['available', 'conflicts']
+  },
+  find_meeting_slots: {
+    type: 'object',
+    properties: {
+      time_zone: { type: 'string' },
+      duration_minutes: { type: 'number' },
+      search_range: { type: 'object' },
+      working_hours: { type: 'object' },
+      checked_calendars: { type: 'array', items: { type: 'string' } },
+      unavailable_calendars: { type: 'array', items: { type: 'object' } },
+      slots: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            rank: { type: 'number' },
+            start: { type: 'string' },
+            end: { type: 'string' },
+            score: { type: 'number' },
+            buffer_before_minutes: { type: ['number', 'null'] },
+            buffer_after_minutes: { type: ['number', 'null'] }
+          }
+        }
+      }
+    },
+    required: ['slots']
+  },
+  list_calendars: {
+    type: 'object',
+    properties: {
+      calendars: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            id: { type: 'string' },
+            summary: { type: 'string' },
+            description: { type: 'string' },
+            primary: { type: 'boolean' },
+            access_role: { type: 'string' },
+            time_zone: { type: 'string' },
+            background_color: { type: 'string' },
+            selected: { type: 'boolean' }
+          }
+        }
+      }
+    },
+    required: ['calendars']
+  },
+  add_account: {
+    type: 'object',
+    properties: {
+      mode: { type: 'string', enum: Object.keys(AUTH_FLOWS) },
+      auth_url: { type: 'string' },
+      callback_url: { type: 'string' },
+      redirect_uri: { type: 'string' }
+    },
+    required: ['mode']
+  },
+  submit_auth_code: {
+    type: 'object',
+    properties: {
+      account: { type: 'string' }
+    },
+    required: ['account']
+  },
+  list_accounts: {
+    type: 'object',
+    properties: {
+      accounts: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            account: { type: 'string' },
+            default: { type: 'boolean' }
+          }
+        }
+      }
+    },
+    required: ['accounts']
+  }
+};
 
+class GoogleMeetMcpServer {
+  /**
+   * Initialize the Google Meet MCP server
+   */
+  constructor() {
     // Setup Google Meet API client with environment variable support
     // 優先使用 GOOGLE_OAUTH_CREDENTIALS (與 google-calendar-mcp 一致)
     this.credentialsPath = process.env.GOOGLE_OAUTH_CREDENTIALS || 
                           process.env.GOOGLE_MEET_CREDENTIALS_PATH;
     
     if (!this.credentialsPath) {
-      console.error("❌ 錯誤：缺少必要的環境變數");
-      console.error("請設定 GOOGLE_OAUTH_CREDENTIALS 或 GOOGLE_MEET_CREDENTIALS_PATH");
-      console.error("範例：GOOGLE_OAUTH_CREDENTIALS=/path/to/your/credentials.json");
-      console.error("參考 google-calendar-mcp 的設定方式：https://github.com/nspady/google-calendar-mcp");
+      console.error(t('server.missingEnv'));
+      console.error(t('server.setCredentials'));
+      console.error(t('server.credentialsExample'));
+      console.error(t('server.credentialsReference'));
+      process.exit(1);
+    }
+
+    // Token path can be customized via environment variable
+    // 支援 google-calendar-mcp 的 token 路徑環境變數
+    this.tokenPath = process.env.GOOGLE_CALENDAR_MCP_TOKEN_PATH || 
+                    process.env.GOOGLE_MEET_TOKEN_PATH ||
+                    this.getDefaultTokenPath();
+
+    // Token storage: plain file (0600), encrypted file, OS keychain or memory (GOOGLE_MEET_TOKEN_STORAGE)
+    try {
+      this.tokenStore = new TokenStore(this.tokenPath, createTokenBackend(this.tokenPath));
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      process.exit(1);
+    }
+
+    // Default time zone for tools called without time_zone; the calendar's own setting is used when unset
+    this.defaultTimeZone = process.env.GOOGLE_MEET_TIME_ZONE || null;
+    if (this.defaultTimeZone && !isValidTimeZone(this.defaultTimeZone)) {
+      console.error(t('server.invalidTimeZone', { timeZone: this.defaultTimeZone }));
+      this.defaultTimeZone = null;
+    }
+
+    // Language of tool descriptions, results and errors; calls may override it with locale
+    if (process.env.GOOGLE_MEET_LOCALE && !normalizeLocale(process.env.GOOGLE_MEET_LOCALE)) {
+      console.error(t('server.invalidLocale', {
+        locale: process.env.GOOGLE_MEET_LOCALE,
+        fallback: FALLBACK_LOCALE,
+        values: SUPPORTED_LOCALES.join(', ')
+      }));
+    }
+
+    // Transport: stdio (one client per process) or http (Streamable HTTP and SSE, shared by many clients)
+    this.transport = (process.env.GOOGLE_MEET_TRANSPORT || 'stdio').toLowerCase();
+    if (!['stdio', 'http'].includes(this.transport)) {
+      console.error(t('server.invalidTransport', { transport: this.transport }));
       process.exit(1);
     }
+    // Every tool can act for every stored account, so only this machine may connect without a token
+    if (this.transport === 'http' &&
+        !isLoopbackHost(process.env.GOOGLE_MEET_HTTP_HOST || '127.0.0.1') &&
+        !process.env.GOOGLE_MEET_HTTP_TOKEN) {
+      console.error(t('server.httpTokenRequired', { host: process.env.GOOGLE_MEET_HTTP_HOST }));
+      process.exit(1);
+    }
+
+    // Authorization flow for accounts without tokens; a service account key file needs none
+    this.authMode = (process.env.GOOGLE_MEET_AUTH_MODE || 'browser').toLowerCase();
+    // Google's device authorization grant doesn't allow the Calendar and Meet scopes
+    if (this.authMode === 'device') {
+      console.error(t('server.deviceModeUnsupported'));
+      process.exit(1);
+    }
+    if (!AUTH_FLOWS[this.authMode]) {
+      console.error(t('server.invalidAuthMode', { mode: this.authMode, values: Object.keys(AUTH_FLOWS).join(', ') }));
+      process.exit(1);
+    }
+    // OAuth scopes to request: readonly, events or full (GOOGLE_MEET_SCOPE_PROFILE)
+    this.scopeProfile = getScopeProfile();
+    if (!SCOPE_PROFILES[this.scopeProfile]) {
+      console.error(t('server.invalidScopeProfile', {
+        profile: this.scopeProfile,
+        values: Object.keys(SCOPE_PROFILES).join(', ')
+      }));
+      process.exit(1);
+    }
+
+    // Guard against destructive calls: readonly removes write tools, confirm needs a second call
+    this.safeMode = (process.env.GOOGLE_MEET_SAFE_MODE || 'off').toLowerCase();
+    if (!SAFE_MODES.includes(this.safeMode)) {
+      console.error(t('server.invalidSafeMode', { mode: this.safeMode, values: SAFE_MODES.join(', ') }));
+      process.exit(1);
+    }
+    this.confirmations = new ConfirmationStore();
+
+    // Who is emailed about changes when a call doesn't pass send_updates
+    this.defaultSendUpdates = process.env.GOOGLE_MEET_SEND_UPDATES || 'all';
+    if (!SEND_UPDATES_OPTIONS.includes(this.defaultSendUpdates)) {
+      console.error(t('server.invalidSendUpdates', {
+        value: this.defaultSendUpdates,
+        values: SEND_UPDATES_OPTIONS.join(', ')
+      }));
+      process.exit(1);
+    }
+
+    // User a service account acts as through domain-wide delegation
+    this.impersonateUser = process.env.GOOGLE_MEET_IMPERSONATE_USER || null;
+    this.serviceAccount = false;
+
+    // googleMeet is the default account's client; accounts caches a client per account
+    this.googleMeet = null;
+    this.accounts = new Map();
+    this.authFlow = null;
+    this.pendingAuthorization = null;
+    this.httpServer = null;
+    this.isAuthenticated = false;
+    this.authenticating = null;
+    
+    // The stdio transport uses a single MCP server; HTTP sessions each get their own
+    this.server = this.transport === 'stdio' ? this.createMcpServer() : null;
+    
+    for (const signal of ['SIGINT', 'SIGTERM']) {
+      process.on(signal, async () => {
+        await this.cleanup();
+        process.exit(0);
+      });
+    }
+  }
+
+  /**
+   * Get default token path based on OS
+   */
+  getDefaultTokenPath() {
+    const os = process.platform;
+    const homeDir = process.env.HOME || process.env.USERPROFILE;
+    
+    if (os === 'win32') {
+      return path.join(homeDir, 'AppData', 'Local', 'google-meet-mcp', 'token.json');
+    } else if (os === 'darwin') {
+      return path.join(homeDir, 'Library', 'Application Support', 'google-meet-mcp', 'token.json');
+    } else {
+      return path.join(homeDir, '.config', 'google-meet-mcp', 'token.json');
+    }
+  }
+
+  /**
+   * Initialize authentication automatically
+   * @param {Object} options - { waitForBrowser }: in browser mode, wait for the user to
+   *   authorize instead of returning while the authorization is pending (only at startup)
+   */
+  async initializeAuthentication({ waitForBrowser = false } = {}) {
+    try {
+      this.serviceAccount = isServiceAccountKey(await readCredentialsFile(this.credentialsPath).catch(() => null));
+
+      // Try to initialize with existing tokens first
+      this.googleMeet = new GoogleMeetAPI(this.credentialsPath, this.tokenStore, {
+        account: this.serviceAccount ? this.impersonateUser : null,
+        defaultTimeZone: this.defaultTimeZone,
+        defaultSendUpdates: this.defaultSendUpdates
+      });
+      
+      try {
+        await this.googleMeet.initialize();
+        await this.registerDefaultAccount();
+        console.error(this.serviceAccount
+          ? t('auth.serviceAccountReady', { account: this.googleMeet.account })
+          : t('auth.tokenFound'));
+        return true;
+      } catch (error) {
+        // A service account has no authorization flow to fall back on
+        if (this.serviceAccount) {
+          console.error(t('auth.initFailed'), error.message);
+          return false;
+        }
+        // No valid tokens, need to authenticate
+        console.error(t('auth.tokenMissing'));
+      }
+
+      // Authorization completes later; tools explain how until then, so a tool call never waits for it
+      if (this.authMode !== 'browser' || !waitForBrowser) {
+        await this.beginPendingAuthorization();
+        return false;
+      }
+
+      // Start automatic authentication
+      const authSuccess = await this.getAuthFlow().start(true); // openBrowser = true
+      
+      if (authSuccess) {
+        // The callback has usually set up the client already (see handleAccountAuthorized)
+        if (!this.isAuthenticated) {
+          await this.googleMeet.initialize();
+          await this.registerDefaultAccount();
+        }
+        console.error(t('auth.success'));
+        return true;
+      } else {
+        console.error(t('auth.failed'));
+        return false;
+      }
+    } catch (error) {
+      console.error(t('auth.initFailed'), error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Mark the default account as authenticated. A token.json from before
+   * accounts were tracked is renamed to the account's email on first use.
+   */
+  async registerDefaultAccount() {
+    if (this.googleMeet.account === LEGACY_ACCOUNT) {
+      try {
+        const email = await this.googleMeet.getAccountEmail();
+        await this.tokenStore.renameAccount(LEGACY_ACCOUNT, email);
+        this.googleMeet.account = email;
+      } catch (error) {
+        // Keep the legacy name; the account still works as the default
+      }
+    }
+
+    this.accounts.set(this.googleMeet.account.toLowerCase(), this.googleMeet);
+    this.isAuthenticated = true;
+  }
+
+  /**
+   * Get the authorization flow of the configured mode, creating it on first use
+   */
+  getAuthFlow() {
+    if (!this.authFlow) {
+      const AuthFlow = AUTH_FLOWS[this.authMode];
+      this.authFlow = new AuthFlow(this.credentialsPath, this.tokenStore, {
+        onAuthorized: account => this.handleAccountAuthorized(account)
+      });
+    }
+    return this.authFlow;
+  }
+
+  /**
+   * Called by the authorization flow once an account's tokens are saved
+   */
+  async handleAccountAuthorized(account) {
+    // Drop the cached client, which still holds the account's previous tokens
+    this.accounts.delete(account.toLowerCase());
+    this.pendingAuthorization = null;
+    console.error(t('auth.accountAdded', { account }));
+
+    // The default client is rebuilt when its account is re-authorized. While no account works
+    // (at startup, or after Google rejected the default one) the account just authorized takes over.
+    const isDefault = this.googleMeet?.account?.toLowerCase() === account.toLowerCase();
+    if (this.isAuthenticated && !isDefault) {
+      return;
+    }
+
+    try {
+      const googleMeet = new GoogleMeetAPI(this.credentialsPath, this.tokenStore, {
+        account,
+        defaultTimeZone: this.defaultTimeZone,
+        defaultSendUpdates: this.defaultSendUpdates
+      });
+      await googleMeet.initialize();
+      this.googleMeet = googleMeet;
+      await this.registerDefaultAccount();
+      console.error(t('auth.success'));
+    } catch (error) {
+      console.error(t('auth.initFailed'), error.message);
+    }
+  }
+
+  /**
+   * Start an authorization unless one is already waiting for the user
+   * @returns {Promise<Object>} - The flow's add_account result
+   */
+  async beginPendingAuthorization() {
+    if (this.pendingAuthorization) {
+      return this.pendingAuthorization.result;
+    }
+
+    // Browser mode opens the link on this machine, as at startup
+    const result = await this.getAuthFlow().addAccount(this.authMode === 'browser');
+    this.pendingAuthorization = { result };
+
+    // With the HTTP transport stdin is free, so the code can also be pasted into the terminal
+    if (this.authMode === 'headless' && this.transport !== 'stdio') {
+      this.authFlow.readCodesFromStdin();
+    }
+    return result;
+  }
+
+  /**
+   * Describe how to finish an authorization started by add_account
+   * @param {Object} result - The flow's add_account result
+   * @returns {string}
+   */
+  describeAuthorization(result) {
+    switch (result.mode) {
+      case 'headless':
+        return `${t('accounts.headlessInstructions')}\n${result.auth_url}\n\n` +
+          t('accounts.headlessNext', { redirectUri: result.redirect_uri });
+
+      default:
+        return `${t('accounts.addInstructions')}\n${result.auth_url}\n\n${t('accounts.addNext')}`;
+    }
+  }
+
+  /**
+   * Get the API client of an account, or of the default account when none is named
+   */
+  async getGoogleMeet(account) {
+    if (!account) {
+      return this.googleMeet;
+    }
+
+    const normalized = account.trim().toLowerCase();
+    const cached = this.accounts.get(normalized);
+    if (cached) {
+      return cached;
+    }
+
+    // A service account can act as any user of its domain, so there's no stored list to check
+    let match = account.trim();
+    if (!this.serviceAccount) {
+      const stored = (await this.tokenStore.listAccounts()).map(entry => entry.account);
+      match = stored.find(name => name.toLowerCase() === normalized);
+      if (!match) {
+        throw new McpError(
+          ErrorCode.InvalidParams,
+          t('errors.unknownAccount', { account, accounts: stored.join(', ') || '-' })
+        );
+      }
+    }
+
+    const googleMeet = new GoogleMeetAPI(this.credentialsPath, this.tokenStore, {
+      account: match,
+      defaultTimeZone: this.defaultTimeZone,
+      defaultSendUpdates: this.defaultSendUpdates
+    });
+    await googleMeet.initialize();
+    this.accounts.set(normalized, googleMeet);
+    return googleMeet;
+  }
+
+  /**
+   * Ensure authentication before tool execution
+   */
+  async ensureAuthenticated() {
+    if (this.isAuthenticated) {
+      return;
+    }
+
+    // Try to re-authenticate; concurrent HTTP sessions share one attempt
+    if (!this.authenticating) {
+      this.authenticating = this.initializeAuthentication().finally(() => {
+        this.authenticating = null;
+      });
+    }
+    const success = await this.authenticating;
+    if (!success) {
+      throw new McpError(
+        ErrorCode.InvalidRequest,
+        this.pendingAuthorization
+          ? t('errors.authPending', { instructions: this.describeAuthorization(this.pendingAuthorization.result) })
+          : t('errors.authFailed')
+      );
+    }
+  }
+
+  /**
+   * Forget an account whose authorization Google no longer accepts. The default account
+   * is marked unauthenticated so the next ensureAuthenticated() authorizes it again;
+   * other accounts have to be re-added with add_account.
+   */
+  async handleAuthorizationLost(googleMeet) {
+    const { account } = googleMeet;
+    console.error(t('auth.authorizationLost', { account }));
+
+    this.accounts.delete(account.toLowerCase());
+    await this.tokenStore.expireTokens(account);
+
+    if (googleMeet !== this.googleMeet) {
+      throw new McpError(ErrorCode.InvalidRequest, t('errors.reauthorizeAccount', { account }));
+    }
+    this.isAuthenticated = false;
+  }
+
+  /**
+   * Cleanup resources
+   */
+  async cleanup() {
+    if (this.authFlow) {
+      await this.authFlow.stop();
+    }
+    if (this.httpServer) {
+      await this.httpServer.stop();
+    }
+    if (this.server) {
+      await this.server.close();
+    }
+  }
+
+  /**
+   * Create an MCP server with the tool handlers attached
+   */
+  createMcpServer() {
+    const server = new Server(
+      {
+        name: 'google-meet-mcp',
+        version: '1.0.0',
+      },
+      {
+        capabilities: {
+          tools: {},
+        }
+      }
+    );
+
+    // Setup request handlers
+    this.setupToolHandlers(server);
+
+    // Error handling
+    server.onerror = error => console.error(`[MCP Error] ${error}`);
+
+    return server;
+  }
+
+  /**
+   * Set up the tool request handlers
+   */
+  setupToolHandlers(server) {
+    server.setRequestHandler(ListToolsRequestSchema, this.handleListTools.bind(this));
+    server.setRequestHandler(CallToolRequestSchema, this.handleCallTool.bind(this));
+  }
+
+  /**
+   * Build a tool result. The data always goes to structuredContent; the text
+   * content is the readable summary, or the same data as JSON when the caller
+   * asked for output_format "json".
+   */
+  buildToolResult(args, data, renderText) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: args.output_format === 'json' ? JSON.stringify(data, null, 2) : renderText()
+        }
+      ],
+      structuredContent: data
+    };
+  }
+
+  /**
+   * Handle requests to list available tools
+   */
+  async handleListTools() {
+    const tools = [
+      {
+        name: 'list_meetings',
+        description: t('tools.list_meetings'),
+        inputSchema: {
+          type: 'object',
+          properties: {
+            max_results: {
+              type: 'number',
+              description: t('tools.list_meetings.max_results')
+            },
+            time_min: {
+              type: 'string',
+              description: t('tools.list_meetings.time_min')
+            },
+            time_max: {
+              type: 'string',
+              description: t('tools.list_meetings.time_max')
+            },
+            time_zone: timeZoneSchema(),
+            calendar_id: calendarIdSchema(),
+            calendar_ids: {
+              type: 'array',
+              description: t('tools.list_meetings.calendar_ids'),
+              items: {
+                type: 'string'
+              }
+            },
+            query: {
+              type: 'string',
+              description: t('tools.list_meetings.query')
+            },
+            attendee: {
+              type: 'string',
+              description: t('tools.list_meetings.attendee')
+            },
+            organizer: {
+              type: 'string',
+              description: t('tools.list_meetings.organizer')
+            },
+            organized_by_me: {
+              type: 'boolean',
+              description: t('tools.list_meetings.organized_by_me')
+            },
+            response_status: {
+              type: 'string',
+              enum: RESPONSE_STATUSES,
+              description: t('tools.list_meetings.response_status')
+            },
+            min_duration_minutes: {
+              type: 'number',
+              description: t('tools.list_meetings.min_duration_minutes')
+            },
+            max_duration_minutes: {
+              type: 'number',
+              description: t('tools.list_meetings.max_duration_minutes')
+            },
+            cursor: {
+              type: 'string',
+              description: t('tools.list_meetings.cursor')
+            },
+            account: accountSchema(),
+            output_format: outputFormatSchema(),
+            locale: localeSchema()
+          },
+          required: []
+        }
+      },
+      {
+        name: 'get_meeting',
+        description: t('tools.get_meeting'),
+        inputSchema: {
+          type: 'object',
+          properties: {
+            meeting_id: {
+              type: 'string',
+              description: t('tools.get_meeting.meeting_id')
+            },
+            time_zone: timeZoneSchema(),
+            calendar_id: calendarIdSchema(),
+            account: accountSchema(),
+            output_format: outputFormatSchema(),
+            locale: localeSchema()
+          },
+          required: ['meeting_id']
+        }
+      },
+      {
+        name: 'create_meeting',
+        description: t('tools.create_meeting'),
+        inputSchema: {
+          type: 'object',
+          properties: {
+            summary: {
+              type: 'string',
+              description: t('tools.create_meeting.summary')
+            },
+            description: {
+              type: 'string', 
+              description: t('tools.create_meeting.description')
+            },
+            start_time: {
+              type: 'string',
+              description: t('tools.create_meeting.start_time')
+            },
+            end_time: {
+              type: 'string',
+              description: t('tools.create_meeting.end_time')
+            },
+            attendees: {
+              type: 'array',
+              description: t('tools.create_meeting.attendees'),
+              items: {
+                type: 'string'
+              }
+            },
+            check_conflicts: {
+              type: 'boolean',
+              description: t('tools.create_meeting.check_conflicts')
+            },
+            recurrence: recurrenceSchema(),
+            time_zone: timeZoneSchema(),
+            calendar_id: calendarIdSchema(),
+            send_updates: sendUpdatesSchema(),
+            notification_message: notificationMessageSchema(),
+            conference_settings: conferenceSettingsSchema(),
+            attachments: attachmentsSchema(),
+            agenda: agendaSchema(),
+            dry_run: dryRunSchema(),
+            account: accountSchema(),
+            output_format: outputFormatSchema(),
+            locale: localeSchema()
+          },
+          required: ['summary', 'start_time', 'end_time']
+        }
+      },
+      {
+        name: 'update_meeting',
+        description: t('tools.update_meeting'),
+        inputSchema: {
+          type: 'object',
+          properties: {
+            meeting_id: {
+              type: 'string',
+              description: t('tools.update_meeting.meeting_id')
+            },
+            summary: {
+              type: 'string', 
+              description: t('tools.update_meeting.summary')
+            },
+            description: {
+              type: 'string', 
+              description: t('tools.update_meeting.description')
+            },
+            start_time: {
+              type: 'string', 
+              description: t('tools.update_meeting.start_time')
+            },
+            end_time: {
+              type: 'string', 
+              description: t('tools.update_meeting.end_time')
+            },
+            attendees: {
+              type: 'array', 
+              description: t('tools.update_meeting.attendees'),
+              items: {
+                type: 'string'
+              }
+            },
+            recurrence: recurrenceSchema(),
+            time_zone: timeZoneSchema(),
+            scope: recurrenceScopeSchema(),
+            calendar_id: calendarIdSchema(),
+            send_updates: sendUpdatesSchema(),
+            notification_message: notificationMessageSchema(),
+            conference_settings: conferenceSettingsSchema(),
+            attachments: attachmentsSchema(),
+            agenda: agendaSchema(),
+            dry_run: dryRunSchema(),
+            ...(this.safeMode === 'confirm' ? { confirmation_token: confirmationTokenSchema() } : {}),
+            account: accountSchema(),
+            output_format: outputFormatSchema(),
+            locale: localeSchema()
+          },
+          required: ['meeting_id']
+        }
+      },
+      {
+        name: 'delete_meeting',
+        description: t('tools.delete_meeting'),
+        inputSchema: {
+          type: 'object',
+          properties: {
+            meeting_id: {
+              type: 'string',
+              description: t('tools.delete_meeting.meeting_id')
+            },
+            scope: recurrenceScopeSchema(),
+            calendar_id: calendarIdSchema(),
+            send_updates: sendUpdatesSchema(),
+            notification_message: notificationMessageSchema(),
+            dry_run: dryRunSchema(),
+            ...(this.safeMode === 'confirm' ? { confirmation_token: confirmationTokenSchema() } : {}),
+            account: accountSchema(),
+            output_format: outputFormatSchema(),
+            locale: localeSchema()
+          },
+          required: ['meeting_id']
+        }
+      },
+      {
+        name: 'add_attendees',
+        description: t('tools.add_attendees'),
+        inputSchema: {
+          type: 'object',
+          properties: {
+            meeting_id: {
+              type: 'string',
+              description: t('tools.add_attendees.meeting_id')
+            },
+            attendees: {
+              type: 'array',
+              description: t('tools.add_attendees.attendees'),
+              items: {
+                type: 'object',
+                properties: {
+                  email: {
+                    type: 'string',
+                    description: t('tools.add_attendees.email')
+                  },
+                  optional: {
+                    type: 'boolean',
+                    description: t('tools.add_attendees.optional')
+                  },
+                  display_name: {
+                    type: 'string',
+                    description: t('tools.add_attendees.display_name')
+                  },
+                  resource: {
+                    type: 'boolean',
+                    description: t('tools.add_attendees.resource')
+                  }
+                },
+                required: ['email']
+              }
+            },
+            calendar_id: calendarIdSchema(),
+            send_updates: sendUpdatesSchema(),
+            dry_run: dryRunSchema(),
+            account: accountSchema(),
+            output_format: outputFormatSchema(),
+            locale: localeSchema()
+          },
+          required: ['meeting_id', 'attendees']
+        }
+      },
+      {
+        name: 'remove_attendees',
+        description: t('tools.remove_attendees'),
+        inputSchema: {
+          type: 'object',
+          properties: {
+            meeting_id: {
+              type: 'string',
+              description: t('tools.remove_attendees.meeting_id')
+            },
+            emails: {
+              type: 'array',
+              description: t('tools.remove_attendees.emails'),
+              items: {
+                type: 'string'
+              }
+            },
+            calendar_id: calendarIdSchema(),
+            send_updates: sendUpdatesSchema(),
+            dry_run: dryRunSchema(),
+            ...(this.safeMode === 'confirm' ? { confirmation_token: confirmationTokenSchema() } : {}),
+            account: accountSchema(),
+            output_format: outputFormatSchema(),
+            locale: localeSchema()
+          },
+          required: ['meeting_id', 'emails']
+        }
+      },
+      {
+        name: 'respond_to_meeting',
+        description: t('tools.respond_to_meeting'),
+        inputSchema: {
+          type: 'object',
+          properties: {
+            meeting_id: {
+              type: 'string',
+              description: t('tools.respond_to_meeting.meeting_id')
+            },
+            response: {
+              type: 'string',
+              enum: RESPONSE_STATUSES.filter(status => status !== 'needsAction'),
+              description: t('tools.respond_to_meeting.response')
+            },
+            comment: {
+              type: 'string',
+              description: t('tools.respond_to_meeting.comment')
+            },
+            proposed_start_time: {
+              type: 'string',
+              description: t('tools.respond_to_meeting.proposed_start_time')
+            },
+            proposed_end_time: {
+              type: 'string',
+              description: t('tools.respond_to_meeting.proposed_end_time')
+            },
+            time_zone: timeZoneSchema(),
+            calendar_id: calendarIdSchema(),
+            send_updates: sendUpdatesSchema(),
+            account: accountSchema(),
+            output_format: outputFormatSchema(),
+            locale: localeSchema()
+          },
+          required: ['meeting_id', 'response']
+        }
+      },
+      {
+        name: 'get_dial_in',
+        description: t('tools.get_dial_in'),
+        inputSchema: {
+          type: 'object',
+          properties: {
+            meeting_id: {
+              type: 'string',
+              description: t('tools.get_dial_in.meeting_id')
+            },
+            region: {
+              type: 'string',
+              description: t('tools.get_dial_in.region')
+            },
+            calendar_id: calendarIdSchema(),
+            account: accountSchema(),
+            output_format: outputFormatSchema(),
+            locale: localeSchema()
+          },
+          required: ['meeting_id']
+        }
+      },
+      {
+        name: 'create_space',
+        description: t('tools.create_space'),
+        inputSchema: {
+          type: 'object',
+          properties: {
+            access_type: spaceAccessTypeSchema(),
+            entry_point_access: spaceEntryPointAccessSchema(),
+            account: accountSchema(),
+            output_format: outputFormatSchema(),
+            locale: localeSchema()
+          },
+          required: []
+        }
+      },
+      {
+        name: 'get_space',
+        description: t('tools.get_space'),
+        inputSchema: {
+          type: 'object',
+          properties: {
+            space: spaceSchema(),
+            account: accountSchema(),
+            output_format: outputFormatSchema(),
+            locale: localeSchema()
+          },
+          required: ['space']
+        }
+      },
+      {
+        name: 'update_space',
+        description: t('tools.update_space'),
+        inputSchema: {
+          type: 'object',
+          properties: {
+            space: spaceSchema(),
+            access_type: spaceAccessTypeSchema(),
+            entry_point_access: spaceEntryPointAccessSchema(),
+            dry_run: dryRunSchema(),
+            ...(this.safeMode === 'confirm' ? { confirmation_token: confirmationTokenSchema() } : {}),
+            account: accountSchema(),
+            output_format: outputFormatSchema(),
+            locale: localeSchema()
+          },
+          required: ['space']
+        }
+      },
+      {
+        name: 'end_active_conference',
+        description: t('tools.end_active_conference'),
+        inputSchema: {
+          type: 'object',
+          properties: {
+            space: spaceSchema(),
+            dry_run: dryRunSchema(),
+            ...(this.safeMode === 'confirm' ? { confirmation_token: confirmationTokenSchema() } : {}),
+            account: accountSchema(),
+            output_format: outputFormatSchema(),
+            locale: localeSchema()
+          },
+          required: ['space']
+        }
+      },
+      {
+        name: 'list_conference_records',
+        description: t('tools.list_conference_records'),
+        inputSchema: {
+          type: 'object',
+          properties: {
+            meeting_id: {
+              type: 'string',
+              description: t('tools.list_conference_records.meeting_id')
+            },
+            space: {
+              type: 'string',
+              description: t('tools.list_conference_records.space')
+            },
+            calendar_id: calendarIdSchema(),
+            time_zone: timeZoneSchema(),
+            account: accountSchema(),
+            output_format: outputFormatSchema(),
+            locale: localeSchema()
+          },
+          required: []
+        }
+      },
+      {
+        name: 'get_attendance_report',
+        description: t('tools.get_attendance_report'),
+        inputSchema: {
+          type: 'object',
+          properties: {
+            meeting_id: {
+              type: 'string',
+              description: t('tools.get_attendance_report.meeting_id')
+            },
+            conference_record: {
+              type: 'string',
+              description: t('tools.get_attendance_report.conference_record')
+            },
+            calendar_id: calendarIdSchema(),
+            time_zone: timeZoneSchema(),
+            account: accountSchema(),
+            output_format: outputFormatSchema(),
+            locale: localeSchema()
+          },
+          required: ['meeting_id']
+        }
+      },
+      {
+        name: 'get_meeting_transcript',
+        description: t('tools.get_meeting_transcript'),
+        inputSchema: {
+          type: 'object',
+          properties: {
+            meeting_id: {
+              type: 'string',
+              description: t('tools.get_meeting_transcript.meeting_id')
+            },
+            conference_record: {
+              type: 'string',
+              description: t('tools.get_meeting_transcript.conference_record')
+            },
+            calendar_id: calendarIdSchema(),
+            time_zone: timeZoneSchema(),
+            account: accountSchema(),
+            output_format: outputFormatSchema(),
+            locale: localeSchema()
+          },
+          required: ['meeting_id']
+        }
+      },
+      {
+        name: 'list_meeting_recordings',
+        description: t('tools.list_meeting_recordings'),
+        inputSchema: {
+          type: 'object',
+          properties: {
+            meeting_id: {
+              type: 'string',
+              description: t('tools.list_meeting_recordings.meeting_id')
+            },
+            conference_record: {
+              type: 'string',
+              description: t('tools.list_meeting_recordings.conference_record')
+            },
+            calendar_id: calendarIdSchema(),
+            time_zone: timeZoneSchema(),
+            account: accountSchema(),
+            output_format: outputFormatSchema(),
+            locale: localeSchema()
+          },
+          required: ['meeting_id']
+        }
+      },
+      {
+        name: 'check_availability',
+        description: t('tools.check_availability'),
+        inputSchema: {
+          type: 'object',
+          properties: {
+            start_time: {
+              type: 'string',
+              description: t('tools.check_availability.start_time')
+            },
+            end_time: {
+              type: 'string',
+              description: t('tools.check_availability.end_time')
+            },
+            calendars: {
+              type: 'array',
+              description: t('tools.check_availability.calendars'),
+              items: {
+                type: 'string'
+              }
+            },
+            time_zone: timeZoneSchema(),
+            account: accountSchema(),
+            output_format: outputFormatSchema(),
+            locale: localeSchema()
+          },
+          required: ['start_time', 'end_time']
+        }
+      },
+      {
+        name: 'find_meeting_slots',
+        description: t('tools.find_meeting_slots'),
+        inputSchema: {
+          type: 'object',
+          properties: {
+            attendees: {
+              type: 'array',
+              description: t('tools.find_meeting_slots.attendees'),
+              items: {
+                type: 'string'
+              }
+            },
+            duration_minutes: {
+              type: 'number',
+              description: t('tools.find_meeting_slots.duration_minutes')
+            },
+            time_min: {
+              type: 'string',
+              description: t('tools.find_meeting_slots.time_min')
+            },
+            time_max: {
+              type: 'string',
+              description: t('tools.find_meeting_slots.time_max')
+            },
+            time_zone: {
+              type: 'string',
+              description: t('tools.find_meeting_slots.time_zone')
+            },
+            working_hours_start: {
+              type: 'string',
+              description: t('tools.find_meeting_slots.working_hours_start')
+            },
+            working_hours_end: {
+              type: 'string',
+              description: t('tools.find_meeting_slots.working_hours_end')
+            },
+            working_days: {
+              type: 'array',
+              description: t('tools.find_meeting_slots.working_days'),
+              items: {
+                type: 'string',
+                enum: ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU']
+              }
+            },
+            calendars: {
+              type: 'array',
+              description: t('tools.find_meeting_slots.calendars'),
+              items: {
+                type: 'string'
+              }
+            },
+            slot_interval_minutes: {
+              type: 'number',
+              description: t('tools.find_meeting_slots.slot_interval_minutes')
+            },
+            max_results: {
+              type: 'number',
+              description: t('tools.find_meeting_slots.max_results')
+            },
+            account: accountSchema(),
+            output_format: outputFormatSchema(),
+            locale: localeSchema()
+          },
+          required: ['attendees', 'duration_minutes']
+        }
+      },
+      {
+        name: 'list_calendars',
+        description: t('tools.list_calendars'),
+        inputSchema: {
+          type: 'object',
+          properties: {
+            min_access_role: {
+              type: 'string',
+              enum: ['freeBusyReader', 'reader', 'writer', 'owner'],
+              description: t('tools.list_calendars.min_access_role')
+            },
+            account: accountSchema(),
+            output_format: outputFormatSchema(),
+            locale: localeSchema()
+          },
+          required: []
+        }
+      },
+      {
+        name: 'add_account',
+        description: t('tools.add_account'),
+        inputSchema: {
+          type: 'object',
+          properties: {
+            open_browser: {
+              type: 'boolean',
+              description: t('tools.add_account.open_browser')
+            },
+            output_format: outputFormatSchema(),
+            locale: localeSchema()
+          },
+          required: []
+        }
+      },
+      {
+        name: 'list_accounts',
+        description: t('tools.list_accounts'),
+        inputSchema: {
+          type: 'object',
+          properties: {
+            output_format: outputFormatSchema(),
+            locale: localeSchema()
+          },
+          required: []
+        }
+      },
+      ...(this.authMode === 'headless' ? [{
+        name: 'submit_auth_code',
+        description: t('tools.submit_auth_code'),
+        inputSchema: {
+          type: 'object',
+          properties: {
+            code: {
+              type: 'string',
+              description: t('tools.submit_auth_code.code')
+            },
+            output_format: outputFormatSchema(),
+            locale: localeSchema()
+          },
+          required: ['code']
+        }
+      }] : [])
+    ];
+
+    return {
+      tools: tools
+        .filter(tool => this.isToolAllowed(tool.name, this.googleMeet))
+        .map(tool => ({ ...tool, outputSchema: TOOL_OUTPUT_SCHEMAS[tool.name] }))
+    };
+  }
+
+  /**
+   * Handle tool execution requests
+   */
+  async handleCallTool(request, extra = {}) {
+    const { name, arguments: args = {} } = request.params;
+
+    return withLocale(args.locale, () => this.executeTool(name, args, extra.sessionId ?? null));
+  }
+
+  /**
+   * Run a tool; messages use the locale active for the call
+   * @param {string} name - Tool name
+   * @param {Object} args - Tool arguments
+   * @param {string} sessionId - MCP session of the call (null for stdio), which confirmations are tied to
+   */
+  async executeTool(name, args, sessionId = null) {
+    try {
+      if (ACCOUNT_TOOLS.includes(name)) {
+        return await this.runTool(name, args, null);
+      }
+
+      // Ensure authentication before any tool that uses an account
+      await this.ensureAuthenticated();
+      const googleMeet = await this.getGoogleMeet(args.account);
+      if (this.safeMode === 'readonly' && isWriteAccess(TOOL_ACCESS[name])) {
+        throw new McpError(ErrorCode.InvalidRequest, t('errors.readOnlyMode', { name }));
+      }
+      if (!this.isToolAllowed(name, googleMeet)) {
+        throw new McpError(
+          ErrorCode.InvalidRequest,
+          t('errors.toolNotPermitted', { name, account: googleMeet.account, profile: this.scopeProfile })
+        );
+      }
+
+      // Confirm mode: preview first, and only act on a call that brings the preview's token
+      if (this.safeMode === 'confirm' && CONFIRMED_TOOLS.includes(name) && !args.dry_run) {
+        if (!args.confirmation_token) {
+          return await this.previewChange(name, args, googleMeet, sessionId);
+        }
+        try {
+          this.confirmations.consume(args.confirmation_token, name, args, sessionId);
+        } catch (error) {
+          throw new McpError(ErrorCode.InvalidParams, error.message);
+        }
+      }
+
+      try {
+        return await this.runTool(name, args, googleMeet);
+      } catch (error) {
+        if (this.serviceAccount || !isAuthorizationError(error)) {
+          throw error;
+        }
+
+        // Google rejected the token and refreshing it failed: authorize again, then retry once.
+        // A write may have gone out before the failure, so only reads and dry runs are retried.
+        await this.handleAuthorizationLost(googleMeet);
+        await this.ensureAuthenticated();
+        if (isWriteAccess(TOOL_ACCESS[name]) && !args.dry_run) {
+          throw new McpError(ErrorCode.InternalError, t('errors.writeNotRetried', { name }));
+        }
+        return await this.runTool(name, args, await this.getGoogleMeet(args.account));
+      }
+    } catch (error) {
+      if (error instanceof McpError) {
+        throw error;
+      }
+      
+      // Provide helpful error messages in the caller's locale
+      let errorMessage = error.message;
+      if (error.message.includes('credentials')) {
+        errorMessage += `\n\n${t('errors.hintHeader')}\n${t('errors.credentialsHint')}`;
+      } else if (error.message.includes('token')) {
+        errorMessage += `\n\n${t('errors.hintHeader')}\n${t('errors.tokenHint')}`;
+      }
+      
+      throw new McpError(
+        ErrorCode.InternalError,
+        t('errors.toolFailed', { error: errorMessage })
+      );
+    }
+  }
+
+  /**
+   * Check whether the scope profile and the account's granted scopes allow a tool
+   * @param {string} name - Tool name
+   * @param {GoogleMeetAPI} googleMeet - Account client; null before any account is authorized
+   * @returns {boolean}
+   */
+  isToolAllowed(name, googleMeet) {
+    const access = TOOL_ACCESS[name];
+    if (!access) {
+      return true;
+    }
+    if (this.safeMode === 'readonly' && isWriteAccess(access)) {
+      return false;
+    }
+    return hasScopeAccess(getOAuthScopes(), access) && (!googleMeet || googleMeet.canPerform(access));
+  }
+
+  /**
+   * Describe what an update, delete or attendee removal would do and issue the token that confirms it
+   */
+  async previewChange(name, args, googleMeet, sessionId) {
+    if (name === 'update_space' || name === 'end_active_conference') {
+      return this.previewSpaceChange(name, args, googleMeet, sessionId);
+    }
+
+    const { meeting_id, calendar_id, scope } = args;
+    if (!meeting_id) {
+      throw new McpError(ErrorCode.InvalidParams, t('errors.missingParams', { params: 'meeting_id' }));
+    }
+
+    const meeting = await googleMeet.getMeeting(meeting_id, { calendarId: calendar_id });
+    const timeZone = await googleMeet.resolveTimeZone(args.time_zone);
+    const { token, expires_at } = this.confirmations.issue(name, args, sessionId);
+
+    const changes = Object.fromEntries(
+      Object.entries(args).filter(([key]) => !PREVIEW_IGNORED_ARGUMENTS.includes(key))
+    );
+    const action = { delete_meeting: 'delete', remove_attendees: 'remove' }[name] || 'update';
+
+    return this.buildToolResult(args, {
+      status: 'confirmation_required',
+      action,
+      confirmation_token: token,
+      expires_at,
+      meeting,
+      ...(action !== 'delete' ? { changes } : {})
+    }, () =>
+      `${t('confirm.header')}\n\n` +
+      `${t(`confirm.${action}Warning.${args.send_updates || this.defaultSendUpdates}`, { count: meeting.attendees.length })}\n\n` +
+      `${t('meeting.summary', { value: meeting.summary })}\n` +
+      `${t('meeting.start', { value: formatDateTime(meeting.start_time, timeZone) })}\n` +
+      `${t('meeting.end', { value: formatDateTime(meeting.end_time, timeZone) })}\n` +
+      `${t('meeting.id', { value: meeting.id })}\n` +
+      (scope ? `${t('confirm.scope', { value: scope })}\n` : '') +
+      (action !== 'delete'
+        ? `\n${t('confirm.changes')}\n` +
+          Object.entries(changes).map(([field, value]) => `  • ${field}: ${JSON.stringify(value)}`).join('\n') + '\n'
+        : '') +
+      `\n${t('confirm.instructions', {
+        tool: name,
+        token,
+        minutes: Math.round(this.confirmations.ttlMs / 60000)
+      })}`
+    );
+  }
+
+  /**
+   * Describe what a Meet space change would do and issue the token that confirms it
+   */
+  async previewSpaceChange(name, args, googleMeet, sessionId) {
+    if (!args.space) {
+      throw new McpError(ErrorCode.InvalidParams, t('errors.missingParams', { params: 'space' }));
+    }
+
+    const space = await googleMeet.spaces.getSpace(args.space);
+    const { token, expires_at } = this.confirmations.issue(name, args, sessionId);
+
+    const changes = Object.fromEntries(
+      Object.entries(args).filter(([key]) => !PREVIEW_IGNORED_ARGUMENTS.includes(key))
+    );
+    const action = name === 'end_active_conference' ? 'endConference' : 'updateSpace';
+
+    return this.buildToolResult(args, {
+      status: 'confirmation_required',
+      action,
+      confirmation_token: token,
+      expires_at,
+      space,
+      ...(action === 'updateSpace' ? { changes } : {})
+    }, () =>
+      `${t('confirm.header')}\n\n` +
+      `${t(`confirm.${action}Warning`)}\n\n` +
+      `${t('create.link', { value: space.meeting_uri })}\n` +
+      this.formatSpaceSettings(space) +
+      (space.active_conference
+        ? `${t('spaces.activeConference', { value: space.active_conference })}\n`
+        : (action === 'endConference' ? `${t('confirm.noActiveConference')}\n` : '')) +
+      `${t('spaces.name', { value: space.name })}\n` +
+      (action === 'updateSpace'
+        ? `\n${t('confirm.changes')}\n` +
+          Object.entries(changes).map(([field, value]) => `  • ${field}: ${JSON.stringify(value)}`).join('\n') + '\n'
+        : '') +
+      `\n${t('confirm.instructions', {
+        tool: name,
+        token,
+        minutes: Math.round(this.confirmations.ttlMs / 60000)
+      })}`
+    );
+  }
+
+  /**
+   * Dispatch a tool call to its handler
+   */
+  async runTool(name, args, googleMeet) {
+    switch (name) {
+      case 'list_meetings':
+        return await this.handleListMeetings(args, googleMeet);
+      
+      case 'get_meeting':
+        return await this.handleGetMeeting(args, googleMeet);
+      
+      case 'create_meeting':
+        return await this.handleCreateMeeting(args, googleMeet);
+      
+      case 'update_meeting':
+        return await this.handleUpdateMeeting(args, googleMeet);
+      
+      case 'delete_meeting':
+        return await this.handleDeleteMeeting(args, googleMeet);
+
+      case 'add_attendees':
+        return await this.handleAddAttendees(args, googleMeet);
+
+      case 'remove_attendees':
+        return await this.handleRemoveAttendees(args, googleMeet);
+
+      case 'respond_to_meeting':
+        return await this.handleRespondToMeeting(args, googleMeet);
+
+      case 'get_dial_in':
+        return await this.handleGetDialIn(args, googleMeet);
+
+      case 'create_space':
+        return await this.handleCreateSpace(args, googleMeet);
+
+      case 'get_space':
+        return await this.handleGetSpace(args, googleMeet);
+
+      case 'update_space':
+        return await this.handleUpdateSpace(args, googleMeet);
+
+      case 'end_active_conference':
+        return await this.handleEndActiveConference(args, googleMeet);
+
+      case 'list_conference_records':
+        return await this.handleListConferenceRecords(args, googleMeet);
+
+      case 'get_attendance_report':
+        return await this.handleGetAttendanceReport(args, googleMeet);
+
+      case 'get_meeting_transcript':
+        return await this.handleGetMeetingTranscript(args, googleMeet);
+
+      case 'list_meeting_recordings':
+        return await this.handleListMeetingRecordings(args, googleMeet);
+
+      case 'check_availability':
+        return await this.handleCheckAvailability(args, googleMeet);
+
+      case 'find_meeting_slots':
+        return await this.handleFindMeetingSlots(args, googleMeet);
+
+      case 'list_calendars':
+        return await this.handleListCalendars(args, googleMeet);
+
+      case 'add_account':
+        return await this.handleAddAccount(args);
+
+      case 'list_accounts':
+        return await this.handleListAccounts(args);
+
+      case 'submit_auth_code':
+        return await this.handleSubmitAuthCode(args);
+
+      default:
+        throw new McpError(
+          ErrorCode.MethodNotFound,
+          t('errors.unknownTool', { name })
+        );
+    }
+  }
+
+  /**
+   * Handle list meetings request
+   */
+  async handleListMeetings(args, googleMeet) {
+    const {
+      max_results = 10,
+      time_min,
+      time_max,
+      time_zone,
+      calendar_id,
+      calendar_ids = [],
+      query,
+      attendee,
+      organizer,
+      organized_by_me,
+      response_status,
+      min_duration_minutes,
+      max_duration_minutes,
+      cursor
+    } = args;
+    const calendarIds = [...new Set([...(calendar_id ? [calendar_id] : []), ...calendar_ids])];
+    if (calendarIds.length === 0) {
+      calendarIds.push('primary');
+    }
+    
+    try {
+      const timeZone = await googleMeet.resolveTimeZone(time_zone);
+      const { meetings, next_cursor } = await googleMeet.listMeetings(max_results, time_min, time_max, {
+        timeZone,
+        calendarIds,
+        filters: {
+          query,
+          attendee,
+          organizer,
+          organizedByMe: organized_by_me,
+          responseStatus: response_status,
+          minDuration: min_duration_minutes,
+          maxDuration: max_duration_minutes
+        },
+        cursor
+      });
+      const showCalendar = new Set(meetings.map(meeting => meeting.calendar_id)).size > 1;
+      
+      return this.buildToolResult(args, { meetings, next_cursor }, () =>
+        `${t('list.header', { count: meetings.length })}\n\n` +
+        meetings.map((meeting, index) => 
+          `**${index + 1}. ${meeting.summary}**\n` +
+          `${t('meeting.time', {
+            start: formatDateTime(meeting.start_time, timeZone),
+            end: formatDateTime(meeting.end_time, timeZone)
+          })}\n` +
+          `${t('list.link', { value: meeting.meet_link })}\n` +
+          `${t('meeting.attendeeCount', { count: meeting.attendees.length })}\n` +
+          (meeting.response_status ? `${t('meeting.response', { value: t(`response.${meeting.response_status}`) })}\n` : '') +
+          (showCalendar ? `${t('meeting.calendar', { value: meeting.calendar_id })}\n` : '') +
+          `${t('list.id', { value: meeting.id })}\n`
+        ).join('\n') + 
+        (meetings.length === 0 ? t('list.empty') : '') +
+        (next_cursor ? `\n\n${t('list.more')}\n${next_cursor}` : '')
+      );
+    } catch (error) {
+      throw new McpError(ErrorCode.InternalError, t('errors.listMeetings', { error: error.message }));
+    }
+  }
+
+  /**
+   * Handle get meeting request
+   */
+  async handleGetMeeting(args, googleMeet) {
+    const { meeting_id } = args;
+    
+    if (!meeting_id) {
+      throw new McpError(ErrorCode.InvalidParams, t('errors.missingParams', { params: 'meeting_id' }));
+    }
+    
+    try {
+      const timeZone = await googleMeet.resolveTimeZone(args.time_zone);
+      const meeting = await googleMeet.getMeeting(meeting_id, { calendarId: args.calendar_id });
+      
+      return this.buildToolResult(args, meeting, () =>
+        `${t('get.header')}\n\n` +
+        `${t('get.summary', { value: meeting.summary })}\n` +
+        `${t('get.description', { value: meeting.description || t('common.none') })}\n` +
+        `${t('get.start', { value: formatDateTime(meeting.start_time, timeZone) })}\n` +
+        `${t('get.end', { value: formatDateTime(meeting.end_time, timeZone) })}\n` +
+        `${t('get.link', { value: meeting.meet_link })}\n` +
+        (meeting.conference.meeting_code ? `${t('meeting.code', { value: meeting.conference.meeting_code })}\n` : '') +
+        meeting.conference.entry_points
+          .filter(entry => entry.type === 'phone' || entry.type === 'sip')
+          .map(entry => `${this.formatEntryPoint(entry)}\n`).join('') +
+        `${t('get.id', { value: meeting.id })}\n` +
+        `${t('get.calendar', { value: meeting.calendar_id })}\n` +
+        (meeting.recurring_event_id ? `${t('get.series', { value: meeting.recurring_event_id })}\n` : '') +
+        (meeting.recurrence.length > 0 ? `${t('get.recurrence', { value: meeting.recurrence.join('; ') })}\n` : '') +
+        `${t('get.attendees')}\n${this.formatAttendees(meeting.attendees)}\n` +
+        (meeting.attachments.length > 0 ? `${t('get.attachments')}\n${this.formatAttachments(meeting.attachments)}\n` : '') +
+        `${t('get.created', { value: formatDateTime(meeting.created, timeZone) })}\n` +
+        `${t('get.updated', { value: formatDateTime(meeting.updated, timeZone) })}`
+      );
+    } catch (error) {
+      throw new McpError(ErrorCode.InternalError, t('errors.getMeeting', { error: error.message }));
+    }
+  }
+
+  /**
+   * Handle create meeting request with conflict detection
+   */
+  async handleCreateMeeting(args, googleMeet) {
+    const { 
+      summary, 
+      description = '', 
+      start_time, 
+      end_time, 
+      attendees = [],
+      check_conflicts = true,
+      recurrence,
+      time_zone,
+      calendar_id = 'primary',
+      send_updates = this.defaultSendUpdates,
+      notification_message,
+      conference_settings,
+      attachments,
+      agenda,
+      dry_run = false
+    } = args;
+    
+    if (!summary || !start_time || !end_time) {
+      throw new McpError(ErrorCode.InvalidParams, t('errors.missingParams', { params: 'summary, start_time, end_time' }));
+    }
+    
+    try {
+      const timeZone = await googleMeet.resolveTimeZone(time_zone);
+      let conflicts = [];
+      let conflictWarning = '';
+      
+      // Check for time conflicts if requested
+      if (check_conflicts) {
+        conflicts = await googleMeet.checkTimeConflicts(
+          normalizeDateTime(start_time, timeZone),
+          normalizeDateTime(end_time, timeZone),
+          [calendar_id]
+        );
+        if (conflicts.length > 0) {
+          conflictWarning = `\n${t('create.conflictWarning')}\n` +
+                           conflicts.map(conflict => 
+                             `• ${conflict.summary} (${formatDateTime(conflict.start_time, timeZone)} - ${formatDateTime(conflict.end_time, timeZone)})`
+                           ).join('\n') + '\n';
+        }
+      }
+      
+      const meeting = await googleMeet.createMeeting(summary, start_time, end_time, description, attendees, {
+        recurrence,
+        timeZone,
+        calendarId: calendar_id,
+        sendUpdates: send_updates,
+        notificationMessage: notification_message,
+        conferenceSettings: this.toConferenceSettings(conference_settings),
+        attachments: this.toAttachments(attachments),
+        agenda,
+        dryRun: dry_run
+      });
+      if (dry_run) {
+        return this.buildDryRunResult(args, { ...meeting, conflicts }, conflictWarning);
+      }
+      
+      return this.buildToolResult(args, { meeting, conflicts }, () =>
+        `${t('create.success')}\n\n` +
+        conflictWarning +
+        `${t('create.info')}\n` +
+        `${t('meeting.summary', { value: meeting.summary })}\n` +
+        `${t('meeting.description', { value: meeting.description || t('common.none') })}\n` +
+        `${t('meeting.start', { value: formatDateTime(meeting.start_time, timeZone) })}\n` +
+        `${t('meeting.end', { value: formatDateTime(meeting.end_time, timeZone) })}\n` +
+        `${t('create.link', { value: meeting.meet_link })}\n` +
+        `${t('meeting.phone', { value: meeting.phone_info || t('common.none') })}\n` +
+        `${t('meeting.attendeeCount', { count: meeting.attendees.length })}\n` +
+        (meeting.recurrence.length > 0 ? `${t('meeting.recurrence', { value: meeting.recurrence.join('; ') })}\n` : '') +
+        (meeting.attachments.length > 0
+          ? `${t('meeting.attachments', { count: meeting.attachments.length })}\n${this.formatAttachments(meeting.attachments)}\n`
+          : '') +
+        (send_updates === 'all'
+          ? `${t('create.invitesSent', { value: attendees.join(', ') || t('common.none') })}\n`
+          : `${t(`notify.${send_updates}`)}\n`) +
+        `${t('meeting.id', { value: meeting.id })}\n` +
+        `${t('meeting.calendar', { value: meeting.calendar_id })}\n` +
+        this.formatConferenceSettings(meeting.conference_settings) +
+        (meeting.conference_settings_error
+          ? `\n${t('create.conferenceSettingsFailed', { error: meeting.conference_settings_error })}\n`
+          : '') +
+        `\n${t('create.tip')}`
+      );
+    } catch (error) {
+      throw new McpError(ErrorCode.InternalError, t('errors.createMeeting', { error: error.message }));
+    }
+  }
+
+  /**
+   * Handle update meeting request
+   */
+  async handleUpdateMeeting(args, googleMeet) {
+    const {
+      meeting_id,
+      start_time,
+      end_time,
+      time_zone,
+      calendar_id,
+      send_updates = this.defaultSendUpdates,
+      notification_message,
+      conference_settings,
+      attachments,
+      dry_run = false,
+      ...updateFields
+    } = args;
+    
+    if (!meeting_id) {
+      throw new McpError(ErrorCode.InvalidParams, t('errors.missingParams', { params: 'meeting_id' }));
+    }
+    
+    try {
+      const meeting = await googleMeet.updateMeeting(meeting_id, {
+        ...updateFields,
+        startTime: start_time,
+        endTime: end_time,
+        timeZone: time_zone,
+        calendarId: calendar_id,
+        sendUpdates: send_updates,
+        notificationMessage: notification_message,
+        conferenceSettings: this.toConferenceSettings(conference_settings),
+        attachments: this.toAttachments(attachments),
+        dryRun: dry_run
+      });
+      if (dry_run) {
+        return this.buildDryRunResult(args, meeting);
+      }
+      // Show the result in the requested zone, or in the event's own zone
+      const timeZone = time_zone || meeting.time_zone || await googleMeet.getDefaultTimeZone();
+      const scopeNote = this.describeRecurrenceScope(args.scope);
+      const { summary, description, attendees, recurrence, agenda } = updateFields;
+      const settingsOnly = conference_settings &&
+        [summary, description, start_time, end_time, attendees, recurrence, time_zone, notification_message, attachments, agenda]
+          .every(value => value === undefined);
+      
+      return this.buildToolResult(args, meeting, () =>
+        `${t('update.success')}\n\n` +
+        scopeNote +
+        `${t('update.info')}\n` +
+        `${t('meeting.summary', { value: meeting.summary })}\n` +
+        `${t('meeting.description', { value: meeting.description || t('common.none') })}\n` +
+        `${t('meeting.start', { value: formatDateTime(meeting.start_time, timeZone) })}\n` +
+        `${t('meeting.end', { value: formatDateTime(meeting.end_time, timeZone) })}\n` +
+        `${t('meeting.link', { value: meeting.meet_link })}\n` +
+        `${t('meeting.attendeeCount', { count: meeting.attendees.length })}\n` +
+        (meeting.recurrence.length > 0 ? `${t('meeting.recurrence', { value: meeting.recurrence.join('; ') })}\n` : '') +
+        (meeting.attachments.length > 0
+          ? `${t('meeting.attachments', { count: meeting.attachments.length })}\n${this.formatAttachments(meeting.attachments)}\n`
+          : '') +
+        `${t('meeting.id', { value: meeting.id })}\n` +
+        this.formatConferenceSettings(meeting.conference_settings) +
+        // Changing only the conference settings leaves the event alone, so nobody is emailed
+        (settingsOnly ? '' : `\n${this.describeNotification('update', send_updates)}`)
+      );
+    } catch (error) {
+      throw new McpError(ErrorCode.InternalError, t('errors.updateMeeting', { error: error.message }));
+    }
+  }
+
+  /**
+   * Handle delete meeting request
+   */
+  async handleDeleteMeeting(args, googleMeet) {
+    const {
+      meeting_id,
+      scope,
+      calendar_id,
+      send_updates = this.defaultSendUpdates,
+      notification_message,
+      dry_run = false
+    } = args;
+    
+    if (!meeting_id) {
+      throw new McpError(ErrorCode.InvalidParams, t('errors.missingParams', { params: 'meeting_id' }));
+    }
+    
+    try {
+      const result = await googleMeet.deleteMeeting(meeting_id, {
+        scope,
+        calendarId: calendar_id,
+        sendUpdates: send_updates,
+        notificationMessage: notification_message,
+        dryRun: dry_run
+      });
+      if (dry_run) {
+        return this.buildDryRunResult(args, result);
+      }
+      return this.buildToolResult(args, result, () =>
+        `${t('delete.success')}\n\n` +
+        `${t('delete.id', { value: result.id })}\n` +
+        `${t('delete.scope', { value: t(`delete.scope.${result.scope}`) })}\n\n` +
+        this.describeNotification('delete', send_updates)
+      );
+    } catch (error) {
+      throw new McpError(ErrorCode.InternalError, t('errors.deleteMeeting', { error: error.message }));
+    }
+  }
+
+  /**
+   * Handle add attendees request
+   */
+  async handleAddAttendees(args, googleMeet) {
+    const { meeting_id, attendees, calendar_id, send_updates = this.defaultSendUpdates, dry_run = false } = args;
+
+    if (!meeting_id || !Array.isArray(attendees) || attendees.length === 0) {
+      throw new McpError(ErrorCode.InvalidParams, t('errors.missingParams', { params: 'meeting_id, attendees' }));
+    }
+
+    try {
+      const result = await googleMeet.addAttendees(
+        meeting_id,
+        attendees.map(({ email, optional, display_name, resource }) => ({
+          email,
+          optional,
+          displayName: display_name,
+          resource
+        })),
+        { calendarId: calendar_id, sendUpdates: send_updates, dryRun: dry_run }
+      );
+      if (dry_run) {
+        return this.buildDryRunResult(args, result);
+      }
+
+      const { meeting, added, updated } = result;
+      return this.buildToolResult(args, result, () =>
+        `${t(added.length + updated.length > 0 ? 'attendees.addSuccess' : 'attendees.unchanged')}\n\n` +
+        `${t('meeting.summary', { value: meeting.summary })}\n` +
+        `${t('meeting.id', { value: meeting.id })}\n` +
+        (added.length > 0 ? `${t('attendees.added', { value: added.join(', ') })}\n` : '') +
+        (updated.length > 0 ? `${t('attendees.updated', { value: updated.join(', ') })}\n` : '') +
+        `\n${t('get.attendees')}\n${this.formatAttendees(meeting.attendees)}` +
+        (added.length + updated.length > 0 ? `\n\n${this.describeNotification('update', send_updates)}` : '')
+      );
+    } catch (error) {
+      throw new McpError(ErrorCode.InternalError, t('errors.addAttendees', { error: error.message }));
+    }
+  }
+
+  /**
+   * Handle remove attendees request
+   */
+  async handleRemoveAttendees(args, googleMeet) {
+    const { meeting_id, emails, calendar_id, send_updates = this.defaultSendUpdates, dry_run = false } = args;
+
+    if (!meeting_id || !Array.isArray(emails) || emails.length === 0) {
+      throw new McpError(ErrorCode.InvalidParams, t('errors.missingParams', { params: 'meeting_id, emails' }));
+    }
+
+    try {
+      const result = await googleMeet.removeAttendees(meeting_id, emails, {
+        calendarId: calendar_id,
+        sendUpdates: send_updates,
+        dryRun: dry_run
+      });
+      if (dry_run) {
+        return this.buildDryRunResult(args, result);
+      }
+
+      const { meeting, removed, not_found } = result;
+      return this.buildToolResult(args, result, () =>
+        `${t(removed.length > 0 ? 'attendees.removeSuccess' : 'attendees.unchanged')}\n\n` +
+        `${t('meeting.summary', { value: meeting.summary })}\n` +
+        `${t('meeting.id', { value: meeting.id })}\n` +
+        (removed.length > 0 ? `${t('attendees.removed', { value: removed.join(', ') })}\n` : '') +
+        (not_found.length > 0 ? `${t('attendees.notFound', { value: not_found.join(', ') })}\n` : '') +
+        `\n${t('get.attendees')}\n${this.formatAttendees(meeting.attendees)}` +
+        (removed.length > 0 ? `\n\n${this.describeNotification('update', send_updates)}` : '')
+      );
+    } catch (error) {
+      throw new McpError(ErrorCode.InternalError, t('errors.removeAttendees', { error: error.message }));
+    }
+  }
+
+  /**
+   * Handle respond to meeting request
+   */
+  async handleRespondToMeeting(args, googleMeet) {
+    const {
+      meeting_id,
+      response,
+      comment,
+      proposed_start_time,
+      proposed_end_time,
+      time_zone,
+      calendar_id,
+      send_updates = this.defaultSendUpdates
+    } = args;
+
+    if (!meeting_id || !response) {
+      throw new McpError(ErrorCode.InvalidParams, t('errors.missingParams', { params: 'meeting_id, response' }));
+    }
+    if (!proposed_start_time !== !proposed_end_time) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        t('errors.missingParams', { params: 'proposed_start_time, proposed_end_time' })
+      );
+    }
+
+    try {
+      const timeZone = await googleMeet.resolveTimeZone(time_zone);
+
+      // The Calendar API can't propose a new time, so the proposal goes into the comment for the organizer
+      let fullComment = comment;
+      if (proposed_start_time) {
+        const proposal = t('respond.proposal', {
+          start: formatDateTime(normalizeDateTime(proposed_start_time, timeZone), timeZone),
+          end: formatDateTime(normalizeDateTime(proposed_end_time, timeZone), timeZone)
+        });
+        fullComment = comment ? `${comment}\n${proposal}` : proposal;
+      }
+
+      const meeting = await googleMeet.respondToMeeting(meeting_id, {
+        response,
+        comment: fullComment,
+        calendarId: calendar_id,
+        sendUpdates: send_updates
+      });
+
+      return this.buildToolResult(args, meeting, () =>
+        `${t('respond.success', { value: t(`response.${response}`) })}\n\n` +
+        `${t('meeting.summary', { value: meeting.summary })}\n` +
+        `${t('meeting.time', {
+          start: formatDateTime(meeting.start_time, timeZone),
+          end: formatDateTime(meeting.end_time, timeZone)
+        })}\n` +
+        `${t('meeting.id', { value: meeting.id })}\n` +
+        (fullComment ? `${t('respond.comment', { value: fullComment })}\n` : '') +
+        (meeting.organizer?.email ? `\n${t('respond.organizer', { value: meeting.organizer.email })}` : '')
+      );
+    } catch (error) {
+      throw new McpError(ErrorCode.InternalError, t('errors.respondToMeeting', { error: error.message }));
+    }
+  }
+
+  /**
+   * Handle get dial-in request
+   */
+  async handleGetDialIn(args, googleMeet) {
+    const { meeting_id, region, calendar_id } = args;
+
+    if (!meeting_id) {
+      throw new McpError(ErrorCode.InvalidParams, t('errors.missingParams', { params: 'meeting_id' }));
+    }
+
+    try {
+      const dialIn = await googleMeet.getDialIn(meeting_id, { calendarId: calendar_id, region });
+
+      return this.buildToolResult(args, dialIn, () =>
+        `${t('dialIn.header', { summary: dialIn.summary })}\n\n` +
+        (dialIn.meeting_code ? `${t('meeting.code', { value: dialIn.meeting_code })}\n\n` : '') +
+        (dialIn.phone_numbers.length > 0
+          ? dialIn.phone_numbers.map(entry => `${this.formatEntryPoint(entry)}\n`).join('')
+          : `${t(dialIn.region ? 'dialIn.noRegionNumbers' : 'dialIn.noNumbers', { region: dialIn.region })}\n`) +
+        (dialIn.more_numbers_url ? `${t('dialIn.more', { value: dialIn.more_numbers_url })}\n` : '') +
+        dialIn.sip.map(entry => `${this.formatEntryPoint(entry)}\n`).join('') +
+        `${t('meeting.id', { value: dialIn.meeting_id })}`
+      );
+    } catch (error) {
+      throw new McpError(ErrorCode.InternalError, t('errors.getDialIn', { error: error.message }));
+    }
+  }
+
+  /**
+   * Handle create space request
+   */
+  async handleCreateSpace(args, googleMeet) {
+    try {
+      const space = await googleMeet.spaces.createSpace({
+        accessType: args.access_type,
+        entryPointAccess: args.entry_point_access
+      });
+      return this.buildSpaceResult(args, space, t('spaces.created'));
+    } catch (error) {
+      throw new McpError(ErrorCode.InternalError, t('errors.createSpace', { error: error.message }));
+    }
+  }
+
+  /**
+   * Handle get space request
+   */
+  async handleGetSpace(args, googleMeet) {
+    if (!args.space) {
+      throw new McpError(ErrorCode.InvalidParams, t('errors.missingParams', { params: 'space' }));
+    }
+
+    try {
+      const space = await googleMeet.spaces.getSpace(args.space);
+      return this.buildSpaceResult(args, space, t('spaces.header'));
+    } catch (error) {
+      throw new McpError(ErrorCode.InternalError, t('errors.getSpace', { error: error.message }));
+    }
+  }
+
+  /**
+   * Handle update space request
+   */
+  async handleUpdateSpace(args, googleMeet) {
+    const { space, access_type, entry_point_access, dry_run = false } = args;
+
+    if (!space) {
+      throw new McpError(ErrorCode.InvalidParams, t('errors.missingParams', { params: 'space' }));
+    }
+
+    try {
+      const updated = await googleMeet.spaces.updateSpace(space, {
+        accessType: access_type,
+        entryPointAccess: entry_point_access
+      }, { dryRun: dry_run });
+      if (dry_run) {
+        return this.buildDryRunResult(args, updated);
+      }
+      return this.buildSpaceResult(args, updated, t('spaces.updated'));
+    } catch (error) {
+      throw new McpError(ErrorCode.InternalError, t('errors.updateSpace', { error: error.message }));
+    }
+  }
+
+  /**
+   * Handle end active conference request
+   */
+  async handleEndActiveConference(args, googleMeet) {
+    if (!args.space) {
+      throw new McpError(ErrorCode.InvalidParams, t('errors.missingParams', { params: 'space' }));
+    }
+
+    try {
+      const result = await googleMeet.spaces.endActiveConference(args.space, { dryRun: args.dry_run });
+      if (args.dry_run) {
+        return this.buildDryRunResult(args, result);
+      }
+      return this.buildToolResult(args, result, () =>
+        `${t('spaces.ended')}\n\n` +
+        t('spaces.name', { value: result.name })
+      );
+    } catch (error) {
+      throw new McpError(ErrorCode.InternalError, t('errors.endActiveConference', { error: error.message }));
+    }
+  }
+
+  /**
+   * Handle list conference records request
+   */
+  async handleListConferenceRecords(args, googleMeet) {
+    const { meeting_id, space, calendar_id } = args;
+
+    if (!meeting_id && !space) {
+      throw new McpError(ErrorCode.InvalidParams, t('errors.missingParams', { params: 'meeting_id / space' }));
+    }
 
-    // Token path can be customized via environment variable
-    // 支援 google-calendar-mcp 的 token 路徑環境變數
-    this.tokenPath = process.env.GOOGLE_CALENDAR_MCP_TOKEN_PATH || 
-                    process.env.GOOGLE_MEET_TOKEN_PATH ||
-                    this.getDefaultTokenPath();
+    try {
+      const timeZone = await googleMeet.resolveTimeZone(args.time_zone);
+      const result = meeting_id
+        ? await googleMeet.listConferenceRecords(meeting_id, { calendarId: calendar_id })
+        : { space, records: await googleMeet.spaces.listConferenceRecords(space) };
 
-    this.googleMeet = null;
-    this.authServer = null;
-    this.isAuthenticated = false;
-    
-    // Setup request handlers
-    this.setupToolHandlers();
-    
-    // Error handling
-    this.server.onerror = error => console.error(`[MCP Error] ${error}`);
-    
-    process.on('SIGINT', async () => {
-      await this.cleanup();
-      process.exit(0);
-    });
+      return this.buildToolResult(args, result, () =>
+        `${meeting_id ? t('records.header', { summary: result.summary }) : t('records.spaceHeader', { space })}` +
+        (result.records.length > 0 ? ` (${t('records.count', { count: result.records.length })})` : '') +
+        '\n\n' +
+        (result.records.length > 0
+          ? result.records.map(record =>
+            `• ${formatDateTime(record.start_time, timeZone)} - ` +
+            `${record.end_time ? formatDateTime(record.end_time, timeZone) : t('records.ongoing')}\n` +
+            `  ${t('records.id', { value: record.name })}`
+          ).join('\n')
+          : t('records.none'))
+      );
+    } catch (error) {
+      throw new McpError(ErrorCode.InternalError, t('errors.listConferenceRecords', { error: error.message }));
+    }
   }
 
   /**
-   * Get default token path based on OS
+   * Handle get attendance report request
    */
-  getDefaultTokenPath() {
-    const os = process.platform;
-    const homeDir = process.env.HOME || process.env.USERPROFILE;
-    
-    if (os === 'win32') {
-      return path.join(homeDir, 'AppData', 'Local', 'google-meet-mcp', 'token.json');
-    } else if (os === 'darwin') {
-      return path.join(homeDir, 'Library', 'Application Support', 'google-meet-mcp', 'token.json');
-    } else {
-      return path.join(homeDir, '.config', 'google-meet-mcp', 'token.json');
+  async handleGetAttendanceReport(args, googleMeet) {
+    const { meeting_id, conference_record, calendar_id } = args;
+
+    if (!meeting_id) {
+      throw new McpError(ErrorCode.InvalidParams, t('errors.missingParams', { params: 'meeting_id' }));
+    }
+
+    try {
+      const timeZone = await googleMeet.resolveTimeZone(args.time_zone);
+      const report = await googleMeet.getAttendanceReport(meeting_id, {
+        calendarId: calendar_id,
+        conferenceRecord: conference_record
+      });
+      const record = report.conference_record;
+
+      return this.buildToolResult(args, report, () =>
+        `${t('attendance.header', { summary: report.summary })}\n\n` +
+        `${t('attendance.conference', {
+          start: formatDateTime(record.start_time, timeZone),
+          end: record.end_time ? formatDateTime(record.end_time, timeZone) : t('records.ongoing')
+        })}\n` +
+        `${t('attendance.summary', {
+          attended: report.attended_count,
+          invited: report.invited_count,
+          participants: report.participants.length
+        })}\n\n` +
+        (report.participants.length > 0
+          ? `${t('attendance.participants')}\n` +
+            report.participants.map(participant => '  ' + t('attendance.participant', {
+              name: participant.display_name || participant.invited_email,
+              // Meet calls anonymous participants guests; signed-in users who weren't invited get their own label
+              who: participant.invited_email ||
+                (participant.type === 'signed_in' ? t('attendance.notInvited') : t(`attendance.type.${participant.type}`)),
+              joined: formatDateTime(participant.joined_at, timeZone),
+              left: participant.left_at ? formatDateTime(participant.left_at, timeZone) : t('attendance.stillIn'),
+              minutes: participant.total_minutes
+            }) + (participant.sessions.length > 1 ? t('attendance.sessions', { count: participant.sessions.length }) : '')
+            ).join('\n')
+          : t('attendance.noParticipants')) +
+        (report.absent.length > 0
+          ? `\n\n${t('attendance.absent', { count: report.absent.length })}\n` +
+            this.formatAttendees(report.absent)
+          : '') +
+        `\n\n${t('records.id', { value: record.name })}\n` +
+        t('attendance.matchNote')
+      );
+    } catch (error) {
+      throw new McpError(ErrorCode.InternalError, t('errors.getAttendanceReport', { error: error.message }));
     }
   }
 
   /**
-   * Initialize authentication automatically
+   * Handle get meeting transcript request
    */
-  async initializeAuthentication() {
+  async handleGetMeetingTranscript(args, googleMeet) {
+    const { meeting_id, conference_record, calendar_id } = args;
+
+    if (!meeting_id) {
+      throw new McpError(ErrorCode.InvalidParams, t('errors.missingParams', { params: 'meeting_id' }));
+    }
+
     try {
-      // Try to initialize with existing tokens first
-      this.googleMeet = new GoogleMeetAPI(this.credentialsPath, this.tokenPath);
-      
-      try {
-        await this.googleMeet.initialize();
-        this.isAuthenticated = true;
-        console.error('✅ 找到有效的認證 token，無需重新認證');
-        return true;
-      } catch (error) {
-        // No valid tokens, need to authenticate
-        console.error('ℹ️ 未找到有效的認證 token，啟動自動認證流程...');
-      }
+      const timeZone = await googleMeet.resolveTimeZone(args.time_zone);
+      const transcript = await googleMeet.getMeetingTranscript(meeting_id, {
+        calendarId: calendar_id,
+        conferenceRecord: conference_record
+      });
+      const record = transcript.conference_record;
 
-      // Start automatic authentication
-      this.authServer = new AuthServer(this.credentialsPath, this.tokenPath);
-      const authSuccess = await this.authServer.start(true); // openBrowser = true
-      
-      if (authSuccess) {
-        // Re-initialize with new tokens
-        await this.googleMeet.initialize();
-        this.isAuthenticated = true;
-        console.error('✅ 自動認證成功！');
-        return true;
-      } else {
-        console.error('❌ 自動認證失敗');
-        return false;
-      }
+      return this.buildToolResult(args, transcript, () =>
+        `${t('transcript.header', { summary: transcript.summary })}\n\n` +
+        `${t('attendance.conference', {
+          start: formatDateTime(record.start_time, timeZone),
+          end: record.end_time ? formatDateTime(record.end_time, timeZone) : t('records.ongoing')
+        })}\n` +
+        transcript.transcripts
+          .filter(item => item.document_uri)
+          .map(item => `${t('transcript.document', { value: item.document_uri })}\n`)
+          .join('') +
+        '\n' +
+        (transcript.text ||
+          t(transcript.transcripts.length > 0 ? 'transcript.empty' : 'transcript.none')) +
+        `\n\n${t('records.id', { value: record.name })}`
+      );
     } catch (error) {
-      console.error('❌ 認證初始化失敗：', error.message);
-      return false;
+      throw new McpError(ErrorCode.InternalError, t('errors.getMeetingTranscript', { error: error.message }));
     }
   }
 
   /**
-   * Ensure authentication before tool execution
+   * Handle list meeting recordings request
    */
-  async ensureAuthenticated() {
-    if (this.isAuthenticated) {
-      return;
+  async handleListMeetingRecordings(args, googleMeet) {
+    const { meeting_id, conference_record, calendar_id } = args;
+
+    if (!meeting_id) {
+      throw new McpError(ErrorCode.InvalidParams, t('errors.missingParams', { params: 'meeting_id' }));
     }
 
-    // Try to re-authenticate
-    const success = await this.initializeAuthentication();
-    if (!success) {
-      throw new McpError(
-        ErrorCode.InvalidRequest,
-        '認證失敗。請檢查您的憑證設定並重新啟動服務。'
+    try {
+      const timeZone = await googleMeet.resolveTimeZone(args.time_zone);
+      const result = await googleMeet.listMeetingRecordings(meeting_id, {
+        calendarId: calendar_id,
+        conferenceRecord: conference_record
+      });
+
+      return this.buildToolResult(args, result, () =>
+        `${t('recordings.header', { summary: result.summary })}` +
+        (result.recordings.length > 0 ? ` (${t('records.count', { count: result.recordings.length })})` : '') +
+        '\n\n' +
+        (result.recordings.length > 0
+          ? result.recordings.map(recording =>
+            `• ${formatDateTime(recording.start_time, timeZone)} - ` +
+            `${recording.end_time ? formatDateTime(recording.end_time, timeZone) : t('records.ongoing')}` +
+            (recording.state ? ` (${t(`recordings.state.${recording.state}`)})` : '') + '\n' +
+            (recording.drive_uri ? `  ${t('recordings.file', { value: recording.drive_uri })}\n` : '') +
+            `  ${t('records.id', { value: recording.conference_record })}`
+          ).join('\n')
+          : t('recordings.none'))
       );
+    } catch (error) {
+      throw new McpError(ErrorCode.InternalError, t('errors.listMeetingRecordings', { error: error.message }));
     }
   }
 
   /**
-   * Cleanup resources
+   * Build the result of a space tool
    */
-  async cleanup() {
-    if (this.authServer) {
-      await this.authServer.stop();
-    }
-    if (this.server) {
-      await this.server.close();
-    }
+  buildSpaceResult(args, space, header) {
+    return this.buildToolResult(args, space, () =>
+      `${header}\n\n` +
+      `${t('create.link', { value: space.meeting_uri })}\n` +
+      `${t('meeting.code', { value: space.meeting_code })}\n` +
+      this.formatSpaceSettings(space) +
+      (space.active_conference ? `${t('spaces.activeConference', { value: space.active_conference })}\n` : '') +
+      t('spaces.name', { value: space.name })
+    );
   }
 
   /**
-   * Set up the tool request handlers
+   * Show the settings of a space, one per line; settings the API didn't return are left out
    */
-  setupToolHandlers() {
-    this.server.setRequestHandler(ListToolsRequestSchema, this.handleListTools.bind(this));
-    this.server.setRequestHandler(CallToolRequestSchema, this.handleCallTool.bind(this));
+  formatSpaceSettings(space) {
+    const onOff = value => t(value ? 'spaces.on' : 'spaces.off');
+    return [
+      ...(space.access_type
+        ? [t('spaces.accessType', { value: t(`spaces.accessType.${space.access_type}`) })]
+        : []),
+      ...(space.entry_point_access
+        ? [t('spaces.entryPointAccess', { value: t(`spaces.entryPointAccess.${space.entry_point_access}`) })]
+        : []),
+      ...(space.moderation !== null && space.moderation !== undefined
+        ? [t('spaces.moderation', { value: onOff(space.moderation) })]
+        : []),
+      ...['chat', 'reaction', 'present']
+        .filter(kind => space[`${kind}_restriction`])
+        .map(kind => t(`spaces.${kind}Restriction`, {
+          value: t(`spaces.restriction.${space[`${kind}_restriction`]}`)
+        })),
+      ...(space.default_join_as_viewer !== null && space.default_join_as_viewer !== undefined
+        ? [t('spaces.defaultJoinAsViewer', { value: onOff(space.default_join_as_viewer) })]
+        : []),
+      ...(space.auto_recording !== null && space.auto_recording !== undefined
+        ? [t('spaces.autoRecording', { value: onOff(space.auto_recording) })]
+        : []),
+      ...(space.auto_transcription !== null && space.auto_transcription !== undefined
+        ? [t('spaces.autoTranscription', { value: onOff(space.auto_transcription) })]
+        : [])
+    ].map(line => `${line}\n`).join('');
   }
 
   /**
-   * Handle requests to list available tools
+   * Show the conference settings applied by create_meeting or update_meeting
    */
-  async handleListTools() {
+  formatConferenceSettings(settings) {
+    if (!settings) {
+      return '';
+    }
+    return `\n${t('spaces.settingsApplied')}\n` +
+      this.formatSpaceSettings(settings) +
+      (settings.co_hosts_added.length > 0
+        ? `${t('spaces.coHostsAdded', { value: settings.co_hosts_added.join(', ') })}\n`
+        : '');
+  }
+
+  /**
+   * Turn the conference_settings argument into GoogleMeetAPI conference settings
+   */
+  toConferenceSettings(settings) {
+    if (!settings) {
+      return undefined;
+    }
     return {
-      tools: [
-        {
-          name: 'list_meetings',
-          description: '📅 列出即將到來的 Google Meet 會議',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              max_results: {
-                type: 'number',
-                description: '最多返回的結果數量 (預設: 10)'
-              },
-              time_min: {
-                type: 'string',
-                description: '開始時間 (ISO 格式，預設: 現在)'
-              },
-              time_max: {
-                type: 'string',
-                description: '結束時間 (ISO 格式，可選)'
-              }
-            },
-            required: []
-          }
-        },
-        {
-          name: 'get_meeting',
-          description: '🔍 獲取特定 Google Meet 會議的詳細資訊',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              meeting_id: {
-                type: 'string',
-                description: '要查詢的會議 ID'
-              }
-            },
-            required: ['meeting_id']
-          }
-        },
-        {
-          name: 'create_meeting',
-          description: '✨ 創建新的 Google Meet 會議（包含時間衝突檢測）',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              summary: {
-                type: 'string',
-                description: '會議標題'
-              },
-              description: {
-                type: 'string', 
-                description: '會議描述 (可選)'
-              },
-              start_time: {
-                type: 'string',
-                description: '開始時間 (ISO 格式)'
-              },
-              end_time: {
-                type: 'string',
-                description: '結束時間 (ISO 格式)'
-              },
-              attendees: {
-                type: 'array',
-                description: '參與者電子郵件地址列表 (可選)',
-                items: {
-                  type: 'string'
-                }
-              },
-              check_conflicts: {
-                type: 'boolean',
-                description: '是否檢查時間衝突 (預設: true)'
-              }
-            },
-            required: ['summary', 'start_time', 'end_time']
-          }
-        },
-        {
-          name: 'update_meeting',
-          description: '📝 更新現有的 Google Meet 會議',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              meeting_id: {
-                type: 'string',
-                description: '要更新的會議 ID'
-              },
-              summary: {
-                type: 'string', 
-                description: '更新的會議標題 (可選)'
-              },
-              description: {
-                type: 'string', 
-                description: '更新的會議描述 (可選)'
-              },
-              start_time: {
-                type: 'string', 
-                description: '更新的開始時間 (ISO 格式，可選)'
-              },
-              end_time: {
-                type: 'string', 
-                description: '更新的結束時間 (ISO 格式，可選)'
-              },
-              attendees: {
-                type: 'array', 
-                description: '更新的參與者電子郵件地址列表 (可選)',
-                items: {
-                  type: 'string'
-                }
-              }
-            },
-            required: ['meeting_id']
-          }
-        },
-        {
-          name: 'delete_meeting',
-          description: '🗑️ 刪除 Google Meet 會議',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              meeting_id: {
-                type: 'string',
-                description: '要刪除的會議 ID'
-              }
-            },
-            required: ['meeting_id']
-          }
-        },
-        {
-          name: 'check_availability',
-          description: '⏰ 檢查特定時間範圍的可用性',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              start_time: {
-                type: 'string',
-                description: '開始時間 (ISO 格式)'
-              },
-              end_time: {
-                type: 'string',
-                description: '結束時間 (ISO 格式)'
-              },
-              calendars: {
-                type: 'array',
-                description: '要檢查的日曆列表 (預設: ["primary"])',
-                items: {
-                  type: 'string'
-                }
-              }
-            },
-            required: ['start_time', 'end_time']
-          }
-        }
-      ]
+      accessType: settings.access_type,
+      moderation: settings.moderation,
+      chatRestriction: settings.chat_restriction,
+      reactionRestriction: settings.reaction_restriction,
+      presentRestriction: settings.present_restriction,
+      defaultJoinAsViewer: settings.default_join_as_viewer,
+      autoRecording: settings.auto_recording,
+      autoTranscription: settings.auto_transcription,
+      coHosts: settings.co_hosts
     };
   }
 
   /**
-   * Handle tool execution requests
+   * Turn the attachments argument into GoogleMeetAPI attachments
    */
-  async handleCallTool(request) {
-    const { name, arguments: args } = request.params;
+  toAttachments(attachments) {
+    if (!attachments) {
+      return undefined;
+    }
+    return attachments.map(attachment => ({
+      file: attachment.file,
+      title: attachment.title,
+      mimeType: attachment.mime_type
+    }));
+  }
 
-    try {
-      // Ensure authentication before any tool execution
-      await this.ensureAuthenticated();
+  /**
+   * Show a phone or SIP entry point with the codes needed to join
+   */
+  formatEntryPoint(entry) {
+    const codes = [
+      ...(entry.pin ? [t('dialIn.pin', { value: entry.pin })] : []),
+      ...(entry.access_code ? [t('dialIn.accessCode', { value: entry.access_code })] : []),
+      ...(entry.passcode ? [t('dialIn.passcode', { value: entry.passcode })] : []),
+      ...(entry.password ? [t('dialIn.password', { value: entry.password })] : [])
+    ];
+    const target = entry.label || entry.uri.replace(/^(tel|sip):/, '');
+    const region = entry.region_code ? ` (${entry.region_code})` : '';
+    return t(`dialIn.${entry.type}`, { value: `${target}${region}` }) + (codes.length > 0 ? ` · ${codes.join(' · ')}` : '');
+  }
 
-      switch (name) {
-        case 'list_meetings':
-          return await this.handleListMeetings(args);
-        
-        case 'get_meeting':
-          return await this.handleGetMeeting(args);
-        
-        case 'create_meeting':
-          return await this.handleCreateMeeting(args);
-        
-        case 'update_meeting':
-          return await this.handleUpdateMeeting(args);
-        
-        case 'delete_meeting':
-          return await this.handleDeleteMeeting(args);
-
-        case 'check_availability':
-          return await this.handleCheckAvailability(args);
-
-        default:
-          throw new McpError(
-            ErrorCode.MethodNotFound,
-            `未知的工具: ${name}`
-          );
-      }
-    } catch (error) {
-      if (error instanceof McpError) {
-        throw error;
-      }
-      
-      // Provide helpful error messages in Traditional Chinese
-      let errorMessage = error.message;
-      if (error.message.includes('credentials')) {
-        errorMessage += '\n\n💡 解決建議：\n' +
-                       '1. 確認 GOOGLE_OAUTH_CREDENTIALS 環境變數設定正確\n' +
-                       '2. 檢查憑證檔案路徑是否存在\n' +
-                       '3. 重新啟動服務以觸發自動認證';
-      } else if (error.message.includes('token')) {
-        errorMessage += '\n\n💡 解決建議：\n' +
-                       '1. 重新啟動服務以觸發自動認證\n' +
-                       '2. 檢查網路連接\n' +
-                       '3. 確認 Google Cloud 專案設定正確';
-      }
-      
-      throw new McpError(
-        ErrorCode.InternalError,
-        `執行工具時發生錯誤: ${errorMessage}`
-      );
+  /**
+   * List attendees one per line with their response and flags
+   */
+  formatAttendees(attendees) {
+    if (attendees.length === 0) {
+      return t('get.noAttendees');
     }
+    return attendees.map(attendee => {
+      const details = [
+        attendee.status,
+        ...(attendee.optional ? [t('attendees.optional')] : []),
+        ...(attendee.resource ? [t('attendees.resource')] : [])
+      ];
+      const name = attendee.display_name ? `${attendee.display_name} <${attendee.email}>` : attendee.email;
+      return `  • ${name} (${details.join(', ')})`;
+    }).join('\n');
   }
 
   /**
-   * Handle list meetings request
+   * Show the Drive files attached to a meeting
    */
-  async handleListMeetings(args) {
-    const { max_results = 10, time_min, time_max } = args;
-    
-    try {
-      const meetings = await this.googleMeet.listMeetings(max_results, time_min, time_max);
-      
-      return {
-        content: [
-          {
-            type: 'text',
-            text: `📅 **找到 ${meetings.length} 個即將到來的 Google Meet 會議**\n\n` +
-                  meetings.map((meeting, index) => 
-                    `**${index + 1}. ${meeting.summary}**\n` +
-                    `🕐 時間：${new Date(meeting.start_time).toLocaleString('zh-TW')} - ${new Date(meeting.end_time).toLocaleString('zh-TW')}\n` +
-                    `🔗 會議連結：${meeting.meet_link}\n` +
-                    `👥 參與者：${meeting.attendees.length} 人\n` +
-                    `📋 ID：${meeting.id}\n`
-                  ).join('\n') || '目前沒有即將到來的會議。'
-          }
-        ]
-      };
-    } catch (error) {
-      throw new McpError(ErrorCode.InternalError, `列出會議時發生錯誤: ${error.message}`);
+  formatAttachments(attachments) {
+    return attachments.map(attachment =>
+      `  • ${attachment.title ? `${attachment.title} (${attachment.file_url})` : attachment.file_url}`
+    ).join('\n');
+  }
+
+  /**
+   * Describe who was emailed about an update or cancellation
+   */
+  describeNotification(action, sendUpdates) {
+    return sendUpdates === 'all' ? t(`${action}.notified`) : t(`notify.${sendUpdates}`);
+  }
+
+  /**
+   * Build the result of a dry run: the requests that would be sent and what they'd change
+   */
+  buildDryRunResult(args, result, note = '') {
+    return this.buildToolResult(args, result, () =>
+      `${t('dryRun.header')}\n` +
+      note +
+      `\n${t('dryRun.requests', { count: result.requests.length })}\n\n` +
+      result.requests.map((request, index) => {
+        const target = request.method.startsWith('spaces.')
+          ? t('dryRun.spaceTarget', { space: request.space || t('dryRun.newSpace') })
+          : t('dryRun.target', {
+            calendar: request.calendar_id,
+            event: request.event_id || t('dryRun.newEvent'),
+            notify: request.send_updates || t('common.none')
+          });
+        let details = '';
+        if (request.diff) {
+          details = request.diff.length > 0
+            ? `${t('dryRun.changes')}\n` +
+              request.diff.map(change =>
+                `  • ${change.field}: ${JSON.stringify(change.before)} → ${JSON.stringify(change.after)}`
+              ).join('\n')
+            : t('dryRun.noChanges');
+        } else if (request.body) {
+          details = `${t('dryRun.payload')}\n${JSON.stringify(request.body, null, 2)}`;
+        }
+        return `**${index + 1}. ${request.method}**\n${target}` + (details ? `\n${details}` : '');
+      }).join('\n\n')
+    );
+  }
+
+  /**
+   * Describe how a recurring meeting update was applied
+   */
+  describeRecurrenceScope(scope) {
+    if (scope === 'following') {
+      return `${t('update.scope.following')}\n\n`;
+    }
+    if (scope === 'all') {
+      return `${t('update.scope.all')}\n\n`;
     }
+    return '';
   }
 
   /**
-   * Handle get meeting request
+   * Handle check availability request
    */
-  async handleGetMeeting(args) {
-    const { meeting_id } = args;
+  async handleCheckAvailability(args, googleMeet) {
+    const { start_time, end_time, calendars = ['primary'], time_zone } = args;
     
-    if (!meeting_id) {
-      throw new McpError(ErrorCode.InvalidParams, '缺少必要參數: meeting_id');
+    if (!start_time || !end_time) {
+      throw new McpError(ErrorCode.InvalidParams, t('errors.missingParams', { params: 'start_time, end_time' }));
     }
     
     try {
-      const meeting = await this.googleMeet.getMeeting(meeting_id);
+      const timeZone = await googleMeet.resolveTimeZone(time_zone);
+      const availability = await googleMeet.checkAvailability(
+        normalizeDateTime(start_time, timeZone),
+        normalizeDateTime(end_time, timeZone),
+        calendars
+      );
       
-      return {
-        content: [
-          {
-            type: 'text',
-            text: `📋 **會議詳細資訊**\n\n` +
-                  `**標題：** ${meeting.summary}\n` +
-                  `**描述：** ${meeting.description || '無'}\n` +
-                  `**開始時間：** ${new Date(meeting.start_time).toLocaleString('zh-TW')}\n` +
-                  `**結束時間：** ${new Date(meeting.end_time).toLocaleString('zh-TW')}\n` +
-                  `**Google Meet 連結：** ${meeting.meet_link}\n` +
-                  `**會議 ID：** ${meeting.id}\n` +
-                  `**參與者：**\n${meeting.attendees.map(a => `  • ${a.email} (${a.status})`).join('\n') || '  無參與者'}\n` +
-                  `**創建時間：** ${new Date(meeting.created).toLocaleString('zh-TW')}\n` +
-                  `**最後更新：** ${new Date(meeting.updated).toLocaleString('zh-TW')}`
-          }
-        ]
-      };
+      return this.buildToolResult(args, availability, () =>
+        `${t('availability.header')}\n\n` +
+        `${t('availability.range')}\n` +
+        `🕐 ${formatDateTime(availability.time_range.start, timeZone)} - ${formatDateTime(availability.time_range.end, timeZone)} (${timeZone})\n\n` +
+        `${t('availability.result', { value: t(availability.available ? 'availability.available' : 'availability.busy') })}\n\n` +
+        (availability.conflicts.length > 0 ? 
+          `${t('availability.conflicts')}\n` +
+          availability.conflicts.map(conflict => 
+            `• ${conflict.summary} (${formatDateTime(conflict.start_time, timeZone)} - ${formatDateTime(conflict.end_time, timeZone)})`
+          ).join('\n')
+          : t('availability.noConflicts')
+        )
+      );
     } catch (error) {
-      throw new McpError(ErrorCode.InternalError, `獲取會議資訊時發生錯誤: ${error.message}`);
+      throw new McpError(ErrorCode.InternalError, t('errors.checkAvailability', { error: error.message }));
     }
   }
 
   /**
-   * Handle create meeting request with conflict detection
+   * Handle find meeting slots request
    */
-  async handleCreateMeeting(args) {
-    const { 
-      summary, 
-      description = '', 
-      start_time, 
-      end_time, 
-      attendees = [],
-      check_conflicts = true 
+  async handleFindMeetingSlots(args, googleMeet) {
+    const {
+      attendees,
+      duration_minutes,
+      time_min = new Date().toISOString(),
+      time_max,
+      time_zone,
+      working_hours_start = '09:00',
+      working_hours_end = '18:00',
+      working_days = ['MO', 'TU', 'WE', 'TH', 'FR'],
+      calendars = ['primary'],
+      slot_interval_minutes = 30,
+      max_results = 5
     } = args;
-    
-    if (!summary || !start_time || !end_time) {
-      throw new McpError(ErrorCode.InvalidParams, '缺少必要參數: summary, start_time, end_time');
+
+    if (!Array.isArray(attendees) || !duration_minutes) {
+      throw new McpError(ErrorCode.InvalidParams, t('errors.missingParams', { params: 'attendees, duration_minutes' }));
     }
-    
+
     try {
-      let conflictWarning = '';
-      
-      // Check for time conflicts if requested
-      if (check_conflicts) {
-        const conflicts = await this.googleMeet.checkTimeConflicts(start_time, end_time);
-        if (conflicts.length > 0) {
-          conflictWarning = `\n⚠️ **時間衝突警告：**\n` +
-                           conflicts.map(conflict => 
-                             `• ${conflict.summary} (${new Date(conflict.start_time).toLocaleString('zh-TW')} - ${new Date(conflict.end_time).toLocaleString('zh-TW')})`
-                           ).join('\n') + '\n';
-        }
-      }
-      
-      const meeting = await this.googleMeet.createMeeting(summary, start_time, end_time, description, attendees);
-      
-      return {
-        content: [
-          {
-            type: 'text',
-            text: `✅ **會議創建成功！**\n\n` +
-                  conflictWarning +
-                  `**會議資訊：**\n` +
-                  `📋 標題：${meeting.summary}\n` +
-                  `📝 描述：${meeting.description || '無'}\n` +
-                  `🕐 開始時間：${new Date(meeting.start_time).toLocaleString('zh-TW')}\n` +
-                  `🕐 結束時間：${new Date(meeting.end_time).toLocaleString('zh-TW')}\n` +
-                  `🔗 **Google Meet 連結：** ${meeting.meet_link}\n` +
-                  `📞 電話撥入：${meeting.phone_info || '無'}\n` +
-                  `👥 參與者：${meeting.attendees.length} 人\n` +
-                  `📧 邀請已發送給：${attendees.join(', ') || '無'}\n` +
-                  `🆔 會議 ID：${meeting.id}\n\n` +
-                  `💡 **提示：** 您可以複製上方的 Google Meet 連結分享給參與者，或者他們會收到日曆邀請。`
-          }
-        ]
-      };
+      const timeZone = await googleMeet.resolveTimeZone(time_zone);
+      const searchStart = normalizeDateTime(time_min, timeZone);
+      const searchEnd = time_max ||
+        new Date(new Date(searchStart).getTime() + 7 * 24 * 60 * 60 * 1000).toISOString();
+
+      const result = await googleMeet.findMeetingSlots({
+        attendees,
+        durationMinutes: duration_minutes,
+        timeMin: searchStart,
+        timeMax: searchEnd,
+        timeZone,
+        workingHoursStart: working_hours_start,
+        workingHoursEnd: working_hours_end,
+        workingDays: working_days,
+        calendars,
+        slotIntervalMinutes: slot_interval_minutes,
+        maxResults: max_results
+      });
+
+      const formatTime = time => formatDateTime(time, timeZone);
+      const formatBuffer = minutes => minutes === null ? t('common.none') : t('slots.minutes', { minutes });
+
+      const unavailableWarning = result.unavailable_calendars.length > 0 ?
+        `\n${t('slots.unavailable')}\n` +
+        result.unavailable_calendars.map(item => `• ${item.calendar} (${item.reasons.join(', ')})`).join('\n') + '\n'
+        : '';
+
+      return this.buildToolResult(args, result, () =>
+        `${t('slots.header')}\n\n` +
+        `${t('slots.range', {
+          start: formatTime(result.search_range.start),
+          end: formatTime(result.search_range.end),
+          timeZone
+        })}\n` +
+        `${t('slots.duration', { minutes: duration_minutes })}\n` +
+        `${t('slots.workingHours', {
+          start: working_hours_start,
+          end: working_hours_end,
+          days: working_days.join(', ')
+        })}\n` +
+        `${t('slots.calendars', { value: result.checked_calendars.join(', ') })}\n` +
+        unavailableWarning + '\n' +
+        (result.slots.length > 0 ?
+          result.slots.map(slot =>
+            `**${slot.rank}. ${formatTime(slot.start)} - ${formatTime(slot.end)}**\n` +
+            `${t('slots.score', { value: slot.score })}\n` +
+            `${t('slots.bufferBefore', { value: formatBuffer(slot.buffer_before_minutes) })}\n` +
+            `${t('slots.bufferAfter', { value: formatBuffer(slot.buffer_after_minutes) })}\n`
+          ).join('\n')
+          : t('slots.none')
+        )
+      );
     } catch (error) {
-      throw new McpError(ErrorCode.InternalError, `創建會議時發生錯誤: ${error.message}`);
+      throw new McpError(ErrorCode.InternalError, t('errors.findSlots', { error: error.message }));
     }
   }
 
   /**
-   * Handle update meeting request
+   * Handle list calendars request
    */
-  async handleUpdateMeeting(args) {
-    const { meeting_id, ...updateFields } = args;
-    
-    if (!meeting_id) {
-      throw new McpError(ErrorCode.InvalidParams, '缺少必要參數: meeting_id');
-    }
-    
+  async handleListCalendars(args, googleMeet) {
+    const { min_access_role } = args;
+
     try {
-      const meeting = await this.googleMeet.updateMeeting(meeting_id, updateFields);
-      
-      return {
-        content: [
-          {
-            type: 'text',
-            text: `✅ **會議更新成功！**\n\n` +
-                  `**更新後的會議資訊：**\n` +
-                  `📋 標題：${meeting.summary}\n` +
-                  `📝 描述：${meeting.description || '無'}\n` +
-                  `🕐 開始時間：${new Date(meeting.start_time).toLocaleString('zh-TW')}\n` +
-                  `🕐 結束時間：${new Date(meeting.end_time).toLocaleString('zh-TW')}\n` +
-                  `🔗 Google Meet 連結：${meeting.meet_link}\n` +
-                  `👥 參與者：${meeting.attendees.length} 人\n` +
-                  `🆔 會議 ID：${meeting.id}\n\n` +
-                  `📧 **更新通知已發送給所有參與者。**`
-          }
-        ]
-      };
+      const calendars = await googleMeet.listCalendars({ minAccessRole: min_access_role });
+
+      return this.buildToolResult(args, { calendars }, () =>
+        `${t('calendars.header', { count: calendars.length })}\n\n` +
+        calendars.map((calendar, index) =>
+          `**${index + 1}. ${calendar.summary}**${calendar.primary ? t('calendars.primary') : ''}\n` +
+          `${t('calendars.id', { value: calendar.id })}\n` +
+          `${t('calendars.accessRole', { value: calendar.access_role })}\n` +
+          `${t('calendars.timeZone', { value: calendar.time_zone || t('calendars.notSet') })}\n`
+        ).join('\n') || t('calendars.empty')
+      );
     } catch (error) {
-      throw new McpError(ErrorCode.InternalError, `更新會議時發生錯誤: ${error.message}`);
+      throw new McpError(ErrorCode.InternalError, t('errors.listCalendars', { error: error.message }));
     }
   }
 
   /**
-   * Handle delete meeting request
+   * Handle add account request
    */
-  async handleDeleteMeeting(args) {
-    const { meeting_id } = args;
-    
-    if (!meeting_id) {
-      throw new McpError(ErrorCode.InvalidParams, '缺少必要參數: meeting_id');
+  async handleAddAccount(args) {
+    const { open_browser = true } = args;
+
+    if (this.serviceAccount) {
+      throw new McpError(ErrorCode.InvalidRequest, t('errors.serviceAccountAddAccount'));
     }
-    
+
     try {
-      await this.googleMeet.deleteMeeting(meeting_id);
-      
-      return {
-        content: [
-          {
-            type: 'text',
-            text: `✅ **會議刪除成功！**\n\n` +
-                  `會議 ID：${meeting_id}\n\n` +
-                  `📧 **取消通知已發送給所有參與者。**`
-          }
-        ]
-      };
+      const result = await this.getAuthFlow().addAccount(open_browser);
+
+      return this.buildToolResult(args, result, () =>
+        `${t('accounts.addHeader')}\n\n${this.describeAuthorization(result)}`
+      );
     } catch (error) {
-      throw new McpError(ErrorCode.InternalError, `刪除會議時發生錯誤: ${error.message}`);
+      throw new McpError(ErrorCode.InternalError, t('errors.addAccount', { error: error.message }));
     }
   }
 
   /**
-   * Handle check availability request
+   * Handle list accounts request
    */
-  async handleCheckAvailability(args) {
-    const { start_time, end_time, calendars = ['primary'] } = args;
-    
-    if (!start_time || !end_time) {
-      throw new McpError(ErrorCode.InvalidParams, '缺少必要參數: start_time, end_time');
+  async handleListAccounts(args) {
+    try {
+      // Service accounts store no tokens; list the users acted as so far
+      const accounts = this.serviceAccount
+        ? [...this.accounts.values()].map(client => ({ account: client.account, default: client === this.googleMeet }))
+        : await this.tokenStore.listAccounts();
+
+      return this.buildToolResult(args, { accounts }, () =>
+        `${t('accounts.header', { count: accounts.length })}\n\n` +
+        accounts.map((entry, index) =>
+          `**${index + 1}. ${entry.account}**${entry.default ? t('accounts.default') : ''}`
+        ).join('\n')
+      );
+    } catch (error) {
+      throw new McpError(ErrorCode.InternalError, t('errors.listAccounts', { error: error.message }));
     }
-    
+  }
+
+  /**
+   * Handle submit auth code request
+   */
+  async handleSubmitAuthCode(args) {
+    const { code } = args;
+
+    if (this.authMode !== 'headless') {
+      throw new McpError(ErrorCode.InvalidRequest, t('errors.headlessOnly'));
+    }
+
     try {
-      const availability = await this.googleMeet.checkAvailability(start_time, end_time, calendars);
-      
-      return {
-        content: [
-          {
-            type: 'text',
-            text: `⏰ **時間可用性檢查結果**\n\n` +
-                  `**檢查時間範圍：**\n` +
-                  `🕐 ${new Date(start_time).toLocaleString('zh-TW')} - ${new Date(end_time).toLocaleString('zh-TW')}\n\n` +
-                  `**結果：** ${availability.available ? '✅ 時間可用' : '❌ 時間有衝突'}\n\n` +
-                  (availability.conflicts.length > 0 ? 
-                    `**衝突的會議：**\n` +
-                    availability.conflicts.map(conflict => 
-                      `• ${conflict.summary} (${new Date(conflict.start_time).toLocaleString('zh-TW')} - ${new Date(conflict.end_time).toLocaleString('zh-TW')})`
-                    ).join('\n')
-                    : '🎉 在此時間範圍內沒有其他會議！'
-                  )
-          }
-        ]
-      };
+      const account = await this.getAuthFlow().submitCode(code);
+
+      return this.buildToolResult(args, { account }, () => t('accounts.authorized', { account }));
     } catch (error) {
-      throw new McpError(ErrorCode.InternalError, `檢查可用性時發生錯誤: ${error.message}`);
+      throw new McpError(ErrorCode.InternalError, t('errors.submitAuthCode', { error: error.message }));
     }
   }
 
@@ -614,25 +3302,41 @@ class GoogleMeetMcpServer {
    * Start the server with automatic authentication
    */
   async run() {
-    console.error('🚀 Google Meet MCP Server 正在啟動...');
+    console.error(t('server.starting'));
     
     // Initialize authentication automatically
-    const authSuccess = await this.initializeAuthentication();
-    if (!authSuccess) {
-      console.error('❌ 無法完成認證，服務器啟動失敗');
+    // Headless mode keeps running so the authorization can be completed through the tools
+    const authSuccess = await this.initializeAuthentication({ waitForBrowser: true });
+    if (!authSuccess && (this.authMode === 'browser' || this.serviceAccount)) {
+      console.error(t('server.authStartFailed'));
       process.exit(1);
     }
     
     // Start the MCP server
-    const transport = new StdioServerTransport();
-    await this.server.connect(transport);
-    console.error('✅ Google Meet MCP Server 已成功啟動並完成認證！');
+    if (this.transport === 'http') {
+      this.httpServer = new HttpTransportServer({
+        createMcpServer: () => this.createMcpServer(),
+        host: process.env.GOOGLE_MEET_HTTP_HOST || '127.0.0.1',
+        port: Number(process.env.GOOGLE_MEET_HTTP_PORT || 3333),
+        authToken: process.env.GOOGLE_MEET_HTTP_TOKEN || null,
+        allowedHosts: parseList(process.env.GOOGLE_MEET_HTTP_ALLOWED_HOSTS),
+        allowedOrigins: parseList(process.env.GOOGLE_MEET_HTTP_ALLOWED_ORIGINS),
+        sessionIdleMs: Number(process.env.GOOGLE_MEET_HTTP_SESSION_IDLE_MINUTES || 30) * 60 * 1000,
+        getHealth: () => ({ authenticated: this.isAuthenticated })
+      });
+      await this.httpServer.start();
+    } else {
+      const transport = new StdioServerTransport();
+      await this.server.connect(transport);
+    }
+    // Headless authorization may still be pending; the tools explain how to finish it
+    console.error(authSuccess ? t('server.started') : t('server.startedAwaitingAuth'));
   }
 }
 
 // Start the server
 const server = new GoogleMeetMcpServer();
 server.run().catch(error => {
-  console.error('❌ 服務器啟動失敗：', error.message);
+  console.error(t('server.startFailed'), error.message);
   process.exit(1);
 });
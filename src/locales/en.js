@@ -0,0 +1,541 @@
+/**
+ * English messages
+ */
+
+export default {
+  // Shared input schemas
+  'schema.recurrence': 'Recurrence rule (optional), e.g. every Monday and Wednesday: {"frequency": "weekly", "by_day": ["MO", "WE"], "count": 10}',
+  'schema.recurrence.frequency': 'Repeat frequency',
+  'schema.recurrence.interval': 'Repeat every N periods (default: 1)',
+  'schema.recurrence.by_day': 'Weekday codes, e.g. ["MO", "WE"]; monthly rules accept ordinals, e.g. ["1MO"] for the first Monday or ["-1FR"] for the last Friday of the month',
+  'schema.recurrence.by_month_day': 'Days of the month (monthly only), e.g. [1, 15]',
+  'schema.recurrence.count': 'Total number of occurrences (cannot be combined with until)',
+  'schema.recurrence.until': 'Last date of the series (ISO date or date-time, cannot be combined with count)',
+  'schema.recurrence.exceptions': 'Occurrences to skip (ISO date or date-time)',
+  'schema.timeZone': 'IANA time zone, e.g. Asia/Taipei. Used to read times without an offset and to display results (default: GOOGLE_MEET_TIME_ZONE or the calendar\'s time zone)',
+  'schema.calendarId': 'Calendar ID, available from list_calendars (default: "primary")',
+  'schema.scope': 'Which occurrences of a recurring meeting to change: this (this occurrence only), following (this and later occurrences) or all (every occurrence). Default: this for an occurrence ID, all for a series ID',
+  'schema.outputFormat': 'Response format: text (readable summary) or json (structured data for programs) (default: text)',
+  'schema.locale': 'Language of the response and error messages (default: GOOGLE_MEET_LOCALE or zh-TW)',
+  'schema.confirmationToken': 'Confirmation token: the first call returns a preview and a token; the change is only made when the call is repeated with the same arguments and this token',
+  'schema.dryRun': 'Dry run: only return the API requests that would be sent and the field differences, without creating, changing or deleting anything (default: false)',
+  'schema.sendUpdates': 'Who is notified: all (every attendee), externalOnly (only attendees outside your organization) or none (nobody) (default: GOOGLE_MEET_SEND_UPDATES or all)',
+  'schema.notificationMessage': 'Message included in the notification email. The Calendar API has no separate message field, so it is added to the top of the meeting description for the notification and removed again right after; ignored when send_updates is none',
+  'schema.conferenceSettings': 'Settings of the meeting\'s Google Meet space, applied through the Meet REST API (needs the meetings.space.settings scope). Only the given settings change',
+  'schema.conferenceSettings.moderation': 'Turn on host management, so hosts control who can chat, react and present',
+  'schema.conferenceSettings.chatRestriction': 'Who can send chat messages: hosts_only or no_restriction (everyone); needs moderation',
+  'schema.conferenceSettings.reactionRestriction': 'Who can send reactions: hosts_only or no_restriction; needs moderation',
+  'schema.conferenceSettings.presentRestriction': 'Who can present: hosts_only or no_restriction; needs moderation',
+  'schema.conferenceSettings.defaultJoinAsViewer': 'People join as viewers by default (no microphone or camera); needs moderation',
+  'schema.conferenceSettings.autoRecording': 'Start recording automatically when the conference starts',
+  'schema.conferenceSettings.autoTranscription': 'Start transcription automatically when the conference starts',
+  'schema.conferenceSettings.coHosts': 'Email addresses to make co-hosts (uses the Meet API Developer Preview, so the project must be enrolled)',
+  'schema.attachments': 'Google Drive files to attach to the meeting (up to 25). update_meeting replaces the whole list; pass an empty array to remove every attachment',
+  'schema.attachments.file': 'URL or file ID of the Drive file',
+  'schema.attachments.title': 'Name shown for the attachment (optional)',
+  'schema.attachments.mimeType': 'MIME type of the file, e.g. application/vnd.google-apps.document (optional)',
+  'schema.agenda': 'Agenda items, given back-to-back time boxes from the meeting start and added at the end of the description; replaces an agenda added earlier',
+  'schema.agenda.title': 'Agenda item',
+  'schema.agenda.minutes': 'Length of the time box in minutes',
+  'schema.agenda.owner': 'Who leads the item (optional)',
+  'schema.agenda.notes': 'Notes shown under the item (optional)',
+  'schema.space': 'Meeting space: space name (spaces/...), meeting code (abc-mnop-xyz) or Google Meet link',
+  'schema.spaceAccessType': 'Who can join without knocking: open (anyone with the link), trusted (people in your organization and invitees) or restricted (invitees only)',
+  'schema.spaceEntryPointAccess': 'Where people can join from: all (every Meet entry point) or creator_app_only (only the app that created the space)',
+  'schema.account': 'Google account (email) to act as, available from list_accounts (default: the default account)',
+
+  // Tool descriptions
+  'tools.list_meetings': '📅 List upcoming Google Meet meetings',
+  'tools.list_meetings.max_results': 'Maximum number of results (default: 10)',
+  'tools.list_meetings.time_min': 'Start time (ISO format, default: now)',
+  'tools.list_meetings.time_max': 'End time (ISO format, optional)',
+  'tools.list_meetings.calendar_ids': 'Several calendar IDs to list together, sorted by start time (optional, merged with calendar_id)',
+  'tools.list_meetings.cursor': 'The next_cursor returned by the previous call, to fetch the next page (keeps the original time range, calendars and filters)',
+  'tools.list_meetings.query': 'Free-text search over the title, description, location, attendees and other fields (searched by Google Calendar) (optional)',
+  'tools.list_meetings.attendee': 'Only list meetings with this attendee; part of the email address is enough, e.g. alice@ (optional)',
+  'tools.list_meetings.organizer': 'Only list meetings organized by this person; part of the email address is enough (optional)',
+  'tools.list_meetings.organized_by_me': 'Only list meetings you organize (optional)',
+  'tools.list_meetings.response_status': 'Only list meetings where your response is this status, e.g. needsAction for invitations you haven\'t answered (optional)',
+  'tools.list_meetings.min_duration_minutes': 'Minimum meeting length in minutes (optional)',
+  'tools.list_meetings.max_duration_minutes': 'Maximum meeting length in minutes (optional)',
+  'tools.get_meeting': '🔍 Get the details of a Google Meet meeting',
+  'tools.get_meeting.meeting_id': 'ID of the meeting to look up',
+  'tools.create_meeting': '✨ Create a new Google Meet meeting (with conflict detection)',
+  'tools.create_meeting.summary': 'Meeting title',
+  'tools.create_meeting.description': 'Meeting description (optional)',
+  'tools.create_meeting.start_time': 'Start time (ISO format)',
+  'tools.create_meeting.end_time': 'End time (ISO format)',
+  'tools.create_meeting.attendees': 'Attendee email addresses (optional)',
+  'tools.create_meeting.check_conflicts': 'Whether to check for time conflicts (default: true)',
+  'tools.update_meeting': '📝 Update an existing Google Meet meeting',
+  'tools.update_meeting.meeting_id': 'ID of the meeting to update',
+  'tools.update_meeting.summary': 'New meeting title (optional)',
+  'tools.update_meeting.description': 'New meeting description (optional)',
+  'tools.update_meeting.start_time': 'New start time (ISO format, optional)',
+  'tools.update_meeting.end_time': 'New end time (ISO format, optional)',
+  'tools.update_meeting.attendees': 'New list of attendee email addresses, replacing the whole list; attendees who stay keep their responses (optional; use add_attendees / remove_attendees to add or remove people)',
+  'tools.delete_meeting': '🗑️ Delete a Google Meet meeting',
+  'tools.delete_meeting.meeting_id': 'ID of the meeting to delete',
+  'tools.add_attendees': '➕ Add attendees to a meeting, or mark existing ones optional; other attendees and their responses are left as they are',
+  'tools.add_attendees.meeting_id': 'Meeting ID (a recurring meeting\'s occurrence ID changes only that occurrence)',
+  'tools.add_attendees.attendees': 'Attendees to add or update; attendees already invited get their optional flag and display name updated',
+  'tools.add_attendees.email': 'Email address of the attendee or resource (meeting room)',
+  'tools.add_attendees.optional': 'Whether attendance is optional',
+  'tools.add_attendees.display_name': 'Display name of the attendee',
+  'tools.add_attendees.resource': 'Whether the attendee is a resource, such as a meeting room',
+  'tools.remove_attendees': '➖ Remove attendees from a meeting; other attendees and their responses are left as they are',
+  'tools.remove_attendees.meeting_id': 'Meeting ID (a recurring meeting\'s occurrence ID changes only that occurrence)',
+  'tools.remove_attendees.emails': 'Email addresses of the attendees to remove',
+  'tools.respond_to_meeting': '📨 Respond to a meeting invitation: accept, decline or tentatively accept',
+  'tools.respond_to_meeting.meeting_id': 'Meeting ID (a recurring meeting\'s occurrence ID answers only that occurrence)',
+  'tools.respond_to_meeting.response': 'Response: accepted, declined or tentative',
+  'tools.respond_to_meeting.comment': 'Note to the organizer (optional)',
+  'tools.respond_to_meeting.proposed_start_time': 'Proposed new start time (ISO format, together with proposed_end_time). The Calendar API can\'t propose a new time, so the proposal is added to the comment',
+  'tools.respond_to_meeting.proposed_end_time': 'Proposed new end time (ISO format)',
+  'tools.get_dial_in': '📞 Get how to join a meeting by phone: regional numbers, PIN and SIP addresses',
+  'tools.get_dial_in.meeting_id': 'Meeting ID',
+  'tools.get_dial_in.region': 'Only show numbers for this region (ISO 3166 code, e.g. TW or US) (optional)',
+  'tools.create_space': '⚡ Create a standalone Google Meet space and get a meeting link right away, without a calendar event',
+  'tools.get_space': '🔍 Get a Google Meet space\'s link, settings and active conference',
+  'tools.update_space': '⚙️ Change a Google Meet space\'s access settings',
+  'tools.end_active_conference': '⏹️ End the conference running in a meeting space, disconnecting everyone',
+  'tools.list_conference_records': '📼 List the conferences held on a meeting\'s Meet link (times and record IDs); Google keeps them for 30 days',
+  'tools.list_conference_records.meeting_id': 'Meeting ID (or give space instead)',
+  'tools.list_conference_records.space': 'Space name, meeting code or Google Meet link (or give meeting_id instead)',
+  'tools.get_attendance_report': '📊 Build a meeting attendance report: who actually joined, join and leave times, minutes attended and invitees who never joined',
+  'tools.get_attendance_report.meeting_id': 'Meeting ID',
+  'tools.get_attendance_report.conference_record': 'Conference record ID to report on, from list_conference_records (default: the one held at the meeting\'s time, or else the latest)',
+  'tools.get_meeting_transcript': '📝 Get a meeting\'s transcript: speaker, time and text of every segment, plus plain text ready to summarize',
+  'tools.get_meeting_transcript.meeting_id': 'Meeting ID',
+  'tools.get_meeting_transcript.conference_record': 'Conference record ID from list_conference_records (default: the one held at the meeting\'s time, or else the latest)',
+  'tools.list_meeting_recordings': '🎬 List a meeting\'s recordings and their Google Drive files',
+  'tools.list_meeting_recordings.meeting_id': 'Meeting ID',
+  'tools.list_meeting_recordings.conference_record': 'Only list the recordings of this conference record (default: every conference held on the meeting\'s link in the last 30 days)',
+  'tools.check_availability': '⏰ Check availability for a time range',
+  'tools.check_availability.start_time': 'Start time (ISO format)',
+  'tools.check_availability.end_time': 'End time (ISO format)',
+  'tools.check_availability.calendars': 'Calendars to check (default: ["primary"])',
+  'tools.find_meeting_slots': '🔎 Find candidate meeting times from every attendee\'s busy times (best first)',
+  'tools.find_meeting_slots.attendees': 'Attendee email addresses',
+  'tools.find_meeting_slots.duration_minutes': 'Meeting length in minutes',
+  'tools.find_meeting_slots.time_min': 'Start of the search range (ISO format, default: now)',
+  'tools.find_meeting_slots.time_max': 'End of the search range (ISO format, default: 7 days after the start)',
+  'tools.find_meeting_slots.time_zone': 'IANA time zone of the working hours, e.g. Asia/Taipei (default: GOOGLE_MEET_TIME_ZONE or the calendar\'s time zone)',
+  'tools.find_meeting_slots.working_hours_start': 'Start of the working day, HH:MM (default: 09:00)',
+  'tools.find_meeting_slots.working_hours_end': 'End of the working day, HH:MM (default: 18:00)',
+  'tools.find_meeting_slots.working_days': 'Working day codes (default: ["MO", "TU", "WE", "TH", "FR"])',
+  'tools.find_meeting_slots.calendars': 'Additional calendars to check (default: ["primary"])',
+  'tools.find_meeting_slots.slot_interval_minutes': 'Minutes between candidate start times (default: 30)',
+  'tools.find_meeting_slots.max_results': 'Maximum number of candidate slots (default: 5)',
+  'tools.list_calendars': '🗂️ List the calendars you can access (including shared team calendars) and their IDs',
+  'tools.list_calendars.min_access_role': 'Only list calendars with at least this access role (optional, e.g. writer for calendars you can create meetings in)',
+  'tools.add_account': '➕ Add another Google account: returns an authorization link; once authorized, use it in other tools with the account argument',
+  'tools.add_account.open_browser': 'Whether to open a browser on the server (default: true)',
+  'tools.list_accounts': '👤 List the authorized Google accounts',
+  'tools.submit_auth_code': '🔑 Submit an authorization code: after authorizing in a browser, paste the code or the whole redirect URL to finish authorizing the account (headless mode only)',
+  'tools.submit_auth_code.code': 'The authorization code, or the full URL in the address bar after the browser is redirected',
+
+  // Tool results
+  'common.none': 'None',
+  'common.untitled': 'Untitled',
+  'meeting.summary': '📋 Title: {value}',
+  'meeting.description': '📝 Description: {value}',
+  'meeting.start': '🕐 Start: {value}',
+  'meeting.end': '🕐 End: {value}',
+  'meeting.time': '🕐 Time: {start} - {end}',
+  'meeting.link': '🔗 Google Meet link: {value}',
+  'meeting.phone': '📞 Dial-in: {value}',
+  'meeting.code': '🔢 Meeting code: {value}',
+  'meeting.attendeeCount': '👥 Attendees: {count}',
+  'meeting.recurrence': '🔁 Recurrence: {value}',
+  'meeting.attachments': '📎 Attachments: {count}',
+  'meeting.id': '🆔 Meeting ID: {value}',
+  'meeting.calendar': '🗂️ Calendar: {value}',
+  'meeting.response': '📨 Your response: {value}',
+  'response.needsAction': 'not answered',
+  'response.accepted': 'accepted',
+  'response.declined': 'declined',
+  'response.tentative': 'tentative',
+  'list.header': '📅 **Found {count} upcoming Google Meet meetings**',
+  'list.link': '🔗 Meeting link: {value}',
+  'list.id': '📋 ID: {value}',
+  'list.empty': 'There are no upcoming meetings.',
+  'list.more': '📄 **More meetings are available.** Use this cursor to get the next page:',
+  'get.header': '📋 **Meeting details**',
+  'get.summary': '**Title:** {value}',
+  'get.description': '**Description:** {value}',
+  'get.start': '**Start:** {value}',
+  'get.end': '**End:** {value}',
+  'get.link': '**Google Meet link:** {value}',
+  'get.id': '**Meeting ID:** {value}',
+  'get.calendar': '**Calendar:** {value}',
+  'get.series': '**Recurring series ID:** {value}',
+  'get.recurrence': '**Recurrence:** {value}',
+  'get.attendees': '**Attendees:**',
+  'get.attachments': '**Attachments:**',
+  'get.noAttendees': '  No attendees',
+  'get.created': '**Created:** {value}',
+  'get.updated': '**Last updated:** {value}',
+  'create.success': '✅ **Meeting created!**',
+  'create.conflictWarning': '⚠️ **Time conflict warning:**',
+  'create.info': '**Meeting details:**',
+  'create.link': '🔗 **Google Meet link:** {value}',
+  'create.invitesSent': '📧 Invitations sent to: {value}',
+  'create.tip': '💡 **Tip:** Share the Google Meet link above with attendees, or let them use the calendar invitation.',
+  'create.conferenceSettingsFailed': '⚠️ **The meeting was created, but its conference settings couldn\'t be applied:** {error}\nThe Meet link may still have its default settings, including who can join; retry with update_meeting\'s conference_settings rather than creating the meeting again.',
+  'update.success': '✅ **Meeting updated!**',
+  'update.info': '**Updated meeting details:**',
+  'update.notified': '📧 **All attendees have been notified of the update.**',
+  'update.scope.following': '🔁 **Applied to this and all later occurrences.** Earlier occurrences are unchanged; later ones moved to a new recurring series (with a new Google Meet link).',
+  'update.scope.all': '🔁 **Applied to the whole recurring series.**',
+  'delete.success': '✅ **Meeting deleted!**',
+  'delete.id': 'Meeting ID: {value}',
+  'delete.scope': 'Deleted: {value}',
+  'delete.scope.this': 'this occurrence only',
+  'delete.scope.following': 'this and all later occurrences',
+  'delete.scope.all': 'all occurrences',
+  'delete.notified': '📧 **All attendees have been sent a cancellation.**',
+  'attendees.addSuccess': '✅ **Attendees updated!**',
+  'attendees.removeSuccess': '✅ **Attendees removed!**',
+  'attendees.unchanged': 'ℹ️ **The attendees didn\'t change; no update was sent.**',
+  'attendees.added': '➕ Added: {value}',
+  'attendees.updated': '✏️ Updated: {value}',
+  'attendees.removed': '➖ Removed: {value}',
+  'attendees.notFound': '⚠️ Not invited: {value}',
+  'attendees.optional': 'optional',
+  'attendees.resource': 'resource',
+  'respond.success': '✅ **Responded to the invitation: {value}**',
+  'respond.comment': '💬 Comment: {value}',
+  'respond.organizer': '👤 Organizer: {value}',
+  'respond.proposal': 'Proposed new time: {start} - {end}',
+  'dialIn.header': '📞 **Dial-in details for {summary}**',
+  'dialIn.phone': '📞 Phone: {value}',
+  'dialIn.sip': '🖥️ SIP: {value}',
+  'dialIn.pin': 'PIN: {value}#',
+  'dialIn.accessCode': 'Access code: {value}',
+  'dialIn.passcode': 'Passcode: {value}',
+  'dialIn.password': 'Password: {value}',
+  'dialIn.more': '🌍 Numbers for other countries and regions: {value}',
+  'dialIn.noNumbers': 'ℹ️ This meeting has no dial-in numbers',
+  'dialIn.noRegionNumbers': 'ℹ️ The meeting data has no {region} number; see the full list at the link below',
+  'spaces.created': '✅ **Google Meet space created!**',
+  'spaces.header': '🏠 **Google Meet space**',
+  'spaces.updated': '✅ **Space settings updated!**',
+  'spaces.ended': '⏹️ **The conference has ended and everyone was disconnected.**',
+  'spaces.name': '🆔 Space name: {value}',
+  'spaces.accessType': '🔐 Access type: {value}',
+  'spaces.accessType.open': 'open (anyone with the link)',
+  'spaces.accessType.trusted': 'trusted (your organization and invitees)',
+  'spaces.accessType.restricted': 'restricted (invitees only)',
+  'spaces.entryPointAccess': '🚪 Entry points: {value}',
+  'spaces.entryPointAccess.all': 'every Meet entry point',
+  'spaces.entryPointAccess.creator_app_only': 'only the app that created the space',
+  'spaces.activeConference': '🟢 Active conference: {value}',
+  'spaces.moderation': '🛡️ Host management: {value}',
+  'spaces.chatRestriction': '💬 Chat: {value}',
+  'spaces.reactionRestriction': '👍 Reactions: {value}',
+  'spaces.presentRestriction': '🖥️ Presenting: {value}',
+  'spaces.restriction.hosts_only': 'hosts only',
+  'spaces.restriction.no_restriction': 'everyone',
+  'spaces.defaultJoinAsViewer': '👀 Join as viewer by default: {value}',
+  'spaces.autoRecording': '🎬 Auto-recording: {value}',
+  'spaces.autoTranscription': '📝 Auto-transcription: {value}',
+  'spaces.on': 'on',
+  'spaces.off': 'off',
+  'spaces.settingsApplied': '⚙️ **Conference settings:**',
+  'spaces.coHostsAdded': '👑 Co-hosts added: {value}',
+  'spaces.missingSpace': 'Give a space name, meeting code or Google Meet link',
+  'spaces.nothingToUpdate': 'Give at least one of access_type and entry_point_access',
+  'spaces.invalidSetting': 'Invalid {name}: {value} (allowed values: {values})',
+  'records.header': '📼 **Conferences of {summary}**',
+  'records.spaceHeader': '📼 **Conferences in {space}**',
+  'records.count': '{count} in total',
+  'records.none': 'ℹ️ No conferences in the last 30 days',
+  'records.ongoing': 'ongoing',
+  'records.id': '🆔 Record ID: {value}',
+  'attendance.header': '📊 **Attendance report for {summary}**',
+  'attendance.conference': '🗓️ Conference: {start} - {end}',
+  'attendance.summary': '✅ Invitees attended: {attended}/{invited}, {participants} people joined in total',
+  'attendance.participants': '👥 **Joined:**',
+  'attendance.participant': '• {name} ({who}) {joined} - {left} · {minutes} min',
+  'attendance.sessions': ', {count} sessions',
+  'attendance.notInvited': 'not invited',
+  'attendance.type.anonymous': 'guest',
+  'attendance.type.phone': 'phone',
+  'attendance.stillIn': 'still in the meeting',
+  'attendance.noParticipants': 'ℹ️ Nobody joined this conference',
+  'attendance.absent': '❌ **Invited but absent ({count}):**',
+  'attendance.matchNote': 'ℹ️ Meet only gives participants\' display names, so invitees are matched by name; someone who joined under a different name may be listed as absent',
+  'attendance.missingConferenceRecord': 'Give a conference record ID',
+  'transcript.header': '📝 **Transcript of {summary}**',
+  'transcript.document': '📄 Google Doc: {value}',
+  'transcript.none': 'ℹ️ Transcription wasn\'t turned on in this conference',
+  'transcript.empty': 'ℹ️ The transcript has no entries yet; it may still be processing, so try again later',
+  'transcript.unknownSpeaker': 'Unknown speaker',
+  'recordings.header': '🎬 **Recordings of {summary}**',
+  'recordings.none': 'ℹ️ No recordings',
+  'recordings.file': '🔗 Drive file: {value}',
+  'recordings.state.started': 'recording',
+  'recordings.state.ended': 'processing',
+  'recordings.state.file_generated': 'saved',
+  'agenda.header': '📋 Agenda',
+  'agenda.item': '{index}. {start}–{end} {title} ({minutes} min)',
+  'agenda.owner': ' · {owner}',
+  'agenda.empty': 'The agenda needs at least one item',
+  'agenda.missingTitle': 'Agenda item {index} has no title',
+  'agenda.invalidMinutes': 'Agenda item {index} has an invalid length: {value} (must be a positive whole number of minutes)',
+  'agenda.tooLong': 'The agenda takes {total} minutes, longer than the {available}-minute meeting',
+  'notify.externalOnly': '📧 **Only attendees outside your organization were notified.**',
+  'notify.none': '🔕 **No attendees were notified.**',
+  'availability.header': '⏰ **Availability check**',
+  'availability.range': '**Time range checked:**',
+  'availability.result': '**Result:** {value}',
+  'availability.available': '✅ Available',
+  'availability.busy': '❌ Conflicts found',
+  'availability.conflicts': '**Conflicting meetings:**',
+  'availability.noConflicts': '🎉 No other meetings in this time range!',
+  'slots.header': '🔎 **Available meeting times**',
+  'slots.range': '**Search range:** {start} - {end} ({timeZone})',
+  'slots.duration': '**Meeting length:** {minutes} minutes',
+  'slots.workingHours': '**Working hours:** {start} - {end} ({days})',
+  'slots.calendars': '**Calendars checked:** {value}',
+  'slots.unavailable': '⚠️ **Could not read busy times for these calendars (not taken into account):**',
+  'slots.score': '⭐ Score: {value}',
+  'slots.bufferBefore': '⏪ Gap after the previous meeting: {value}',
+  'slots.bufferAfter': '⏩ Gap before the next meeting: {value}',
+  'slots.minutes': '{minutes} minutes',
+  'slots.none': '😢 No time in this range works for everyone. Try a wider search range or a shorter meeting.',
+  'calendars.header': '🗂️ **Found {count} calendars**',
+  'calendars.primary': ' ⭐ Primary calendar',
+  'calendars.id': '🆔 ID: {value}',
+  'calendars.accessRole': '🔑 Access role: {value}',
+  'calendars.timeZone': '🕐 Time zone: {value}',
+  'calendars.notSet': 'Not set',
+  'calendars.empty': 'No calendars found.',
+  'accounts.addHeader': '➕ **Add a Google account**',
+  'accounts.addInstructions': 'Open this link in a browser, choose the account to add and complete the authorization:',
+  'accounts.addNext': '💡 Once authorized, check the account with list_accounts and pass it as the account argument of other tools.',
+  'accounts.header': '👤 **{count} authorized Google accounts**',
+  'accounts.default': ' ⭐ Default account',
+  'accounts.headlessInstructions': 'Open this link in a browser on any device and choose the account to authorize:',
+  'accounts.headlessNext': '💡 After authorizing, the browser is redirected to {redirectUri} (it\'s fine if the page doesn\'t load). Copy the full URL from the address bar, or its code parameter, and submit it with the submit_auth_code tool.',
+  'accounts.authorized': '✅ Account authorized: {account}\n\n💡 You can now pass it as the account argument of other tools.',
+  'confirm.header': '⚠️ **Confirmation required; nothing has been changed yet**',
+  'confirm.deleteWarning.all': 'This will delete the meeting below and notify its {count} attendees of the cancellation:',
+  'confirm.deleteWarning.externalOnly': 'This will delete the meeting below ({count} attendees); only attendees outside your organization will be sent a cancellation:',
+  'confirm.deleteWarning.none': 'This will delete the meeting below ({count} attendees) without notifying anyone:',
+  'confirm.updateWarning.all': 'This will update the meeting below and notify its {count} attendees of the change:',
+  'confirm.updateWarning.externalOnly': 'This will update the meeting below ({count} attendees); only attendees outside your organization will be notified of the change:',
+  'confirm.updateWarning.none': 'This will update the meeting below ({count} attendees) without notifying anyone:',
+  'confirm.removeWarning.all': 'This will remove attendees from the meeting below ({count} attendees) and notify the attendees:',
+  'confirm.removeWarning.externalOnly': 'This will remove attendees from the meeting below ({count} attendees); only attendees outside your organization will be notified:',
+  'confirm.removeWarning.none': 'This will remove attendees from the meeting below ({count} attendees) without notifying anyone:',
+  'confirm.updateSpaceWarning': 'This will change the settings of the meeting space below, for everyone who joins it:',
+  'confirm.endConferenceWarning': 'This will end the conference running in the meeting space below and disconnect everyone in it:',
+  'confirm.noActiveConference': 'ℹ️ No conference is running in this space right now',
+  'confirm.scope': '🔁 Recurring meeting scope: {value}',
+  'confirm.changes': '📝 Requested changes:',
+  'confirm.instructions': '✅ If this is correct, call {tool} again with the same arguments plus confirmation_token: "{token}" (valid for {minutes} minutes).',
+  'confirm.invalidToken': 'The confirmation token is invalid or expired; call again without confirmation_token to get a new preview',
+  'confirm.argumentsChanged': 'The arguments differ from the preview; the token only confirms the previewed change. Use the same arguments, or call again without confirmation_token for a new preview',
+  'dryRun.header': '🧪 **Dry run; nothing has been changed**',
+  'dryRun.requests': '{count} API request(s) would be sent:',
+  'dryRun.target': '📅 Calendar: {calendar} | 🆔 Event: {event} | 📧 Notify: {notify}',
+  'dryRun.newEvent': '(new event)',
+  'dryRun.spaceTarget': '🎥 Meet space: {space}',
+  'dryRun.newSpace': '(the new meeting\'s Meet space)',
+  'dryRun.changes': '📝 Field changes:',
+  'dryRun.noChanges': '📝 No fields would change',
+  'dryRun.payload': '📦 Request body:',
+
+  // Errors
+  'errors.unknownTool': 'Unknown tool: {name}',
+  'errors.missingParams': 'Missing required parameters: {params}',
+  'errors.toolFailed': 'Error while running the tool: {error}',
+  'errors.hintHeader': '💡 Suggestions:',
+  'errors.credentialsHint': '1. Check that the GOOGLE_OAUTH_CREDENTIALS environment variable is set correctly\n2. Check that the credentials file exists at that path\n3. Restart the server to run the automatic authentication',
+  'errors.tokenHint': '1. Restart the server to run the automatic authentication\n2. Check your network connection\n3. Check your Google Cloud project settings',
+  'errors.authFailed': 'Authentication failed. Check your credentials and restart the server.',
+  'errors.authPending': 'Waiting for a Google account to be authorized.\n\n{instructions}',
+  'errors.listMeetings': 'Error while listing meetings: {error}',
+  'errors.getMeeting': 'Error while getting the meeting: {error}',
+  'errors.createMeeting': 'Error while creating the meeting: {error}',
+  'errors.updateMeeting': 'Error while updating the meeting: {error}',
+  'errors.deleteMeeting': 'Error while deleting the meeting: {error}',
+  'errors.addAttendees': 'Error while adding attendees: {error}',
+  'errors.removeAttendees': 'Error while removing attendees: {error}',
+  'errors.respondToMeeting': 'Error while responding to the meeting: {error}',
+  'errors.getDialIn': 'Error while getting the dial-in details: {error}',
+  'errors.createSpace': 'Error while creating the meeting space: {error}',
+  'errors.getSpace': 'Error while getting the meeting space: {error}',
+  'errors.updateSpace': 'Error while updating the meeting space: {error}',
+  'errors.addCoHosts': 'Error while adding co-hosts: {error}',
+  'errors.addCoHostsPreview': 'Error while adding co-hosts: {error}. co_hosts uses the Meet API Developer Preview, so the Google Cloud project must be enrolled in the Google Workspace Developer Preview Program',
+  'errors.endActiveConference': 'Error while ending the conference: {error}',
+  'errors.listConferenceRecords': 'Error while listing conferences: {error}',
+  'errors.getConferenceRecord': 'Error while getting the conference: {error}',
+  'errors.listParticipants': 'Error while listing the conference\'s participants: {error}',
+  'errors.getAttendanceReport': 'Error while building the attendance report: {error}',
+  'errors.listTranscripts': 'Error while listing transcripts: {error}',
+  'errors.listTranscriptEntries': 'Error while reading the transcript entries: {error}',
+  'errors.listRecordings': 'Error while listing recordings: {error}',
+  'errors.getMeetingTranscript': 'Error while getting the meeting transcript: {error}',
+  'errors.listMeetingRecordings': 'Error while listing the meeting recordings: {error}',
+  'errors.checkConflicts': 'Error while checking for time conflicts: {error}',
+  'errors.checkAvailability': 'Error while checking availability: {error}',
+  'errors.freeBusy': 'Error while getting busy times: {error}',
+  'errors.findSlots': 'Error while searching for available times: {error}',
+  'errors.listCalendars': 'Error while listing calendars: {error}',
+  'errors.addAccount': 'Error while adding the account: {error}',
+  'errors.listAccounts': 'Error while listing accounts: {error}',
+  'errors.unknownAccount': 'Unknown account: {account} (authorized accounts: {accounts}). Add it with add_account first',
+  'errors.reauthorizeAccount': 'The authorization of {account} is no longer valid (it may have been revoked or expired). Authorize the account again with add_account',
+  'errors.writeNotRetried': 'Google rejected the authorization while running {name}. The account was authorized again, but the change is not retried automatically because the request may already have gone out. Check whether it was applied, then call {name} again if needed',
+  'errors.toolNotPermitted': 'The authorized scopes of {account} don\'t allow {name} (scope profile: {profile}). To use it, change GOOGLE_MEET_SCOPE_PROFILE and authorize the account again with add_account',
+  'errors.readOnlyMode': 'The server is in read-only mode (GOOGLE_MEET_SAFE_MODE=readonly); {name} isn\'t available',
+  'errors.submitAuthCode': 'Error while submitting the authorization code: {error}',
+  'errors.headlessOnly': 'submit_auth_code is only available when GOOGLE_MEET_AUTH_MODE=headless',
+  'errors.serviceAccountAddAccount': 'Accounts aren\'t added when using a service account: pass any user of the domain as the account argument to act as that user (requires domain-wide delegation)',
+
+  // Google Calendar API
+  'api.credentialsNotFound': 'Credentials file not found: {path}\nSet the GOOGLE_OAUTH_CREDENTIALS environment variable to the correct file path.\nSee: https://github.com/nspady/google-calendar-mcp',
+  'api.invalidCredentials': 'Invalid credentials file. Expected a "web" or "installed" OAuth client configuration.\nMake sure you downloaded OAuth credentials of type Desktop App.',
+  'api.serviceAccountFailed': 'The service account couldn\'t be authorized as {account}: {error}\nMake sure domain-wide delegation with the required scopes is set up for this service account in the Google Workspace Admin console.',
+  'api.tokenNotFound': 'No valid token found at {path}.\nRun the authentication setup first: npm run auth\nDetails: {error}',
+  'api.invalidTimeZone': 'Invalid time zone: {timeZone}',
+  'api.invalidCursor': 'Invalid cursor. Use the next_cursor returned by the previous list_meetings call',
+  'api.noConferenceData': 'Event {id} has no Google Meet conference data',
+  'api.formatMeetingFailed': 'Could not format the meeting data of event {id}',
+  'api.formatCreatedFailed': 'Could not format the created meeting',
+  'api.formatUpdatedFailed': 'Could not format the updated meeting',
+  'api.instanceRecurrence': 'A single occurrence cannot have a recurrence rule. Use scope "following" or "all"',
+  'api.invalidScope': 'Invalid scope: {scope} (allowed values: {values})',
+  'api.invalidSendUpdates': 'Invalid send_updates: {value} (allowed values: {values})',
+  'api.scopeNeedsInstance': 'ID {id} is a whole recurring series; scope "{scope}" needs the ID of a single occurrence (available from list_meetings)',
+  'api.invalidSearchRange': 'Invalid search range: the end must be after the start',
+  'api.invalidDuration': 'Meeting length must be greater than 0 minutes',
+  'api.invalidSlotInterval': 'Slot interval must be greater than 0 minutes',
+  'api.invalidWorkingHours': 'Invalid working hours: use HH:MM and an end after the start',
+  'api.attendeeEmailRequired': 'Every attendee needs an email address',
+  'api.invalidResponse': 'Invalid response: {value} (allowed values: {values})',
+  'api.invalidResponseStatus': 'Invalid response_status: {value} (allowed values: {values})',
+  'api.invalidDurationRange': 'The minimum meeting length can\'t be greater than the maximum',
+  'api.notInvited': 'You aren\'t on the attendee list of meeting {id}, so there\'s nothing to respond to',
+  'api.noConference': 'Meeting {id} has no Google Meet conference',
+  'api.noConferenceRecords': 'Meeting code {code} has no conferences in the last 30 days',
+  'api.conferenceSettingsScope': 'This account hasn\'t granted the meetings.space.settings scope, so conference settings can\'t be changed; authorize it again with add_account',
+  'api.attachmentFileRequired': 'Every attachment needs the URL or ID of a Drive file (file)',
+  'api.tooManyAttachments': 'Too many attachments: {count}; an event can have at most {max}',
+  'api.noConferenceCode': 'The meeting has no Google Meet meeting code yet, so the conference settings can\'t be applied',
+
+  // Recurrence rules and date-times
+  'time.invalidDateTime': 'Invalid date-time: {value}',
+  'recurrence.invalidSpec': 'Invalid recurrence rule',
+  'recurrence.unsupportedFrequency': 'Unsupported frequency: {frequency} (allowed values: {values})',
+  'recurrence.invalidInterval': 'Recurrence interval must be an integer greater than 0',
+  'recurrence.countWithUntil': 'count and until cannot both be set',
+  'recurrence.invalidCount': 'Recurrence count must be an integer greater than 0',
+  'recurrence.byDayNotDaily': 'by_day can only be used with weekly or monthly rules',
+  'recurrence.invalidByDay': 'Invalid weekday code: {day}',
+  'recurrence.ordinalByDay': 'Weekday codes with an ordinal ({day}) can only be used with monthly rules',
+  'recurrence.byMonthDayNotMonthly': 'by_month_day can only be used with monthly rules',
+  'recurrence.invalidMonthDay': 'Invalid day of the month: {day}',
+  'recurrence.untilBeforeStart': 'until cannot be earlier than the start of the first meeting',
+
+  // Server startup
+  'server.starting': '🚀 Google Meet MCP Server is starting...',
+  'server.started': '✅ Google Meet MCP Server is running and authenticated!',
+  'server.startedAwaitingAuth': '⏳ Google Meet MCP Server is running and waiting for authorization (call any meeting tool to see how to finish it)',
+  'server.authStartFailed': '❌ Authentication could not be completed; the server failed to start',
+  'server.startFailed': '❌ Server failed to start:',
+  'server.missingEnv': '❌ Error: a required environment variable is missing',
+  'server.setCredentials': 'Set GOOGLE_OAUTH_CREDENTIALS or GOOGLE_MEET_CREDENTIALS_PATH',
+  'server.credentialsExample': 'Example: GOOGLE_OAUTH_CREDENTIALS=/path/to/your/credentials.json',
+  'server.credentialsReference': 'See the google-calendar-mcp setup guide: https://github.com/nspady/google-calendar-mcp',
+  'server.invalidTimeZone': '⚠️ Invalid GOOGLE_MEET_TIME_ZONE: {timeZone}; using the calendar\'s time zone instead',
+  'server.invalidLocale': '⚠️ Unsupported GOOGLE_MEET_LOCALE: {locale}; using {fallback} instead (allowed values: {values})',
+  'server.invalidTransport': '❌ Unsupported GOOGLE_MEET_TRANSPORT: {transport} (allowed values: stdio, http)',
+  'server.httpTokenRequired': '❌ GOOGLE_MEET_HTTP_HOST={host} accepts connections from other machines, so GOOGLE_MEET_HTTP_TOKEN must be set',
+  'server.invalidAuthMode': '❌ Unsupported GOOGLE_MEET_AUTH_MODE: {mode} (allowed values: {values})',
+  'server.deviceModeUnsupported': '❌ GOOGLE_MEET_AUTH_MODE=device is not supported: Google\'s device authorization flow doesn\'t allow the Calendar and Meet scopes. Without a browser, use headless mode or a service account',
+  'server.invalidScopeProfile': '❌ Unsupported GOOGLE_MEET_SCOPE_PROFILE: {profile} (allowed values: {values})',
+  'server.invalidSafeMode': '❌ Unsupported GOOGLE_MEET_SAFE_MODE: {mode} (allowed values: {values})',
+  'server.invalidSendUpdates': '❌ Unsupported GOOGLE_MEET_SEND_UPDATES: {value} (allowed values: {values})',
+
+  // HTTP transport
+  'http.listening': '🌐 MCP HTTP server listening on {url} (Streamable HTTP: /mcp, SSE: /sse, health check: /health)',
+  'http.requestFailed': '❌ Error while handling an HTTP request:',
+  'http.unauthorized': 'Unauthorized: provide the correct Bearer token in the Authorization header',
+  'http.sessionNotFound': 'Session not found: {sessionId}. Please initialize a new connection',
+  'http.sessionRequired': 'Missing Mcp-Session-Id header; the first request must be initialize',
+  'http.bodyTooLarge': 'Request body too large',
+  'http.invalidJson': 'Invalid JSON request body',
+  'http.forbiddenHost': 'Forbidden: Host header {host} is not allowed (see GOOGLE_MEET_HTTP_ALLOWED_HOSTS)',
+  'http.forbiddenOrigin': 'Forbidden: Origin header {origin} is not allowed (see GOOGLE_MEET_HTTP_ALLOWED_ORIGINS)',
+
+  // Authentication
+  'tokens.readFailed': 'Could not read the token file {path}: {error}',
+  'tokens.accountNotFound': 'No token stored for account {account}',
+  'tokens.permissionsFixed': '🔒 Restricted the token file to owner read/write (0600): {path}',
+  'tokens.invalidStorage': 'Unsupported GOOGLE_MEET_TOKEN_STORAGE: {storage} (allowed values: {values})',
+  'tokens.missingEncryptionKey': 'Encrypted storage needs GOOGLE_MEET_TOKEN_KEY or GOOGLE_MEET_TOKEN_PASSPHRASE',
+  'tokens.invalidEncryptionKey': 'GOOGLE_MEET_TOKEN_KEY must be a 32-byte key (64 hex characters or base64)',
+  'tokens.passphraseFileMismatch': 'The token file was encrypted with a key; set GOOGLE_MEET_TOKEN_KEY',
+  'tokens.decryptFailed': 'Couldn\'t decrypt the token file; check the key or passphrase: {error}',
+  'tokens.encryptedExisting': '🔐 Encrypted the existing plaintext token file: {path}',
+  'tokens.unrecognizedFile': 'The token file {path} is neither an encrypted token file nor plaintext tokens and may be damaged; it was left unchanged. Restore it from a backup, or delete it and authorize again',
+  'tokens.keychainLocation': 'OS keychain (Secret Service, service: {service})',
+  'tokens.keychainLabel': 'Google Meet MCP tokens',
+  'tokens.keychainUnavailable': 'Couldn\'t access the OS keychain (secret-tool and a running Secret Service are required): {error}',
+  'tokens.importedToKeychain': '🔐 Imported the plaintext token file into the OS keychain and deleted it: {path}',
+  'tokens.memoryLocation': 'memory (cleared on restart)',
+  'auth.tokenFound': '✅ Found a valid token; no new authentication needed',
+  'auth.tokenMissing': 'ℹ️ No valid token found; starting the automatic authentication flow...',
+  'auth.success': '✅ Automatic authentication succeeded!',
+  'auth.failed': '❌ Automatic authentication failed',
+  'auth.initFailed': '❌ Authentication setup failed:',
+  'auth.invalidCredentials': 'Invalid credentials file',
+  'auth.loadCredentialsFailed': 'Failed to load credentials: {error}',
+  'auth.saveTokenFailed': 'Failed to save the token: {error}',
+  'auth.tokenSaveFailed': 'Failed to save the token:',
+  'auth.accountLookupFailed': '⚠️ Could not look up the account\'s email; saving the token as default:',
+  'auth.accountAdded': '✅ Account authorized: {account}',
+  'auth.authorizationLost': '⚠️ The token of {account} is no longer valid and couldn\'t be refreshed; the account has to be authorized again',
+  'auth.serviceAccountReady': '✅ Authenticated with a service account as {account}',
+  'auth.headlessInstructions': '📋 After authorizing, the browser is redirected to {redirectUri}; copy the full URL from the address bar, or its code parameter, and submit it with the submit_auth_code tool',
+  'auth.pasteCode': '⌨️ You can also paste the code or redirect URL into this terminal and press Enter',
+  'auth.missingCode': 'Missing authorization code',
+  'auth.codeExchangeFailed': 'Couldn\'t exchange the authorization code for a token: {error}',
+  'auth.noAvailablePort': 'No free port found in the range {start}-{end}',
+  'auth.serverStarted': '🌐 Authentication server listening on {url}',
+  'auth.authUrl': '🔗 Authentication URL: {url}',
+  'auth.browserOpened': '🚀 Browser opened; please complete the authorization',
+  'auth.browserFailed': '⚠️ Could not open a browser; please visit the URL above manually',
+  'auth.timeout': '⏰ Authentication timed out; please try again',
+  'auth.serverFailed': '❌ Failed to start the authentication server:',
+  'auth.closeTimeout': '⚠️ Server did not close in time; forcing shutdown',
+  'auth.closeError': '⚠️ Error while closing the server:',
+
+  // OAuth pages
+  'authPage.title': 'Google Meet MCP Authentication',
+  'authPage.started': 'Automatic authentication has started',
+  'authPage.instruction': 'Click the button below to authorize with Google',
+  'authPage.button': '🚀 Sign in with Google',
+  'authPage.closeAfter': 'Once authorized, you can close this window',
+  'authPage.continueAfter': 'The server will continue starting automatically',
+  'authPage.failedTitle': 'Authentication failed',
+  'authPage.denied': '❌ Authorization failed',
+  'authPage.error': 'Error: {error}',
+  'authPage.retry': 'Please close this window and try again.',
+  'authPage.missingCode': 'Authorization code missing',
+  'authPage.invalidState': 'Invalid or already used authorization request (state mismatch). Start again from the authorization link the server gave you',
+  'authPage.successTitle': 'Authentication successful',
+  'authPage.success': 'Authentication successful!',
+  'authPage.tokenSaved': 'Your token has been saved securely',
+  'authPage.account': 'Account: {account}',
+  'authPage.closeNow': 'You can close this window now',
+  'authPage.serverContinues': 'Google Meet MCP Server will finish starting automatically',
+  'authPage.failed': '❌ Authentication failed',
+  'authPage.saveFailed': 'An error occurred while saving the credentials:',
+  'authPage.checkLogs': 'Please check the server logs and try again.'
+};
@@ -0,0 +1,541 @@
+/**
+ * Traditional Chinese messages (default locale)
+ */
+
+export default {
+  // Shared input schemas
+  'schema.recurrence': '重複規則 (可選)，例如每週一、三：{"frequency": "weekly", "by_day": ["MO", "WE"], "count": 10}',
+  'schema.recurrence.frequency': '重複頻率',
+  'schema.recurrence.interval': '每隔幾個週期重複一次 (預設: 1)',
+  'schema.recurrence.by_day': '星期代碼，例如 ["MO", "WE"]；monthly 可使用序數，例如 ["1MO"] 代表每月第一個週一、["-1FR"] 代表最後一個週五',
+  'schema.recurrence.by_month_day': '每月的第幾天 (僅限 monthly)，例如 [1, 15]',
+  'schema.recurrence.count': '總共重複次數 (不可與 until 同時使用)',
+  'schema.recurrence.until': '重複結束日期 (ISO 格式日期或時間，不可與 count 同時使用)',
+  'schema.recurrence.exceptions': '要跳過的場次 (ISO 格式日期或時間)',
+  'schema.timeZone': 'IANA 時區，例如 Asia/Taipei。用於解讀未帶時差的時間並顯示結果 (預設: GOOGLE_MEET_TIME_ZONE 或日曆的時區設定)',
+  'schema.calendarId': '日曆 ID，可從 list_calendars 取得 (預設: "primary")',
+  'schema.scope': '重複會議的套用範圍：this（僅此場次）、following（此場次及之後）、all（所有場次）。預設：單次場次 ID 為 this，系列 ID 為 all',
+  'schema.outputFormat': '回應格式：text（易讀摘要）或 json（結構化資料，方便程式解析）(預設: text)',
+  'schema.locale': '回應與錯誤訊息的語言 (預設: GOOGLE_MEET_LOCALE 或 zh-TW)',
+  'schema.confirmationToken': '確認碼：第一次呼叫會回傳預覽與確認碼，確認無誤後以相同參數加上此確認碼再次呼叫才會執行',
+  'schema.dryRun': '試執行：只回傳將送出的 API 請求內容與欄位差異，不會實際建立、修改或刪除任何會議 (預設: false)',
+  'schema.sendUpdates': '要通知誰：all（所有參與者）、externalOnly（僅組織外的參與者）或 none（不通知）(預設: GOOGLE_MEET_SEND_UPDATES 或 all)',
+  'schema.notificationMessage': '附在通知信中的訊息。Calendar API 沒有獨立的訊息欄位，訊息會在通知時暫時加在會議說明的最前面，寄出後隨即移除；send_updates 為 none 時會被忽略',
+  'schema.conferenceSettings': '會議的 Google Meet 空間設定（透過 Meet REST API 套用，需要 meetings.space.settings 範圍）。只會變更提供的項目',
+  'schema.conferenceSettings.moderation': '開啟主持人控制，讓主持人管理誰可以聊天、表情回應與分享畫面',
+  'schema.conferenceSettings.chatRestriction': '誰可以傳送聊天訊息：hosts_only（僅主持人）或 no_restriction（所有人），需開啟 moderation',
+  'schema.conferenceSettings.reactionRestriction': '誰可以傳送表情回應：hosts_only 或 no_restriction，需開啟 moderation',
+  'schema.conferenceSettings.presentRestriction': '誰可以分享畫面：hosts_only 或 no_restriction，需開啟 moderation',
+  'schema.conferenceSettings.defaultJoinAsViewer': '參與者預設以檢視者身分加入（無法開麥克風與鏡頭），需開啟 moderation',
+  'schema.conferenceSettings.autoRecording': '會議開始時自動錄影',
+  'schema.conferenceSettings.autoTranscription': '會議開始時自動轉錄',
+  'schema.conferenceSettings.coHosts': '要設為共同主持人的電子郵件地址（使用 Meet API 開發人員預覽版，專案需先加入預覽計畫）',
+  'schema.attachments': '附加到會議的 Google 雲端硬碟檔案（最多 25 個）。update_meeting 會取代整個列表，傳入空陣列可移除所有附件',
+  'schema.attachments.file': '雲端硬碟檔案的網址或檔案 ID',
+  'schema.attachments.title': '附件顯示的名稱 (可選)',
+  'schema.attachments.mimeType': '檔案的 MIME 類型，例如 application/vnd.google-apps.document (可選)',
+  'schema.agenda': '議程項目，會依序從會議開始時間排定時段，並加在描述最後；會取代先前產生的議程',
+  'schema.agenda.title': '議程項目',
+  'schema.agenda.minutes': '時段長度（分鐘）',
+  'schema.agenda.owner': '負責人 (可選)',
+  'schema.agenda.notes': '顯示在項目下方的備註 (可選)',
+  'schema.space': '會議空間：空間名稱（spaces/...）、會議代碼（abc-mnop-xyz）或 Google Meet 連結',
+  'schema.spaceAccessType': '誰可以不經詢問直接加入：open（任何有連結的人）、trusted（組織內的成員與受邀者）或 restricted（僅受邀者）',
+  'schema.spaceEntryPointAccess': '可從哪裡加入：all（所有 Meet 入口）或 creator_app_only（僅限建立空間的應用程式）',
+  'schema.account': '要使用的 Google 帳號（電子郵件），可從 list_accounts 取得 (預設: 預設帳號)',
+
+  // Tool descriptions
+  'tools.list_meetings': '📅 列出即將到來的 Google Meet 會議',
+  'tools.list_meetings.max_results': '最多返回的結果數量 (預設: 10)',
+  'tools.list_meetings.time_min': '開始時間 (ISO 格式，預設: 現在)',
+  'tools.list_meetings.time_max': '結束時間 (ISO 格式，可選)',
+  'tools.list_meetings.calendar_ids': '要合併列出的多個日曆 ID，結果依開始時間排序 (可選，會與 calendar_id 合併)',
+  'tools.list_meetings.cursor': '上一次回傳的 next_cursor，用於取得下一頁 (使用時會沿用原本的時間範圍、日曆與篩選條件)',
+  'tools.list_meetings.query': '全文搜尋：比對標題、說明、地點與參與者等欄位（由 Google 日曆搜尋）(可選)',
+  'tools.list_meetings.attendee': '只列出有此參與者的會議，可只填電子郵件的一部分，例如 alice@ (可選)',
+  'tools.list_meetings.organizer': '只列出由此人主辦的會議，可只填電子郵件的一部分 (可選)',
+  'tools.list_meetings.organized_by_me': '只列出由您主辦的會議 (可選)',
+  'tools.list_meetings.response_status': '只列出您的回覆為此狀態的會議，例如 needsAction（尚未回覆的邀請）(可選)',
+  'tools.list_meetings.min_duration_minutes': '最短會議長度（分鐘）(可選)',
+  'tools.list_meetings.max_duration_minutes': '最長會議長度（分鐘）(可選)',
+  'tools.get_meeting': '🔍 獲取特定 Google Meet 會議的詳細資訊',
+  'tools.get_meeting.meeting_id': '要查詢的會議 ID',
+  'tools.create_meeting': '✨ 創建新的 Google Meet 會議（包含時間衝突檢測）',
+  'tools.create_meeting.summary': '會議標題',
+  'tools.create_meeting.description': '會議描述 (可選)',
+  'tools.create_meeting.start_time': '開始時間 (ISO 格式)',
+  'tools.create_meeting.end_time': '結束時間 (ISO 格式)',
+  'tools.create_meeting.attendees': '參與者電子郵件地址列表 (可選)',
+  'tools.create_meeting.check_conflicts': '是否檢查時間衝突 (預設: true)',
+  'tools.update_meeting': '📝 更新現有的 Google Meet 會議',
+  'tools.update_meeting.meeting_id': '要更新的會議 ID',
+  'tools.update_meeting.summary': '更新的會議標題 (可選)',
+  'tools.update_meeting.description': '更新的會議描述 (可選)',
+  'tools.update_meeting.start_time': '更新的開始時間 (ISO 格式，可選)',
+  'tools.update_meeting.end_time': '更新的結束時間 (ISO 格式，可選)',
+  'tools.update_meeting.attendees': '更新的參與者電子郵件地址列表，會取代整個列表；留下的參與者保留回覆狀態 (可選，只增減參與者請使用 add_attendees / remove_attendees)',
+  'tools.delete_meeting': '🗑️ 刪除 Google Meet 會議',
+  'tools.delete_meeting.meeting_id': '要刪除的會議 ID',
+  'tools.add_attendees': '➕ 新增會議參與者，或將既有參與者標記為選擇性參加；其他參與者與回覆狀態維持不變',
+  'tools.add_attendees.meeting_id': '會議 ID（重複會議的單一場次 ID 只會變更該場次）',
+  'tools.add_attendees.attendees': '要新增或更新的參與者；已在會議中的參與者會更新其選擇性參加與顯示名稱',
+  'tools.add_attendees.email': '參與者或資源（會議室）的電子郵件地址',
+  'tools.add_attendees.optional': '是否為選擇性參加',
+  'tools.add_attendees.display_name': '參與者的顯示名稱',
+  'tools.add_attendees.resource': '是否為資源（例如會議室）',
+  'tools.remove_attendees': '➖ 從會議移除參與者；其他參與者與回覆狀態維持不變',
+  'tools.remove_attendees.meeting_id': '會議 ID（重複會議的單一場次 ID 只會變更該場次）',
+  'tools.remove_attendees.emails': '要移除的參與者電子郵件地址',
+  'tools.respond_to_meeting': '📨 回覆會議邀請：接受、拒絕或暫定',
+  'tools.respond_to_meeting.meeting_id': '會議 ID（重複會議的單一場次 ID 只會回覆該場次）',
+  'tools.respond_to_meeting.response': '回覆：accepted（接受）、declined（拒絕）或 tentative（暫定）',
+  'tools.respond_to_meeting.comment': '給主辦人的備註 (可選)',
+  'tools.respond_to_meeting.proposed_start_time': '建議的新開始時間（ISO 格式，需與 proposed_end_time 一起提供）。Calendar API 不支援提議新時間，建議會附在備註中',
+  'tools.respond_to_meeting.proposed_end_time': '建議的新結束時間（ISO 格式）',
+  'tools.get_dial_in': '📞 取得會議的電話撥入資訊：各地區電話號碼、PIN 碼與 SIP 位址',
+  'tools.get_dial_in.meeting_id': '會議 ID',
+  'tools.get_dial_in.region': '只顯示此地區的電話號碼（ISO 3166 代碼，例如 TW、US）(可選)',
+  'tools.create_space': '⚡ 建立獨立的 Google Meet 會議空間，立即取得會議連結，不會建立日曆活動',
+  'tools.get_space': '🔍 取得 Google Meet 會議空間的連結、設定與進行中的會議',
+  'tools.update_space': '⚙️ 變更 Google Meet 會議空間的存取設定',
+  'tools.end_active_conference': '⏹️ 結束會議空間中正在進行的會議，所有人都會被中斷連線',
+  'tools.list_conference_records': '📼 列出會議已舉行過的視訊會議紀錄（時間與紀錄 ID），Google 會保留 30 天',
+  'tools.list_conference_records.meeting_id': '會議 ID（與 space 擇一）',
+  'tools.list_conference_records.space': '會議空間名稱、會議代碼或 Google Meet 連結（與 meeting_id 擇一）',
+  'tools.get_attendance_report': '📊 產生會議出席報告：誰實際加入、加入與離開時間、出席分鐘數，以及未出席的受邀者',
+  'tools.get_attendance_report.meeting_id': '會議 ID',
+  'tools.get_attendance_report.conference_record': '要產生報告的會議紀錄 ID（來自 list_conference_records，預設：會議時間內舉行的那場，否則為最近一場）',
+  'tools.get_meeting_transcript': '📝 取得會議逐字稿：每段發言的說話者、時間與內容，並附上可直接摘要的純文字',
+  'tools.get_meeting_transcript.meeting_id': '會議 ID',
+  'tools.get_meeting_transcript.conference_record': '會議紀錄 ID（來自 list_conference_records，預設：會議時間內舉行的那場，否則為最近一場）',
+  'tools.list_meeting_recordings': '🎬 列出會議的錄影及其 Google 雲端硬碟檔案',
+  'tools.list_meeting_recordings.meeting_id': '會議 ID',
+  'tools.list_meeting_recordings.conference_record': '只列出此會議紀錄的錄影（預設：過去 30 天內使用此會議連結的所有會議）',
+  'tools.check_availability': '⏰ 檢查特定時間範圍的可用性',
+  'tools.check_availability.start_time': '開始時間 (ISO 格式)',
+  'tools.check_availability.end_time': '結束時間 (ISO 格式)',
+  'tools.check_availability.calendars': '要檢查的日曆列表 (預設: ["primary"])',
+  'tools.find_meeting_slots': '🔎 根據所有參與者的忙碌時間，找出可安排會議的候選時段（依推薦程度排序）',
+  'tools.find_meeting_slots.attendees': '參與者電子郵件地址列表',
+  'tools.find_meeting_slots.duration_minutes': '會議長度（分鐘）',
+  'tools.find_meeting_slots.time_min': '搜尋範圍開始時間 (ISO 格式，預設: 現在)',
+  'tools.find_meeting_slots.time_max': '搜尋範圍結束時間 (ISO 格式，預設: 開始時間後 7 天)',
+  'tools.find_meeting_slots.time_zone': '工作時間所使用的 IANA 時區，例如 Asia/Taipei (預設: GOOGLE_MEET_TIME_ZONE 或日曆的時區設定)',
+  'tools.find_meeting_slots.working_hours_start': '每日工作開始時間 HH:MM (預設: 09:00)',
+  'tools.find_meeting_slots.working_hours_end': '每日工作結束時間 HH:MM (預設: 18:00)',
+  'tools.find_meeting_slots.working_days': '工作日代碼 (預設: ["MO", "TU", "WE", "TH", "FR"])',
+  'tools.find_meeting_slots.calendars': '額外要檢查的日曆列表 (預設: ["primary"])',
+  'tools.find_meeting_slots.slot_interval_minutes': '候選時段的間隔分鐘數 (預設: 30)',
+  'tools.find_meeting_slots.max_results': '最多返回的候選時段數量 (預設: 5)',
+  'tools.list_calendars': '🗂️ 列出您可存取的日曆（包含共用的團隊日曆）及其 ID',
+  'tools.list_calendars.min_access_role': '只列出至少具有此權限的日曆 (可選，例如 writer 代表可建立會議)',
+  'tools.add_account': '➕ 新增另一個 Google 帳號：產生授權連結，完成授權後即可在其他工具中以 account 參數使用',
+  'tools.add_account.open_browser': '是否在伺服器上自動開啟瀏覽器 (預設: true)',
+  'tools.list_accounts': '👤 列出已授權的 Google 帳號',
+  'tools.submit_auth_code': '🔑 提交授權碼：在瀏覽器完成授權後，貼上授權碼或整個重新導向網址以完成帳號授權（僅限 headless 模式）',
+  'tools.submit_auth_code.code': '授權碼，或瀏覽器重新導向後網址列中的完整網址',
+
+  // Tool results
+  'common.none': '無',
+  'common.untitled': '無標題',
+  'meeting.summary': '📋 標題：{value}',
+  'meeting.description': '📝 描述：{value}',
+  'meeting.start': '🕐 開始時間：{value}',
+  'meeting.end': '🕐 結束時間：{value}',
+  'meeting.time': '🕐 時間：{start} - {end}',
+  'meeting.link': '🔗 Google Meet 連結：{value}',
+  'meeting.phone': '📞 電話撥入：{value}',
+  'meeting.code': '🔢 會議代碼：{value}',
+  'meeting.attendeeCount': '👥 參與者：{count} 人',
+  'meeting.recurrence': '🔁 重複規則：{value}',
+  'meeting.attachments': '📎 附件：{count} 個',
+  'meeting.id': '🆔 會議 ID：{value}',
+  'meeting.calendar': '🗂️ 日曆：{value}',
+  'meeting.response': '📨 您的回覆：{value}',
+  'response.needsAction': '尚未回覆',
+  'response.accepted': '接受',
+  'response.declined': '拒絕',
+  'response.tentative': '暫定',
+  'list.header': '📅 **找到 {count} 個即將到來的 Google Meet 會議**',
+  'list.link': '🔗 會議連結：{value}',
+  'list.id': '📋 ID：{value}',
+  'list.empty': '目前沒有即將到來的會議。',
+  'list.more': '📄 **還有更多會議。** 使用以下 cursor 取得下一頁：',
+  'get.header': '📋 **會議詳細資訊**',
+  'get.summary': '**標題：** {value}',
+  'get.description': '**描述：** {value}',
+  'get.start': '**開始時間：** {value}',
+  'get.end': '**結束時間：** {value}',
+  'get.link': '**Google Meet 連結：** {value}',
+  'get.id': '**會議 ID：** {value}',
+  'get.calendar': '**日曆：** {value}',
+  'get.series': '**所屬重複系列 ID：** {value}',
+  'get.recurrence': '**重複規則：** {value}',
+  'get.attendees': '**參與者：**',
+  'get.attachments': '**附件：**',
+  'get.noAttendees': '  無參與者',
+  'get.created': '**創建時間：** {value}',
+  'get.updated': '**最後更新：** {value}',
+  'create.success': '✅ **會議創建成功！**',
+  'create.conflictWarning': '⚠️ **時間衝突警告：**',
+  'create.info': '**會議資訊：**',
+  'create.link': '🔗 **Google Meet 連結：** {value}',
+  'create.invitesSent': '📧 邀請已發送給：{value}',
+  'create.tip': '💡 **提示：** 您可以複製上方的 Google Meet 連結分享給參與者，或者他們會收到日曆邀請。',
+  'create.conferenceSettingsFailed': '⚠️ **會議已建立，但會議設定套用失敗：** {error}\n會議連結可能仍是預設設定（包括存取權限）；請用 update_meeting 的 conference_settings 重試，不要重新建立會議。',
+  'update.success': '✅ **會議更新成功！**',
+  'update.info': '**更新後的會議資訊：**',
+  'update.notified': '📧 **更新通知已發送給所有參與者。**',
+  'update.scope.following': '🔁 **已套用至此場次及之後的場次。** 先前的場次維持不變，之後的場次已移至新的重複系列（新的 Google Meet 連結）。',
+  'update.scope.all': '🔁 **已套用至整個重複會議系列。**',
+  'delete.success': '✅ **會議刪除成功！**',
+  'delete.id': '會議 ID：{value}',
+  'delete.scope': '刪除範圍：{value}',
+  'delete.scope.this': '僅刪除此場次',
+  'delete.scope.following': '刪除此場次及之後的所有場次',
+  'delete.scope.all': '刪除所有場次',
+  'delete.notified': '📧 **取消通知已發送給所有參與者。**',
+  'attendees.addSuccess': '✅ **參與者已更新！**',
+  'attendees.removeSuccess': '✅ **參與者已移除！**',
+  'attendees.unchanged': 'ℹ️ **參與者沒有變更，未送出任何更新。**',
+  'attendees.added': '➕ 已新增：{value}',
+  'attendees.updated': '✏️ 已更新：{value}',
+  'attendees.removed': '➖ 已移除：{value}',
+  'attendees.notFound': '⚠️ 不在會議中：{value}',
+  'attendees.optional': '選擇性參加',
+  'attendees.resource': '資源',
+  'respond.success': '✅ **已回覆會議邀請：{value}**',
+  'respond.comment': '💬 備註：{value}',
+  'respond.organizer': '👤 主辦人：{value}',
+  'respond.proposal': '建議改到：{start} - {end}',
+  'dialIn.header': '📞 **{summary} 的電話撥入資訊**',
+  'dialIn.phone': '📞 電話：{value}',
+  'dialIn.sip': '🖥️ SIP：{value}',
+  'dialIn.pin': 'PIN 碼：{value}#',
+  'dialIn.accessCode': '存取碼：{value}',
+  'dialIn.passcode': '通行碼：{value}',
+  'dialIn.password': '密碼：{value}',
+  'dialIn.more': '🌍 其他國家／地區的電話號碼：{value}',
+  'dialIn.noNumbers': 'ℹ️ 此會議沒有電話撥入號碼',
+  'dialIn.noRegionNumbers': 'ℹ️ 會議資料中沒有 {region} 的電話號碼，請查看下方連結中的完整號碼列表',
+  'spaces.created': '✅ **Google Meet 會議空間已建立！**',
+  'spaces.header': '🏠 **Google Meet 會議空間**',
+  'spaces.updated': '✅ **會議空間設定已更新！**',
+  'spaces.ended': '⏹️ **會議已結束，所有參與者都已中斷連線。**',
+  'spaces.name': '🆔 空間名稱：{value}',
+  'spaces.accessType': '🔐 存取類型：{value}',
+  'spaces.accessType.open': '開放（任何有連結的人）',
+  'spaces.accessType.trusted': '受信任（組織內的成員與受邀者）',
+  'spaces.accessType.restricted': '受限（僅受邀者）',
+  'spaces.entryPointAccess': '🚪 加入方式：{value}',
+  'spaces.entryPointAccess.all': '所有 Meet 入口',
+  'spaces.entryPointAccess.creator_app_only': '僅限建立空間的應用程式',
+  'spaces.activeConference': '🟢 進行中的會議：{value}',
+  'spaces.moderation': '🛡️ 主持人控制：{value}',
+  'spaces.chatRestriction': '💬 聊天：{value}',
+  'spaces.reactionRestriction': '👍 表情回應：{value}',
+  'spaces.presentRestriction': '🖥️ 分享畫面：{value}',
+  'spaces.restriction.hosts_only': '僅主持人',
+  'spaces.restriction.no_restriction': '所有人',
+  'spaces.defaultJoinAsViewer': '👀 預設以檢視者身分加入：{value}',
+  'spaces.autoRecording': '🎬 自動錄影：{value}',
+  'spaces.autoTranscription': '📝 自動轉錄：{value}',
+  'spaces.on': '開啟',
+  'spaces.off': '關閉',
+  'spaces.settingsApplied': '⚙️ **會議設定：**',
+  'spaces.coHostsAdded': '👑 新增的共同主持人：{value}',
+  'spaces.missingSpace': '請提供會議空間名稱、會議代碼或 Google Meet 連結',
+  'spaces.nothingToUpdate': '請至少提供 access_type 或 entry_point_access 其中一項',
+  'spaces.invalidSetting': '無效的 {name}：{value}（可用值：{values}）',
+  'records.header': '📼 **{summary} 的會議紀錄**',
+  'records.spaceHeader': '📼 **{space} 的會議紀錄**',
+  'records.count': '共 {count} 場',
+  'records.none': 'ℹ️ 過去 30 天內沒有會議紀錄',
+  'records.ongoing': '進行中',
+  'records.id': '🆔 紀錄 ID：{value}',
+  'attendance.header': '📊 **{summary} 的出席報告**',
+  'attendance.conference': '🗓️ 會議時間：{start} - {end}',
+  'attendance.summary': '✅ 受邀者出席：{attended}/{invited} 位，共 {participants} 人加入',
+  'attendance.participants': '👥 **出席者：**',
+  'attendance.participant': '• {name}（{who}）{joined} - {left} · {minutes} 分鐘',
+  'attendance.sessions': '，{count} 次連線',
+  'attendance.notInvited': '未受邀',
+  'attendance.type.anonymous': '訪客',
+  'attendance.type.phone': '電話',
+  'attendance.stillIn': '仍在會議中',
+  'attendance.noParticipants': 'ℹ️ 沒有人加入這場會議',
+  'attendance.absent': '❌ **未出席的受邀者（{count}）：**',
+  'attendance.matchNote': 'ℹ️ Meet 只提供出席者的顯示名稱，受邀者是依名稱比對的；名稱不同的人可能被列為未出席',
+  'attendance.missingConferenceRecord': '請提供會議紀錄 ID',
+  'transcript.header': '📝 **{summary} 的逐字稿**',
+  'transcript.document': '📄 Google 文件：{value}',
+  'transcript.none': 'ℹ️ 這場會議沒有開啟轉錄',
+  'transcript.empty': 'ℹ️ 逐字稿還沒有內容，可能仍在處理中，請稍後再試',
+  'transcript.unknownSpeaker': '未知的說話者',
+  'recordings.header': '🎬 **{summary} 的錄影**',
+  'recordings.none': 'ℹ️ 沒有錄影',
+  'recordings.file': '🔗 雲端硬碟檔案：{value}',
+  'recordings.state.started': '錄影中',
+  'recordings.state.ended': '處理中',
+  'recordings.state.file_generated': '已儲存',
+  'agenda.header': '📋 議程',
+  'agenda.item': '{index}. {start}–{end} {title}（{minutes} 分鐘）',
+  'agenda.owner': ' · {owner}',
+  'agenda.empty': '議程至少需要一個項目',
+  'agenda.missingTitle': '議程第 {index} 項缺少標題',
+  'agenda.invalidMinutes': '議程第 {index} 項的分鐘數無效：{value}（必須是正整數）',
+  'agenda.tooLong': '議程共 {total} 分鐘，超過會議長度 {available} 分鐘',
+  'notify.externalOnly': '📧 **只有組織外的參與者收到通知。**',
+  'notify.none': '🔕 **未通知任何參與者。**',
+  'availability.header': '⏰ **時間可用性檢查結果**',
+  'availability.range': '**檢查時間範圍：**',
+  'availability.result': '**結果：** {value}',
+  'availability.available': '✅ 時間可用',
+  'availability.busy': '❌ 時間有衝突',
+  'availability.conflicts': '**衝突的會議：**',
+  'availability.noConflicts': '🎉 在此時間範圍內沒有其他會議！',
+  'slots.header': '🔎 **可安排的會議時段**',
+  'slots.range': '**搜尋範圍：** {start} - {end} ({timeZone})',
+  'slots.duration': '**會議長度：** {minutes} 分鐘',
+  'slots.workingHours': '**工作時間：** {start} - {end} ({days})',
+  'slots.calendars': '**檢查的日曆：** {value}',
+  'slots.unavailable': '⚠️ **無法讀取以下日曆的忙碌時間（未納入計算）：**',
+  'slots.score': '⭐ 推薦分數：{value}',
+  'slots.bufferBefore': '⏪ 與前一會議間隔：{value}',
+  'slots.bufferAfter': '⏩ 與下一會議間隔：{value}',
+  'slots.minutes': '{minutes} 分鐘',
+  'slots.none': '😢 在此範圍內找不到所有人都有空的時段，請嘗試擴大搜尋範圍或縮短會議長度。',
+  'calendars.header': '🗂️ **找到 {count} 個日曆**',
+  'calendars.primary': ' ⭐ 主要日曆',
+  'calendars.id': '🆔 ID：{value}',
+  'calendars.accessRole': '🔑 權限：{value}',
+  'calendars.timeZone': '🕐 時區：{value}',
+  'calendars.notSet': '未設定',
+  'calendars.empty': '找不到任何日曆。',
+  'accounts.addHeader': '➕ **新增 Google 帳號**',
+  'accounts.addInstructions': '請在瀏覽器開啟以下連結，並選擇要新增的帳號完成授權：',
+  'accounts.addNext': '💡 授權完成後，使用 list_accounts 確認帳號，並在其他工具中以 account 參數指定該帳號。',
+  'accounts.header': '👤 **已授權 {count} 個 Google 帳號**',
+  'accounts.default': ' ⭐ 預設帳號',
+  'accounts.headlessInstructions': '請在任何裝置的瀏覽器開啟以下連結，並選擇要授權的帳號：',
+  'accounts.headlessNext': '💡 授權後瀏覽器會重新導向到 {redirectUri}（頁面無法開啟是正常的）。請複製網址列中的完整網址或其中的 code 參數，並以 submit_auth_code 工具提交。',
+  'accounts.authorized': '✅ 已授權帳號：{account}\n\n💡 現在可以在其他工具中以 account 參數指定該帳號。',
+  'confirm.header': '⚠️ **需要確認，尚未執行任何變更**',
+  'confirm.deleteWarning.all': '即將刪除以下會議，{count} 位參與者會收到取消通知：',
+  'confirm.deleteWarning.externalOnly': '即將刪除以下會議（{count} 位參與者），只有組織外的參與者會收到取消通知：',
+  'confirm.deleteWarning.none': '即將刪除以下會議（{count} 位參與者），不會通知任何人：',
+  'confirm.updateWarning.all': '即將更新以下會議，{count} 位參與者會收到更新通知：',
+  'confirm.updateWarning.externalOnly': '即將更新以下會議（{count} 位參與者），只有組織外的參與者會收到更新通知：',
+  'confirm.updateWarning.none': '即將更新以下會議（{count} 位參與者），不會通知任何人：',
+  'confirm.removeWarning.all': '即將從以下會議（{count} 位參與者）移除參與者，並通知所有參與者：',
+  'confirm.removeWarning.externalOnly': '即將從以下會議（{count} 位參與者）移除參與者，僅通知組織外的參與者：',
+  'confirm.removeWarning.none': '即將從以下會議（{count} 位參與者）移除參與者，不會通知任何人：',
+  'confirm.updateSpaceWarning': '即將變更以下會議空間的設定，所有加入此空間的人都會受到影響：',
+  'confirm.endConferenceWarning': '即將結束以下會議空間中正在進行的會議，所有人都會被中斷連線：',
+  'confirm.noActiveConference': 'ℹ️ 目前此空間沒有進行中的會議',
+  'confirm.scope': '🔁 重複會議範圍：{value}',
+  'confirm.changes': '📝 要變更的內容：',
+  'confirm.instructions': '✅ 確認無誤後，請以相同參數再次呼叫 {tool}，並加上 confirmation_token: "{token}"（{minutes} 分鐘內有效）。',
+  'confirm.invalidToken': '確認碼無效或已過期，請不帶 confirmation_token 重新呼叫以取得新的預覽',
+  'confirm.argumentsChanged': '參數與預覽時不同，確認碼只適用於預覽的那次變更。請使用相同參數，或不帶 confirmation_token 重新預覽',
+  'dryRun.header': '🧪 **試執行，未做任何變更**',
+  'dryRun.requests': '將送出 {count} 個 API 請求：',
+  'dryRun.target': '📅 日曆：{calendar}｜🆔 事件：{event}｜📧 通知：{notify}',
+  'dryRun.newEvent': '（新事件）',
+  'dryRun.spaceTarget': '🎥 Meet 空間：{space}',
+  'dryRun.newSpace': '（新會議的 Meet 空間）',
+  'dryRun.changes': '📝 欄位變更：',
+  'dryRun.noChanges': '📝 沒有欄位會變更',
+  'dryRun.payload': '📦 請求內容：',
+
+  // Errors
+  'errors.unknownTool': '未知的工具: {name}',
+  'errors.missingParams': '缺少必要參數: {params}',
+  'errors.toolFailed': '執行工具時發生錯誤: {error}',
+  'errors.hintHeader': '💡 解決建議：',
+  'errors.credentialsHint': '1. 確認 GOOGLE_OAUTH_CREDENTIALS 環境變數設定正確\n2. 檢查憑證檔案路徑是否存在\n3. 重新啟動服務以觸發自動認證',
+  'errors.tokenHint': '1. 重新啟動服務以觸發自動認證\n2. 檢查網路連接\n3. 確認 Google Cloud 專案設定正確',
+  'errors.authFailed': '認證失敗。請檢查您的憑證設定並重新啟動服務。',
+  'errors.authPending': '正在等待 Google 帳號授權。\n\n{instructions}',
+  'errors.listMeetings': '列出會議時發生錯誤：{error}',
+  'errors.getMeeting': '獲取會議資訊時發生錯誤：{error}',
+  'errors.createMeeting': '創建會議時發生錯誤：{error}',
+  'errors.updateMeeting': '更新會議時發生錯誤：{error}',
+  'errors.deleteMeeting': '刪除會議時發生錯誤：{error}',
+  'errors.addAttendees': '新增參與者時發生錯誤：{error}',
+  'errors.removeAttendees': '移除參與者時發生錯誤：{error}',
+  'errors.respondToMeeting': '回覆會議邀請時發生錯誤：{error}',
+  'errors.getDialIn': '取得電話撥入資訊時發生錯誤：{error}',
+  'errors.createSpace': '建立會議空間時發生錯誤：{error}',
+  'errors.getSpace': '取得會議空間時發生錯誤：{error}',
+  'errors.updateSpace': '更新會議空間時發生錯誤：{error}',
+  'errors.addCoHosts': '新增共同主持人時發生錯誤：{error}',
+  'errors.addCoHostsPreview': '新增共同主持人時發生錯誤：{error}。co_hosts 使用 Meet API 開發人員預覽版，Google Cloud 專案需先加入 Google Workspace Developer Preview Program',
+  'errors.endActiveConference': '結束會議時發生錯誤：{error}',
+  'errors.listConferenceRecords': '列出會議紀錄時發生錯誤：{error}',
+  'errors.getConferenceRecord': '取得會議紀錄時發生錯誤：{error}',
+  'errors.listParticipants': '列出會議出席者時發生錯誤：{error}',
+  'errors.getAttendanceReport': '產生出席報告時發生錯誤：{error}',
+  'errors.listTranscripts': '列出逐字稿時發生錯誤：{error}',
+  'errors.listTranscriptEntries': '讀取逐字稿內容時發生錯誤：{error}',
+  'errors.listRecordings': '列出錄影時發生錯誤：{error}',
+  'errors.getMeetingTranscript': '取得會議逐字稿時發生錯誤：{error}',
+  'errors.listMeetingRecordings': '列出會議錄影時發生錯誤：{error}',
+  'errors.checkConflicts': '檢查時間衝突時發生錯誤：{error}',
+  'errors.checkAvailability': '檢查可用性時發生錯誤：{error}',
+  'errors.freeBusy': '獲取忙碌時間資訊時發生錯誤：{error}',
+  'errors.findSlots': '搜尋可用時段時發生錯誤：{error}',
+  'errors.listCalendars': '列出日曆時發生錯誤：{error}',
+  'errors.addAccount': '新增帳號時發生錯誤：{error}',
+  'errors.listAccounts': '列出帳號時發生錯誤：{error}',
+  'errors.unknownAccount': '找不到帳號：{account}（已授權的帳號：{accounts}）。請先使用 add_account 新增',
+  'errors.reauthorizeAccount': '帳號 {account} 的授權已失效（可能已撤銷或過期）。請使用 add_account 重新授權此帳號',
+  'errors.writeNotRetried': '執行 {name} 時 Google 拒絕了授權，已重新授權帳號，但不會自動重試這項變更，因為請求可能已送出。請先確認變更是否已套用，再視需要重新呼叫 {name}',
+  'errors.toolNotPermitted': '帳號 {account} 的授權範圍不允許使用 {name}（範圍設定：{profile}）。如需此功能，請調整 GOOGLE_MEET_SCOPE_PROFILE 並使用 add_account 重新授權',
+  'errors.readOnlyMode': '伺服器目前為唯讀模式（GOOGLE_MEET_SAFE_MODE=readonly），無法使用 {name}',
+  'errors.submitAuthCode': '提交授權碼時發生錯誤：{error}',
+  'errors.headlessOnly': 'submit_auth_code 僅能在 GOOGLE_MEET_AUTH_MODE=headless 時使用',
+  'errors.serviceAccountAddAccount': '使用服務帳戶時不需要新增帳號：直接在 account 參數填入網域中任一使用者的電子郵件即可代表該使用者（需設定全網域委派）',
+
+  // Google Calendar API
+  'api.credentialsNotFound': '找不到憑證檔案：{path}\n請設定 GOOGLE_OAUTH_CREDENTIALS 環境變數為正確的檔案路徑。\n參考：https://github.com/nspady/google-calendar-mcp',
+  'api.invalidCredentials': '無效的憑證檔案格式。預期包含 "web" 或 "installed" OAuth 客戶端配置。\n請確認您下載的是 Desktop App 類型的 OAuth 憑證。',
+  'api.serviceAccountFailed': '服務帳戶無法以 {account} 的身分取得授權：{error}\n請確認已在 Google Workspace 管理控制台為此服務帳戶設定全網域委派及所需範圍。',
+  'api.tokenNotFound': '在 {path} 找不到有效的 token。\n請先執行認證設定：npm run auth\n錯誤詳情：{error}',
+  'api.invalidTimeZone': '無效的時區：{timeZone}',
+  'api.invalidCursor': '無效的 cursor，請使用上一次 list_meetings 回傳的 next_cursor',
+  'api.noConferenceData': 'ID 為 {id} 的事件沒有 Google Meet 會議資料',
+  'api.formatMeetingFailed': '無法格式化事件 ID {id} 的會議資料',
+  'api.formatCreatedFailed': '無法格式化創建的會議資料',
+  'api.formatUpdatedFailed': '無法格式化更新的會議資料',
+  'api.instanceRecurrence': '無法為單次會議設定重複規則，請使用 scope "following" 或 "all"',
+  'api.invalidScope': '無效的 scope：{scope}（可用值：{values}）',
+  'api.invalidSendUpdates': '無效的 send_updates：{value}（可用值：{values}）',
+  'api.scopeNeedsInstance': 'ID {id} 代表整個重複會議系列，scope "{scope}" 需要使用單次會議的 ID（可從 list_meetings 取得）',
+  'api.invalidSearchRange': '搜尋時間範圍無效，結束時間必須晚於開始時間',
+  'api.invalidDuration': '會議長度必須大於 0 分鐘',
+  'api.invalidSlotInterval': '時段間隔必須大於 0 分鐘',
+  'api.invalidWorkingHours': '工作時間格式無效，請使用 HH:MM 且結束時間晚於開始時間',
+  'api.attendeeEmailRequired': '每位參與者都需要電子郵件地址',
+  'api.invalidResponse': '無效的回覆：{value}（可用值：{values}）',
+  'api.invalidResponseStatus': '無效的 response_status：{value}（可用值：{values}）',
+  'api.invalidDurationRange': '最短會議長度不能大於最長會議長度',
+  'api.notInvited': '您不在會議 {id} 的參與者名單中，無法回覆',
+  'api.noConference': '會議 {id} 沒有 Google Meet 視訊會議',
+  'api.noConferenceRecords': '會議代碼 {code} 在過去 30 天內沒有任何會議紀錄',
+  'api.conferenceSettingsScope': '此帳號沒有授權 meetings.space.settings 範圍，無法變更會議設定；請使用 add_account 重新授權',
+  'api.attachmentFileRequired': '每個附件都需要雲端硬碟檔案的網址或 ID（file）',
+  'api.tooManyAttachments': '附件太多：{count} 個，每個活動最多 {max} 個',
+  'api.noConferenceCode': '會議尚未取得 Google Meet 會議代碼，無法套用會議設定',
+
+  // Recurrence rules and date-times
+  'time.invalidDateTime': '無效的日期時間：{value}',
+  'recurrence.invalidSpec': '重複規則格式無效',
+  'recurrence.unsupportedFrequency': '不支援的重複頻率：{frequency}（可用值：{values}）',
+  'recurrence.invalidInterval': '重複間隔必須是大於 0 的整數',
+  'recurrence.countWithUntil': 'count 與 until 不能同時設定',
+  'recurrence.invalidCount': '重複次數 count 必須是大於 0 的整數',
+  'recurrence.byDayNotDaily': 'by_day 只能用於 weekly 或 monthly 重複規則',
+  'recurrence.invalidByDay': '無效的星期代碼：{day}',
+  'recurrence.ordinalByDay': '帶序數的星期代碼 ({day}) 只能用於 monthly 重複規則',
+  'recurrence.byMonthDayNotMonthly': 'by_month_day 只能用於 monthly 重複規則',
+  'recurrence.invalidMonthDay': '無效的日期：{day}',
+  'recurrence.untilBeforeStart': 'until 不能早於第一次會議的開始時間',
+
+  // Server startup
+  'server.starting': '🚀 Google Meet MCP Server 正在啟動...',
+  'server.started': '✅ Google Meet MCP Server 已成功啟動並完成認證！',
+  'server.startedAwaitingAuth': '⏳ Google Meet MCP Server 已啟動，等待授權完成（呼叫任一會議工具可查看完成授權的方式）',
+  'server.authStartFailed': '❌ 無法完成認證，服務器啟動失敗',
+  'server.startFailed': '❌ 服務器啟動失敗：',
+  'server.missingEnv': '❌ 錯誤：缺少必要的環境變數',
+  'server.setCredentials': '請設定 GOOGLE_OAUTH_CREDENTIALS 或 GOOGLE_MEET_CREDENTIALS_PATH',
+  'server.credentialsExample': '範例：GOOGLE_OAUTH_CREDENTIALS=/path/to/your/credentials.json',
+  'server.credentialsReference': '參考 google-calendar-mcp 的設定方式：https://github.com/nspady/google-calendar-mcp',
+  'server.invalidTimeZone': '⚠️ 無效的 GOOGLE_MEET_TIME_ZONE：{timeZone}，將改用日曆的時區設定',
+  'server.invalidLocale': '⚠️ 不支援的 GOOGLE_MEET_LOCALE：{locale}，將改用 {fallback}（可用值：{values}）',
+  'server.invalidTransport': '❌ 不支援的 GOOGLE_MEET_TRANSPORT：{transport}（可用值：stdio, http）',
+  'server.httpTokenRequired': '❌ GOOGLE_MEET_HTTP_HOST={host} 會接受其他機器的連線，必須同時設定 GOOGLE_MEET_HTTP_TOKEN',
+  'server.invalidAuthMode': '❌ 不支援的 GOOGLE_MEET_AUTH_MODE：{mode}（可用值：{values}）',
+  'server.deviceModeUnsupported': '❌ 不支援 GOOGLE_MEET_AUTH_MODE=device：Google 的裝置授權流程不允許日曆與 Meet 範圍。無法開啟瀏覽器時請改用 headless 模式或服務帳戶',
+  'server.invalidScopeProfile': '❌ 不支援的 GOOGLE_MEET_SCOPE_PROFILE：{profile}（可用值：{values}）',
+  'server.invalidSafeMode': '❌ 不支援的 GOOGLE_MEET_SAFE_MODE：{mode}（可用值：{values}）',
+  'server.invalidSendUpdates': '❌ 不支援的 GOOGLE_MEET_SEND_UPDATES：{value}（可用值：{values}）',
+
+  // HTTP transport
+  'http.listening': '🌐 MCP HTTP 服務已啟動於 {url}（Streamable HTTP：/mcp，SSE：/sse，健康檢查：/health）',
+  'http.requestFailed': '❌ 處理 HTTP 請求時發生錯誤：',
+  'http.unauthorized': '未授權：請在 Authorization 標頭提供正確的 Bearer token',
+  'http.sessionNotFound': '找不到工作階段：{sessionId}，請重新初始化連線',
+  'http.sessionRequired': '缺少 Mcp-Session-Id 標頭；第一個請求必須是 initialize',
+  'http.bodyTooLarge': '請求內容過大',
+  'http.invalidJson': '無效的 JSON 請求內容',
+  'http.forbiddenHost': '拒絕連線：不允許的 Host 標頭 {host}（可用 GOOGLE_MEET_HTTP_ALLOWED_HOSTS 設定）',
+  'http.forbiddenOrigin': '拒絕連線：不允許的 Origin 標頭 {origin}（可用 GOOGLE_MEET_HTTP_ALLOWED_ORIGINS 設定）',
+
+  // Authentication
+  'tokens.readFailed': '無法讀取 token 檔案 {path}：{error}',
+  'tokens.accountNotFound': '找不到帳號 {account} 的 token',
+  'tokens.permissionsFixed': '🔒 已將 token 檔案權限限制為僅擁有者可讀寫 (0600)：{path}',
+  'tokens.invalidStorage': '不支援的 GOOGLE_MEET_TOKEN_STORAGE：{storage}（可用值：{values}）',
+  'tokens.missingEncryptionKey': '加密儲存需要設定 GOOGLE_MEET_TOKEN_KEY 或 GOOGLE_MEET_TOKEN_PASSPHRASE',
+  'tokens.invalidEncryptionKey': 'GOOGLE_MEET_TOKEN_KEY 必須是 32 位元組的金鑰（64 個十六進位字元或 base64）',
+  'tokens.passphraseFileMismatch': 'token 檔案是以金鑰加密的，請設定 GOOGLE_MEET_TOKEN_KEY',
+  'tokens.decryptFailed': '無法解密 token 檔案，請確認金鑰或密碼是否正確：{error}',
+  'tokens.encryptedExisting': '🔐 已將既有的明文 token 檔案加密：{path}',
+  'tokens.unrecognizedFile': 'token 檔案 {path} 既不是加密的 token 檔案，也不是明文 token，可能已損毀；檔案未被修改。請從備份還原，或刪除後重新授權',
+  'tokens.keychainLocation': '系統金鑰圈（Secret Service，服務：{service}）',
+  'tokens.keychainLabel': 'Google Meet MCP tokens',
+  'tokens.keychainUnavailable': '無法存取系統金鑰圈（需要 secret-tool 與執行中的 Secret Service）：{error}',
+  'tokens.importedToKeychain': '🔐 已將明文 token 檔案匯入系統金鑰圈並刪除原檔案：{path}',
+  'tokens.memoryLocation': '記憶體（重新啟動後即清除）',
+  'auth.tokenFound': '✅ 找到有效的認證 token，無需重新認證',
+  'auth.tokenMissing': 'ℹ️ 未找到有效的認證 token，啟動自動認證流程...',
+  'auth.success': '✅ 自動認證成功！',
+  'auth.failed': '❌ 自動認證失敗',
+  'auth.initFailed': '❌ 認證初始化失敗：',
+  'auth.invalidCredentials': '無效的憑證檔案格式',
+  'auth.loadCredentialsFailed': '載入憑證失敗：{error}',
+  'auth.saveTokenFailed': '儲存 token 失敗：{error}',
+  'auth.tokenSaveFailed': 'Token 儲存失敗：',
+  'auth.accountLookupFailed': '⚠️ 無法取得帳號的電子郵件，token 將以 default 名稱儲存：',
+  'auth.accountAdded': '✅ 已授權帳號：{account}',
+  'auth.authorizationLost': '⚠️ 帳號 {account} 的 token 已失效且無法更新，需要重新授權',
+  'auth.serviceAccountReady': '✅ 已使用服務帳戶認證，身分：{account}',
+  'auth.headlessInstructions': '📋 授權後瀏覽器會重新導向到 {redirectUri}，請複製網址列中的完整網址或 code 參數，並以 submit_auth_code 工具提交',
+  'auth.pasteCode': '⌨️ 也可以直接在此終端機貼上授權碼或重新導向網址後按 Enter',
+  'auth.missingCode': '缺少授權碼',
+  'auth.codeExchangeFailed': '無法以授權碼交換 token：{error}',
+  'auth.noAvailablePort': '無法在埠口範圍 {start}-{end} 找到可用埠口',
+  'auth.serverStarted': '🌐 認證服務器已啟動於 {url}',
+  'auth.authUrl': '🔗 認證 URL: {url}',
+  'auth.browserOpened': '🚀 瀏覽器已自動開啟，請完成授權流程',
+  'auth.browserFailed': '⚠️ 無法自動開啟瀏覽器，請手動訪問上方 URL',
+  'auth.timeout': '⏰ 認證超時，請重新嘗試',
+  'auth.serverFailed': '❌ 啟動認證服務器失敗：',
+  'auth.closeTimeout': '⚠️ 服務器關閉超時，強制退出',
+  'auth.closeError': '⚠️ 關閉服務器時發生錯誤：',
+
+  // OAuth pages
+  'authPage.title': 'Google Meet MCP 認證',
+  'authPage.started': '自動認證流程已啟動',
+  'authPage.instruction': '點擊下方按鈕完成 Google 授權',
+  'authPage.button': '🚀 使用 Google 帳號授權',
+  'authPage.closeAfter': '授權完成後，您可以關閉此視窗',
+  'authPage.continueAfter': '服務器將自動繼續啟動',
+  'authPage.failedTitle': '認證失敗',
+  'authPage.denied': '❌ 授權失敗',
+  'authPage.error': '錯誤：{error}',
+  'authPage.retry': '請關閉此視窗並重新嘗試。',
+  'authPage.missingCode': '授權碼缺失',
+  'authPage.invalidState': '授權請求無效或已使用過（state 不符）。請重新從伺服器提供的授權連結開始',
+  'authPage.successTitle': '認證成功',
+  'authPage.success': '認證成功！',
+  'authPage.tokenSaved': '您的認證 token 已安全儲存',
+  'authPage.account': '帳號：{account}',
+  'authPage.closeNow': '您現在可以關閉此視窗',
+  'authPage.serverContinues': 'Google Meet MCP Server 將自動完成啟動',
+  'authPage.failed': '❌ 認證失敗',
+  'authPage.saveFailed': '儲存認證資訊時發生錯誤：',
+  'authPage.checkLogs': '請檢查服務器日誌並重新嘗試。'
+};
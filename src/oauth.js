@@ -0,0 +1,148 @@
+/**
+ * OAuth helpers shared by the authentication flows and the API client.
+ */
+
+import fs from 'fs/promises';
+import process from 'process';
+import { google } from 'googleapis';
+import { t } from './i18n.js';
+import { LEGACY_ACCOUNT } from './TokenStore.js';
+
+const CALENDAR_SCOPE = 'https://www.googleapis.com/auth/calendar';
+const EVENTS_SCOPE = 'https://www.googleapis.com/auth/calendar.events';
+const READONLY_SCOPE = 'https://www.googleapis.com/auth/calendar.readonly';
+const EVENTS_READONLY_SCOPE = 'https://www.googleapis.com/auth/calendar.events.readonly';
+// Meet REST API: spaces created by this app, read access to any space, and the settings of any space
+const SPACE_CREATED_SCOPE = 'https://www.googleapis.com/auth/meetings.space.created';
+const SPACE_READONLY_SCOPE = 'https://www.googleapis.com/auth/meetings.space.readonly';
+const SPACE_SETTINGS_SCOPE = 'https://www.googleapis.com/auth/meetings.space.settings';
+
+// Scopes requested for each GOOGLE_MEET_SCOPE_PROFILE. calendar.readonly is part of every
+// profile because calendar lists, settings and free/busy aren't covered by the events scopes.
+// meetings.space.readonly is needed to read the conference records of Meet links created by Calendar.
+export const SCOPE_PROFILES = {
+  readonly: [READONLY_SCOPE, SPACE_READONLY_SCOPE],
+  events: [EVENTS_SCOPE, READONLY_SCOPE, SPACE_CREATED_SCOPE, SPACE_READONLY_SCOPE, SPACE_SETTINGS_SCOPE],
+  full: [CALENDAR_SCOPE, EVENTS_SCOPE, READONLY_SCOPE, SPACE_CREATED_SCOPE, SPACE_READONLY_SCOPE, SPACE_SETTINGS_SCOPE]
+};
+
+// Scopes that allow each kind of access: Calendar (read, write), Meet spaces (meet_read, meet_write)
+// and the settings of Meet spaces this app didn't create, such as a calendar event's (meet_settings)
+const ACCESS_SCOPES = {
+  read: [CALENDAR_SCOPE, EVENTS_SCOPE, READONLY_SCOPE, EVENTS_READONLY_SCOPE],
+  write: [CALENDAR_SCOPE, EVENTS_SCOPE],
+  meet_read: [SPACE_CREATED_SCOPE, SPACE_READONLY_SCOPE],
+  meet_write: [SPACE_CREATED_SCOPE],
+  meet_settings: [SPACE_SETTINGS_SCOPE]
+};
+
+/**
+ * Get the scope profile selected by GOOGLE_MEET_SCOPE_PROFILE (default: full).
+ * @returns {string}
+ */
+export function getScopeProfile() {
+  return (process.env.GOOGLE_MEET_SCOPE_PROFILE || 'full').toLowerCase();
+}
+
+/**
+ * Get the scopes to request for the selected profile.
+ * @returns {Array<string>}
+ */
+export function getOAuthScopes() {
+  return SCOPE_PROFILES[getScopeProfile()] || SCOPE_PROFILES.full;
+}
+
+/**
+ * Check whether a kind of access changes data.
+ * @param {string} access - 'read', 'write', 'meet_read', 'meet_write' or 'meet_settings'
+ * @returns {boolean}
+ */
+export function isWriteAccess(access) {
+  return access === 'write' || access === 'meet_write' || access === 'meet_settings';
+}
+
+/**
+ * Check whether a set of scopes allows a kind of access.
+ * Unknown scopes (a saved token without its scope list, when tokeninfo can't be reached) allow
+ * everything on purpose: hiding tools only tidies the tool list, and Google still rejects a call
+ * the token isn't allowed to make, so hiding a tool the token may well allow would only get in the way.
+ * @param {Array<string>|null} scopes - Granted scopes; null when unknown
+ * @param {string} access - 'read', 'write', 'meet_read', 'meet_write' or 'meet_settings'
+ * @returns {boolean} - true when the scopes are unknown, so Google has the final say
+ */
+export function hasScopeAccess(scopes, access) {
+  return !scopes || scopes.some(scope => ACCESS_SCOPES[access].includes(scope));
+}
+
+// The stored authorization can't be used any more: the refresh token was revoked or
+// expired, or Google still rejected the access token after refreshing it
+const AUTHORIZATION_ERROR_PATTERN = /invalid_grant|invalid_token|Invalid Credentials|No refresh token/i;
+
+/**
+ * Check whether an error means the account has to be authorized again.
+ * Wrapped errors keep the original message, so the message is checked as well.
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export function isAuthorizationError(error) {
+  return error?.response?.status === 401 || AUTHORIZATION_ERROR_PATTERN.test(error?.message || '');
+}
+
+/**
+ * Read the credentials file.
+ * @param {string} credentialsPath - Path to an OAuth client or service account key file
+ * @returns {Promise<Object>} - Parsed file contents
+ */
+export async function readCredentialsFile(credentialsPath) {
+  try {
+    return JSON.parse(await fs.readFile(credentialsPath, 'utf8'));
+  } catch (error) {
+    throw new Error(t('auth.loadCredentialsFailed', { error: error.message }));
+  }
+}
+
+/**
+ * Check whether a parsed credentials file is a service account key.
+ * @param {Object} credentials - Parsed credentials file
+ * @returns {boolean}
+ */
+export function isServiceAccountKey(credentials) {
+  return credentials?.type === 'service_account';
+}
+
+/**
+ * Load the OAuth client configuration, supporting both web and installed app formats.
+ * @param {string} credentialsPath - Path to the OAuth credentials file
+ * @returns {Promise<Object>} - { client_id, client_secret, redirect_uris, ... }
+ */
+export async function loadClientConfig(credentialsPath) {
+  const credentials = await readCredentialsFile(credentialsPath);
+  const clientConfig = credentials.web || credentials.installed;
+  if (!clientConfig) {
+    throw new Error(t('auth.loadCredentialsFailed', { error: t('auth.invalidCredentials') }));
+  }
+  return clientConfig;
+}
+
+/**
+ * Look up the account that granted tokens and save them under its email.
+ * The primary calendar's ID is the account's email address.
+ * @param {OAuth2Client} oAuth2Client - Client the tokens were issued to
+ * @param {TokenStore} tokenStore - Store to save the tokens in
+ * @param {Object} tokens - Newly issued tokens
+ * @returns {Promise<string>} - Account the tokens were saved under
+ */
+export async function saveAuthorizedTokens(oAuth2Client, tokenStore, tokens) {
+  let account = LEGACY_ACCOUNT;
+  try {
+    oAuth2Client.setCredentials(tokens);
+    const calendar = google.calendar({ version: 'v3', auth: oAuth2Client });
+    const response = await calendar.calendars.get({ calendarId: 'primary' });
+    account = response.data.id || LEGACY_ACCOUNT;
+  } catch (error) {
+    console.error(t('auth.accountLookupFailed'), error.message);
+  }
+
+  await tokenStore.saveTokens(account, tokens);
+  return account;
+}
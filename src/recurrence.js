@@ -0,0 +1,211 @@
+/**
+ * Helpers for turning structured recurrence specs into RFC 5545
+ * RRULE / EXDATE lines understood by the Google Calendar API.
+ */
+
+import { t } from './i18n.js';
+import { WEEKDAY_CODES, getZonedParts, zonedTimeToUtc } from './timeUtils.js';
+
+export const RECURRENCE_FREQUENCIES = ['daily', 'weekly', 'monthly'];
+export const RECURRENCE_SCOPES = ['this', 'following', 'all'];
+
+const BY_DAY_PATTERN = new RegExp(`^([+-]?\\d{1,2})?(${WEEKDAY_CODES.join('|')})$`);
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+/**
+ * Format an instant as an RFC 5545 UTC date-time (e.g. 20261020T013000Z).
+ * @param {Date} date - Instant to format
+ * @returns {string}
+ */
+export function formatUtcDateTime(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Format an instant as an RFC 5545 local date-time in a time zone.
+ * @param {Date} date - Instant to format
+ * @param {string} timeZone - IANA time zone name
+ * @returns {string}
+ */
+export function formatLocalDateTime(date, timeZone) {
+  const parts = getZonedParts(date, timeZone);
+  return `${pad(parts.year, 4)}${pad(parts.month)}${pad(parts.day)}` +
+         `T${pad(parts.hour)}${pad(parts.minute)}${pad(parts.second)}`;
+}
+
+/**
+ * Build RRULE and EXDATE lines from a structured recurrence spec.
+ * @param {Object} spec - Recurrence spec
+ * @param {string} spec.frequency - "daily", "weekly" or "monthly"
+ * @param {number} spec.interval - Repeat every N periods (default: 1)
+ * @param {Array<string>} spec.by_day - Weekday codes, e.g. ["MO", "WE"] or ["1MO", "-1FR"] for monthly
+ * @param {Array<number>} spec.by_month_day - Days of the month for monthly rules
+ * @param {number} spec.count - Total number of occurrences
+ * @param {string} spec.until - Last possible occurrence (ISO date or date-time)
+ * @param {Array<string>} spec.exceptions - Occurrences to skip (ISO date or date-time)
+ * @param {Object} context - Event context
+ * @param {string} context.startTime - Start time of the first occurrence in ISO format
+ * @param {string} context.timeZone - Time zone of the event
+ * @returns {Array<string>} - Lines for the event's recurrence field
+ */
+export function buildRecurrenceRules(spec, { startTime, timeZone }) {
+  if (!spec || typeof spec !== 'object') {
+    throw new Error(t('recurrence.invalidSpec'));
+  }
+
+  const {
+    frequency,
+    interval = 1,
+    by_day: byDay = [],
+    by_month_day: byMonthDay = [],
+    count,
+    until,
+    exceptions = []
+  } = spec;
+
+  if (!RECURRENCE_FREQUENCIES.includes(frequency)) {
+    throw new Error(t('recurrence.unsupportedFrequency', { frequency, values: RECURRENCE_FREQUENCIES.join(', ') }));
+  }
+  if (!Number.isInteger(interval) || interval < 1) {
+    throw new Error(t('recurrence.invalidInterval'));
+  }
+  if (count !== undefined && until !== undefined) {
+    throw new Error(t('recurrence.countWithUntil'));
+  }
+  if (count !== undefined && (!Number.isInteger(count) || count < 1)) {
+    throw new Error(t('recurrence.invalidCount'));
+  }
+
+  const parts = [`FREQ=${frequency.toUpperCase()}`];
+  if (interval > 1) {
+    parts.push(`INTERVAL=${interval}`);
+  }
+
+  if (byDay.length > 0) {
+    if (frequency === 'daily') {
+      throw new Error(t('recurrence.byDayNotDaily'));
+    }
+    const normalized = byDay.map(day => String(day).toUpperCase());
+    for (const day of normalized) {
+      const match = BY_DAY_PATTERN.exec(day);
+      if (!match) {
+        throw new Error(t('recurrence.invalidByDay', { day }));
+      }
+      if (match[1] && frequency !== 'monthly') {
+        throw new Error(t('recurrence.ordinalByDay', { day }));
+      }
+    }
+    parts.push(`BYDAY=${normalized.join(',')}`);
+  }
+
+  if (byMonthDay.length > 0) {
+    if (frequency !== 'monthly') {
+      throw new Error(t('recurrence.byMonthDayNotMonthly'));
+    }
+    for (const day of byMonthDay) {
+      if (!Number.isInteger(day) || day === 0 || day < -31 || day > 31) {
+        throw new Error(t('recurrence.invalidMonthDay', { day }));
+      }
+    }
+    parts.push(`BYMONTHDAY=${byMonthDay.join(',')}`);
+  }
+
+  if (count !== undefined) {
+    parts.push(`COUNT=${count}`);
+  }
+
+  if (until !== undefined) {
+    const untilDate = resolveOccurrence(until, { startTime, timeZone, endOfDay: true });
+    if (untilDate < new Date(startTime)) {
+      throw new Error(t('recurrence.untilBeforeStart'));
+    }
+    parts.push(`UNTIL=${formatUtcDateTime(untilDate)}`);
+  }
+
+  const rules = [`RRULE:${parts.join(';')}`];
+
+  if (exceptions.length > 0) {
+    const dates = exceptions.map(exception =>
+      formatLocalDateTime(resolveOccurrence(exception, { startTime, timeZone }), timeZone)
+    );
+    rules.push(`EXDATE;TZID=${timeZone}:${dates.join(',')}`);
+  }
+
+  return rules;
+}
+
+/**
+ * Cut a recurrence so that no occurrence starts at or after the given instant.
+ * COUNT and UNTIL on existing RRULE lines are replaced by the new UNTIL.
+ * @param {Array<string>} rules - Existing recurrence lines
+ * @param {Date} before - First instant that must no longer occur
+ * @returns {Array<string>}
+ */
+export function truncateRecurrenceRules(rules, before) {
+  const until = formatUtcDateTime(new Date(before.getTime() - 1000));
+
+  return rules.map(rule => {
+    if (!rule.startsWith('RRULE:')) {
+      return rule;
+    }
+    const parts = rule
+      .slice('RRULE:'.length)
+      .split(';')
+      .filter(part => !part.startsWith('COUNT=') && !part.startsWith('UNTIL='));
+    parts.push(`UNTIL=${until}`);
+    return `RRULE:${parts.join(';')}`;
+  });
+}
+
+/**
+ * Replace the COUNT of every RRULE line.
+ * @param {Array<string>} rules - Existing recurrence lines
+ * @param {number} count - New occurrence count
+ * @returns {Array<string>}
+ */
+export function replaceRecurrenceCount(rules, count) {
+  return rules.map(rule =>
+    rule.startsWith('RRULE:') ? rule.replace(/COUNT=\d+/, `COUNT=${count}`) : rule
+  );
+}
+
+/**
+ * Read the COUNT of the first RRULE line.
+ * @param {Array<string>} rules - Recurrence lines
+ * @returns {number|null}
+ */
+export function getRecurrenceCount(rules) {
+  for (const rule of rules) {
+    const match = /^RRULE:.*\bCOUNT=(\d+)/.exec(rule);
+    if (match) {
+      return Number(match[1]);
+    }
+  }
+  return null;
+}
+
+/**
+ * Resolve an occurrence given as a date or date-time.
+ * Dates reuse the time of day of the first occurrence in the event's time zone.
+ * @param {string} value - ISO date or date-time
+ * @param {Object} context - { startTime, timeZone, endOfDay }
+ * @returns {Date}
+ */
+function resolveOccurrence(value, { startTime, timeZone, endOfDay = false }) {
+  if (DATE_ONLY_PATTERN.test(value)) {
+    const [year, month, day] = value.split('-').map(Number);
+    const start = getZonedParts(new Date(startTime), timeZone);
+    const time = endOfDay
+      ? { hour: 23, minute: 59, second: 59 }
+      : { hour: start.hour, minute: start.minute, second: start.second };
+    return zonedTimeToUtc({ year, month, day, ...time }, timeZone);
+  }
+
+  const date = new Date(value);
+  if (isNaN(date)) {
+    throw new Error(t('time.invalidDateTime', { value }));
+  }
+  return date;
+}
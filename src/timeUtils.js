@@ -0,0 +1,174 @@
+/**
+ * Time zone helpers built on Intl, so that wall-clock times such as
+ * working hours can be resolved in a specific IANA time zone.
+ */
+
+import { getLocale, t } from './i18n.js';
+
+export const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Check whether a string is a time zone name supported by this runtime.
+ * @param {string} timeZone - IANA time zone name (e.g. "Asia/Taipei")
+ * @returns {boolean}
+ */
+export function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') {
+    return false;
+  }
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Get the calendar fields of an instant as seen in a time zone.
+ * @param {Date} date - Instant to convert
+ * @param {string} timeZone - IANA time zone name
+ * @returns {Object} - { year, month, day, hour, minute, second, weekday }
+ */
+export function getZonedParts(date, timeZone) {
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  });
+
+  const parts = {};
+  for (const part of formatter.formatToParts(date)) {
+    if (part.type !== 'literal') {
+      parts[part.type] = Number(part.value);
+    }
+  }
+
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second,
+    weekday: new Date(Date.UTC(parts.year, parts.month - 1, parts.day)).getUTCDay()
+  };
+}
+
+/**
+ * Get the offset of a time zone from UTC at a given instant.
+ * @param {Date} date - Instant to check (offsets change across DST)
+ * @param {string} timeZone - IANA time zone name
+ * @returns {number} - Offset in milliseconds (positive east of UTC)
+ */
+export function getTimeZoneOffset(date, timeZone) {
+  const parts = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  const truncated = Math.floor(date.getTime() / 1000) * 1000;
+  return Math.round((asUtc - truncated) / MINUTE_MS) * MINUTE_MS;
+}
+
+/**
+ * Convert a wall-clock time in a time zone to the matching instant.
+ * Times that fall into a DST gap are moved forward by the gap length.
+ * @param {Object} fields - { year, month, day, hour = 0, minute = 0, second = 0 }
+ * @param {string} timeZone - IANA time zone name
+ * @returns {Date}
+ */
+export function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone) {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+
+  const firstOffset = getTimeZoneOffset(new Date(wallClock), timeZone);
+  let result = wallClock - firstOffset;
+
+  const secondOffset = getTimeZoneOffset(new Date(result), timeZone);
+  if (secondOffset !== firstOffset) {
+    const candidate = wallClock - secondOffset;
+    // Inside a DST gap neither offset round-trips; use the pre-transition offset
+    result = getTimeZoneOffset(new Date(candidate), timeZone) === secondOffset
+      ? candidate
+      : wallClock - Math.min(firstOffset, secondOffset);
+  }
+
+  return new Date(result);
+}
+
+/**
+ * Parse a "HH:MM" clock string.
+ * @param {string} value - Clock time such as "09:30"
+ * @returns {Object|null} - { hour, minute } or null if invalid
+ */
+export function parseClockTime(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(value || '');
+  if (!match) {
+    return null;
+  }
+
+  const hour = Number(match[1]);
+  const minute = Number(match[2]);
+  if (hour > 24 || minute > 59 || (hour === 24 && minute !== 0)) {
+    return null;
+  }
+
+  return { hour, minute };
+}
+
+const LOCAL_DATE_TIME_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?)?$/;
+
+/**
+ * Normalize an ISO date-time to a UTC ISO string.
+ * Values without an offset (e.g. "2026-10-20T09:00") are read as wall-clock
+ * time in the given time zone instead of the server's local zone; a date
+ * alone (e.g. "2026-10-20") means midnight in that zone, not UTC.
+ * @param {string} value - ISO date-time, with or without offset
+ * @param {string} timeZone - IANA time zone name for offset-less values
+ * @returns {string}
+ */
+export function normalizeDateTime(value, timeZone) {
+  const match = LOCAL_DATE_TIME_PATTERN.exec(value || '');
+  if (match) {
+    const [, year, month, day, hour = '0', minute = '0', second = '0'] = match;
+    return zonedTimeToUtc({
+      year: Number(year),
+      month: Number(month),
+      day: Number(day),
+      hour: Number(hour),
+      minute: Number(minute),
+      second: Number(second)
+    }, timeZone).toISOString();
+  }
+
+  const date = new Date(value);
+  if (isNaN(date)) {
+    throw new Error(t('time.invalidDateTime', { value }));
+  }
+  return date.toISOString();
+}
+
+/**
+ * Format a date-time for display in a time zone.
+ * @param {string} value - ISO date or date-time
+ * @param {string} timeZone - IANA time zone name
+ * @param {string} locale - BCP 47 locale used for formatting (default: current locale)
+ * @returns {string}
+ */
+export function formatDateTime(value, timeZone, locale = getLocale()) {
+  if (!value) {
+    return '';
+  }
+
+  // All-day events only carry a date, which has no time zone of its own
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return new Date(`${value}T00:00:00Z`).toLocaleDateString(locale, { timeZone: 'UTC' });
+  }
+
+  return new Date(value).toLocaleString(locale, { timeZone, timeZoneName: 'short' });
+}